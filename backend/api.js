@@ -0,0 +1,734 @@
+/**
+ * Kiosk API
+ *
+ * The Express app behind http://localhost:3001, shared by both API servers:
+ * the standalone backend (server.js) and the one in the Electron main
+ * process (frontend/electron/main.js), which the packaged kiosk talks to.
+ * They differ only in where their data lives and in leaving kiosk mode,
+ * which only Electron can do.
+ *
+ * Everything the API writes (photos, prints, sessions, settings, the event
+ * log, the print queue, payments) and the luts/ and backdrops/ folders the
+ * operator fills are kept under dataDir.
+ */
+import express from 'express';
+import cors from 'cors';
+import sharp from 'sharp';
+import fs from 'fs';
+import path from 'path';
+import { listPrinters, printFile, PAGE_SIZES } from './printers.js';
+import { getCameraStatus, captureStill } from './cameraBridge.js';
+import { createPrintQueue } from './printQueue.js';
+import { renderPrintPdf } from './printPdf.js';
+import { createPayments, keepWebhookBody } from './paymentRoutes.js';
+import { createPaymentStore } from './paymentStore.js';
+import { createLockout } from './lockout.js';
+import { createSettingsStore } from './settingsStore.js';
+import { createSessionStore, isValidSessionId } from './sessionStore.js';
+import { DEFAULT_PRICING, validatePricing } from './pricing.js';
+import { DEFAULT_KIOSK_SETTINGS, validateKioskSettings } from './kioskSettings.js';
+import { createEventLog, KIOSK_EVENT_TYPES } from './eventLog.js';
+import { buildReport, reportToCsv } from './reports.js';
+import { combineFilters, applyFilterWithSharp, parseCubeLut, registerFilter } from 'photobooth-kiosk-filter-engine';
+import { createLutLibrary } from './luts.js';
+import { createBackdropLibrary } from './backdrops.js';
+
+export const API_PORT = 3001;
+
+// Stores in dataDir/private, which no route serves files from
+const PRIVATE_STORES = ['payments.json', 'cash-codes.json', 'cash-lockout.json', 'pin-lockout.json'];
+
+// Lockout key of the PINs; admin and attendant PINs count together
+const PIN_LOCKOUT_KEY = 'pin';
+
+// Names of the files saved in photosDir: photo_<sessionId>_<timestamp>.<ext>
+const PHOTO_FILENAME = /^photo_([\w-]{1,100})_\d+\.(jpg|gif|webm|mp4)$/;
+
+// Animations are built from burst frames of at most 480px, so they need far less than photos
+const ANIMATION_BODY_LIMIT = '10mb';
+
+/**
+ * Create the kiosk API
+ *
+ * @param {Object} options
+ * @param {string} options.dataDir - Directory the API keeps its data in
+ * @returns {Object} { app (Express app, not yet listening), photosDir, sessionsDir }
+ */
+export function createApiServer({ dataDir }) {
+  const app = express();
+
+  // Middleware
+  app.use(cors());
+  // Parsed here, so the JSON parser below skips these requests
+  app.use('/api/save-animation', express.json({ limit: ANIMATION_BODY_LIMIT }));
+  app.use(express.json({
+    limit: '50mb',
+    verify: keepWebhookBody,
+  }));
+
+  // Create photos directory if it doesn't exist
+  const photosDir = path.join(dataDir, 'photos');
+  if (!fs.existsSync(photosDir)) {
+    fs.mkdirSync(photosDir, { recursive: true });
+  }
+
+  // Print-ready PDFs rendered from saved photos
+  const printsDir = path.join(dataDir, 'prints');
+  if (!fs.existsSync(printsDir)) {
+    fs.mkdirSync(printsDir, { recursive: true });
+  }
+
+  /**
+   * Render a photo into a print-ready PDF in printsDir
+   * @returns {Promise<string>} Filename of the PDF
+   */
+  async function writePrintPdf(filename, pageSize, printOptions = {}) {
+    const pdf = await renderPrintPdf(path.join(photosDir, filename), { pageSize, ...printOptions });
+    const pdfFilename = `${path.parse(filename).name}_${pageSize}.pdf`;
+    fs.writeFileSync(path.join(printsDir, pdfFilename), pdf);
+    return pdfFilename;
+  }
+
+  /**
+   * Validate the fit / bleed / safe-area options sent with a print request
+   */
+  function parsePrintOptions({ fit, bleedInches, safeAreaInches }) {
+    if (fit && fit !== 'fit' && fit !== 'fill') {
+      throw new Error(`Unsupported fit mode "${fit}"`);
+    }
+    return {
+      fit: fit || 'fit',
+      bleedInches: Math.max(0, parseFloat(bleedInches) || 0),
+      safeAreaInches: Math.max(0, parseFloat(safeAreaInches) || 0),
+    };
+  }
+
+  // Print queue, persisted in dataDir so queued prints survive a restart
+  // Each job is rendered to a PDF at the exact paper size before it is sent
+  const printQueue = createPrintQueue({
+    storePath: path.join(dataDir, 'print-queue.json'),
+    print: async (job) => {
+      const pageSize = job.pageSize || '4x6';
+      const pdfFilename = await writePrintPdf(job.filename, pageSize, job.printOptions);
+      return printFile(path.join(printsDir, pdfFilename), {
+        printerName: job.printerName || undefined,
+        pageSize,
+        fitToPage: false,
+      });
+    },
+  });
+
+  // Kiosk settings (pricing, enabled options, printer), persisted in dataDir
+  const settingsStore = createSettingsStore({
+    storePath: path.join(dataDir, 'settings.json'),
+    defaults: { pricing: DEFAULT_PRICING, kiosk: DEFAULT_KIOSK_SETTINGS },
+  });
+
+  // Payment, cash code and lockout state, kept apart from everything the API serves files from
+  const privateDir = path.join(dataDir, 'private');
+  fs.mkdirSync(privateDir, { recursive: true, mode: 0o700 });
+  // These stores used to be kept directly in dataDir
+  PRIVATE_STORES.forEach((file) => {
+    const legacyPath = path.join(dataDir, file);
+    if (fs.existsSync(legacyPath) && !fs.existsSync(path.join(privateDir, file))) {
+      fs.renameSync(legacyPath, path.join(privateDir, file));
+    }
+  });
+
+  // Payment state per sessionId, only marked paid after server-side verification
+  const paymentStore = createPaymentStore({ storePath: path.join(privateDir, 'payments.json') });
+
+  // Wrong admin and attendant PINs, locked out after too many so a PIN cannot be guessed
+  const pinLockout = createLockout({ storePath: path.join(privateDir, 'pin-lockout.json') });
+
+  /**
+   * Middleware that only lets requests through with one of the accepted PINs in a header.
+   * Wrong PINs for every role count towards the same lockout, so guesses cannot be
+   * spread across the admin panel and the attendant view.
+   *
+   * @param {Object} options
+   * @param {string} options.role - 'admin' or 'attendant', for errors and the event log
+   * @param {string} options.header - Request header with the PIN
+   * @param {Array<string>} options.pins - Accepted PINs; unset ones are ignored
+   * @param {string} options.notConfigured - Error when no PIN is set
+   */
+  function requirePin({ role, header, pins, notConfigured }) {
+    const accepted = pins.filter(Boolean);
+
+    return (req, res, next) => {
+      if (accepted.length === 0) {
+        return res.status(503).json({ success: false, error: notConfigured });
+      }
+
+      // While locked, even the right PIN is refused
+      let lockout = pinLockout.status(PIN_LOCKOUT_KEY);
+      if (!lockout.locked && !accepted.includes(req.headers[header])) {
+        lockout = pinLockout.recordFailure(PIN_LOCKOUT_KEY);
+        logEvent('pin_failure', null, { role, locked: lockout.locked });
+        if (!lockout.locked) {
+          return res.status(401).json({ success: false, error: `Incorrect ${role} PIN`, attemptsLeft: lockout.attemptsLeft });
+        }
+      }
+      if (lockout.locked) {
+        return res.status(429).json({ success: false, error: 'Too many wrong PINs. Try again later.', lockedUntil: lockout.lockedUntil });
+      }
+
+      pinLockout.recordSuccess(PIN_LOCKOUT_KEY);
+      next();
+    };
+  }
+
+  // Only the operator (who knows ADMIN_PIN) may change settings and read reports
+  const requireAdmin = requirePin({
+    role: 'admin',
+    header: 'x-admin-pin',
+    pins: [process.env.ADMIN_PIN],
+    notConfigured: 'Admin panel is not configured: set ADMIN_PIN',
+  });
+
+  // Only the attendant (who knows ATTENDANT_PIN) may issue cash codes and read their log;
+  // the operator's ADMIN_PIN is accepted too
+  const requireAttendant = requirePin({
+    role: 'attendant',
+    header: 'x-attendant-pin',
+    pins: [process.env.ATTENDANT_PIN, process.env.ADMIN_PIN],
+    notConfigured: 'Attendant view is not configured: set ATTENDANT_PIN',
+  });
+
+  /**
+   * Start and end of a local calendar day
+   * @param {string} date - 'YYYY-MM-DD', defaults to today
+   * @returns {Object} { from, to }
+   */
+  function dayRange(date) {
+    const from = date ? new Date(`${date}T00:00:00`) : new Date();
+    if (Number.isNaN(from.getTime())) {
+      throw new Error('date must be YYYY-MM-DD');
+    }
+    from.setHours(0, 0, 0, 0);
+    const to = new Date(from);
+    to.setDate(to.getDate() + 1);
+    return { from, to };
+  }
+
+  // Session records, one JSON file per session
+  const sessionsDir = path.join(dataDir, 'sessions');
+  const sessionStore = createSessionStore({ sessionsDir, paymentStore });
+
+  // Events across the kiosk flow, for sales and usage reports
+  const eventLog = createEventLog({ logPath: path.join(dataDir, 'events.jsonl') });
+
+  // Color grades (.cube files) dropped into dataDir/luts become photo filters
+  const lutLibrary = createLutLibrary({ lutsDir: path.join(dataDir, 'luts'), parseLut: parseCubeLut });
+
+  // Virtual backdrops (images dropped into dataDir/backdrops) for background removal
+  const backdropLibrary = createBackdropLibrary({ backdropsDir: path.join(dataDir, 'backdrops') });
+
+  /**
+   * Register the LUT filters found in the LUT directory with the filter engine
+   * @returns {Array} LUT entries (see createLutLibrary), including files that failed to parse
+   */
+  function loadLutFilters() {
+    const entries = lutLibrary.list();
+    entries.filter((entry) => !entry.error).forEach((entry) => {
+      registerFilter({ id: entry.id, name: entry.name, lut: entry.lut });
+    });
+    return entries;
+  }
+
+  /**
+   * Log an event without failing the request it belongs to
+   */
+  function logEvent(type, sessionId, data) {
+    try {
+      eventLog.record(type, sessionId, data);
+    } catch (error) {
+      console.error(`Error logging ${type} event:`, error);
+    }
+  }
+
+  /**
+   * Record something against a session without failing the request it belongs to
+   * (photos and prints still work if the session id is missing or invalid)
+   */
+  function recordSession(sessionId, apply) {
+    if (!sessionId) return;
+    try {
+      apply();
+    } catch (error) {
+      console.error(`Error updating session ${sessionId}:`, error);
+    }
+  }
+
+  // Stripe, Razorpay, cash codes and payment verification
+  const payments = createPayments({
+    storeDir: privateDir,
+    paymentStore,
+    settingsStore,
+    logEvent,
+    requireAttendant,
+  });
+  app.use(payments.router);
+
+  // Routes
+  app.post('/api/save-photo', async (req, res) => {
+    try {
+      const { imageData, sessionId, filters } = req.body;
+      // The session id becomes part of the filename
+      if (!isValidSessionId(sessionId)) {
+        return res.status(400).json({ success: false, error: 'Invalid sessionId' });
+      }
+
+      const timestamp = Date.now();
+      const filename = `photo_${sessionId}_${timestamp}.jpg`;
+      const filepath = path.join(photosDir, filename);
+
+      const base64Data = imageData.replace(/^data:image\/\w+;base64,/, '');
+      const buffer = Buffer.from(base64Data, 'base64');
+
+      // filters: a filter id, filter parameters, or a list of both (stacked in order)
+      if (filters) loadLutFilters();
+      const image = filters
+        ? await applyFilterWithSharp(sharp, buffer, combineFilters(...[].concat(filters)))
+        : sharp(buffer);
+
+      await image.jpeg({ quality: 90 }).toFile(filepath);
+      recordSession(sessionId, () => sessionStore.addPhoto(sessionId, filename));
+
+      res.json({
+        success: true,
+        filename,
+        filepath,
+        url: `http://localhost:${API_PORT}/api/photos/${filename}`,
+      });
+    } catch (error) {
+      console.error('Error saving photo:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Animations built by the kiosk from burst captures (GIF, boomerang video)
+  const ANIMATION_TYPES = {
+    'image/gif': 'gif',
+    'video/webm': 'webm',
+    'video/mp4': 'mp4',
+  };
+
+  app.post('/api/save-animation', (req, res) => {
+    try {
+      const { data, sessionId } = req.body;
+      // The session id becomes part of the filename
+      if (!isValidSessionId(sessionId)) {
+        return res.status(400).json({ success: false, error: 'Invalid sessionId' });
+      }
+
+      const match = /^data:([\w/]+)(?:;[^,]*)?;base64,/.exec(data || '');
+      const extension = match && ANIMATION_TYPES[match[1]];
+      if (!extension) {
+        return res.status(400).json({
+          success: false,
+          error: `data must be a base64 data URL of type ${Object.keys(ANIMATION_TYPES).join(', ')}`,
+        });
+      }
+
+      const filename = `photo_${sessionId}_${Date.now()}.${extension}`;
+      const filepath = path.join(photosDir, filename);
+      fs.writeFileSync(filepath, Buffer.from(data.slice(match[0].length), 'base64'));
+      recordSession(sessionId, () => sessionStore.addPhoto(sessionId, filename));
+
+      res.json({
+        success: true,
+        filename,
+        filepath,
+        url: `http://localhost:${API_PORT}/api/photos/${filename}`,
+      });
+    } catch (error) {
+      console.error('Error saving animation:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/print-photo', async (req, res) => {
+    try {
+      const { filename, printerName, pageSize, sessionId } = req.body;
+      const printOptions = parsePrintOptions(req.body);
+
+      if (!filename) {
+        throw new Error('Photo filename is required');
+      }
+      if (pageSize && !PAGE_SIZES[pageSize]) {
+        throw new Error(`Unsupported page size "${pageSize}"`);
+      }
+
+      // Only serve files from photosDir
+      const filepath = path.join(photosDir, path.basename(filename));
+      if (!fs.existsSync(filepath)) {
+        throw new Error('Photo file not found');
+      }
+
+      // 'Default' / 'Default Printer' is the renderer's fallback when detection failed
+      const useSystemDefault = !printerName || printerName === 'Default' || printerName === 'Default Printer';
+      // A printer chosen in the admin panel wins over the one picked on the share screen
+      const configuredPrinter = settingsStore.get('kiosk').printerName;
+
+      const job = printQueue.add({
+        filename: path.basename(filename),
+        printerName: configuredPrinter || (useSystemDefault ? null : printerName),
+        pageSize,
+        printOptions,
+        sessionId,
+      });
+      recordSession(sessionId, () => sessionStore.addPrintJob(sessionId, job.id));
+      logEvent('print', sessionId, { jobId: job.id, pageSize: job.pageSize });
+
+      res.json({ success: true, jobId: job.id, job, message: 'Print job queued' });
+    } catch (error) {
+      console.error('Error printing photo:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get('/api/print-jobs', (req, res) => {
+    const { sessionId, status } = req.query;
+    res.json({ success: true, jobs: printQueue.list({ sessionId, status }) });
+  });
+
+  app.get('/api/print-jobs/:jobId', (req, res) => {
+    const job = printQueue.get(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Print job not found' });
+    }
+    res.json({ success: true, job });
+  });
+
+  app.post('/api/print-jobs/:jobId/cancel', (req, res) => {
+    if (!printQueue.get(req.params.jobId)) {
+      return res.status(404).json({ success: false, error: 'Print job not found' });
+    }
+    try {
+      const job = printQueue.cancel(req.params.jobId);
+      res.json({ success: true, job });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/print-jobs/:jobId/reprint', (req, res) => {
+    if (!printQueue.get(req.params.jobId)) {
+      return res.status(404).json({ success: false, error: 'Print job not found' });
+    }
+    try {
+      const job = printQueue.reprint(req.params.jobId);
+      recordSession(job.sessionId, () => sessionStore.addPrintJob(job.sessionId, job.id));
+      logEvent('print', job.sessionId, { jobId: job.id, pageSize: job.pageSize, reprint: true });
+      res.json({ success: true, jobId: job.id, job });
+    } catch (error) {
+      console.error('Error reprinting job:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/print-pdf', async (req, res) => {
+    try {
+      const { filename, pageSize = '4x6' } = req.body;
+
+      if (!filename) {
+        throw new Error('Photo filename is required');
+      }
+      if (!fs.existsSync(path.join(photosDir, path.basename(filename)))) {
+        throw new Error('Photo file not found');
+      }
+
+      const pdfFilename = await writePrintPdf(path.basename(filename), pageSize, parsePrintOptions(req.body));
+      res.json({
+        success: true,
+        filename: pdfFilename,
+        url: `http://localhost:${API_PORT}/api/prints/${pdfFilename}`,
+      });
+    } catch (error) {
+      console.error('Error rendering print PDF:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get('/api/prints/:filename', (req, res) => {
+    const filepath = path.join(printsDir, path.basename(req.params.filename));
+    if (fs.existsSync(filepath)) {
+      res.sendFile(filepath);
+    } else {
+      res.status(404).json({ error: 'Print file not found' });
+    }
+  });
+
+  // Session records: one JSON file per session in sessionsDir
+  app.get('/api/sessions', async (req, res) => {
+    try {
+      const { status, limit } = req.query;
+      const sessions = await sessionStore.list({ status, limit: parseInt(limit, 10) || undefined });
+      res.json({ success: true, sessions });
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Newest unfinished paid session, offered for resume after a crash or reload
+  app.get('/api/sessions/resumable', async (req, res) => {
+    try {
+      res.json({ success: true, session: await sessionStore.findResumable() });
+    } catch (error) {
+      console.error('Error finding a resumable session:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get('/api/sessions/:sessionId', (req, res) => {
+    try {
+      const session = sessionStore.get(req.params.sessionId);
+      if (!session) {
+        return res.status(404).json({ success: false, error: 'Session not found' });
+      }
+      res.json({ success: true, session });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Creates the record on the first update
+  app.patch('/api/sessions/:sessionId', (req, res) => {
+    try {
+      const session = sessionStore.update(req.params.sessionId, req.body);
+      res.json({ success: true, session });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/sessions/:sessionId/images', (req, res) => {
+    try {
+      const { kind, images } = req.body;
+      const session = sessionStore.saveImages(req.params.sessionId, kind, images);
+      res.json({ success: true, images: session.images });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get('/api/sessions/:sessionId/images/:filename', (req, res) => {
+    try {
+      const filepath = sessionStore.imagePath(req.params.sessionId, req.params.filename);
+      if (!filepath) {
+        return res.status(404).json({ success: false, error: 'Image not found' });
+      }
+      res.sendFile(filepath);
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/sessions/:sessionId/end', (req, res) => {
+    try {
+      const session = sessionStore.end(req.params.sessionId);
+      if (!session) {
+        return res.status(404).json({ success: false, error: 'Session not found' });
+      }
+      res.json({ success: true, session });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Pricing table served to the kiosk screens (amounts in the major currency unit)
+  app.get('/api/settings/pricing', (req, res) => {
+    res.json({ success: true, pricing: settingsStore.get('pricing') });
+  });
+
+  app.put('/api/settings/pricing', requireAdmin, (req, res) => {
+    try {
+      const pricing = settingsStore.set('pricing', validatePricing(req.body));
+      res.json({ success: true, pricing });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // LUT filters: list, and the .cube file so the kiosk can render previews
+  app.get('/api/luts', (req, res) => {
+    try {
+      const luts = loadLutFilters().map(({ id, name, size, error }) => ({ id, name, size, error }));
+      res.json({ success: true, luts });
+    } catch (error) {
+      console.error('Error listing LUTs:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get('/api/luts/:id', (req, res) => {
+    try {
+      const text = lutLibrary.read(req.params.id);
+      if (text === null) {
+        return res.status(404).json({ success: false, error: 'LUT not found' });
+      }
+      res.type('text/plain').send(text);
+    } catch (error) {
+      console.error('Error reading LUT:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Backdrops: list, and the image so the kiosk can put customers in front of it
+  app.get('/api/backdrops', (req, res) => {
+    try {
+      const backdrops = backdropLibrary.list().map(({ id, name }) => ({ id, name }));
+      res.json({ success: true, backdrops });
+    } catch (error) {
+      console.error('Error listing backdrops:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get('/api/backdrops/:id', (req, res) => {
+    try {
+      const filePath = backdropLibrary.filePath(req.params.id);
+      if (!filePath) {
+        return res.status(404).json({ success: false, error: 'Backdrop not found' });
+      }
+      res.sendFile(filePath);
+    } catch (error) {
+      console.error('Error reading backdrop:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Grids, filters and frames offered to customers, and the configured printer
+  app.get('/api/settings/kiosk', (req, res) => {
+    // Defaults fill in settings added since the kiosk settings were last saved
+    res.json({ success: true, kiosk: { ...DEFAULT_KIOSK_SETTINGS, ...settingsStore.get('kiosk') } });
+  });
+
+  app.put('/api/settings/kiosk', requireAdmin, (req, res) => {
+    try {
+      const current = { ...DEFAULT_KIOSK_SETTINGS, ...settingsStore.get('kiosk') };
+      const kiosk = settingsStore.set('kiosk', validateKioskSettings(req.body, current));
+      res.json({ success: true, kiosk });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Sessions and revenue for one day (today by default)
+  app.get('/api/admin/summary', requireAdmin, async (req, res) => {
+    try {
+      const { from, to } = dayRange(req.query.date);
+      const summary = await sessionStore.summarize({ from, to });
+      res.json({
+        success: true,
+        date: req.query.date || null,
+        currency: settingsStore.get('pricing').currency,
+        ...summary,
+      });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Flow events posted by the kiosk screens
+  app.post('/api/events', (req, res) => {
+    const { type, sessionId, data } = req.body;
+    if (!KIOSK_EVENT_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, error: `type must be one of ${KIOSK_EVENT_TYPES.join(', ')}` });
+    }
+    try {
+      const event = eventLog.record(type, sessionId, data);
+      res.json({ success: true, event });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Daily or weekly sales and usage report, as JSON or CSV (format=csv)
+  app.get('/api/reports', requireAdmin, async (req, res) => {
+    try {
+      const { period = 'daily', from, to, format } = req.query;
+      // Whole days from `from` through `to`; the last 30 days by default
+      const range = { to: dayRange(to).to };
+      if (from) {
+        range.from = dayRange(from).from;
+      } else {
+        range.from = new Date(range.to);
+        range.from.setDate(range.from.getDate() - 30);
+      }
+
+      const rows = buildReport(await eventLog.query(range), { period });
+      if (format === 'csv') {
+        res.type('text/csv');
+        res.attachment(`report_${period}.csv`);
+        return res.send(reportToCsv(rows));
+      }
+      res.json({ success: true, period, from: range.from.toISOString(), to: range.to.toISOString(), rows });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Tethered camera (DSLR) stills through the camera bridge (CAMERA_BRIDGE)
+  app.get('/api/camera/bridge', async (req, res) => {
+    res.json({ success: true, ...(await getCameraStatus()) });
+  });
+
+  app.post('/api/camera/capture', async (req, res) => {
+    try {
+      const maxSize = req.body?.maxSize === undefined ? undefined : Number(req.body.maxSize);
+      if (maxSize !== undefined && !(Number.isInteger(maxSize) && maxSize > 0)) {
+        return res.status(400).json({ success: false, error: 'maxSize must be a positive whole number' });
+      }
+
+      const { buffer, width, height } = await captureStill({ maxSize });
+      res.json({
+        success: true,
+        imageData: `data:image/jpeg;base64,${buffer.toString('base64')}`,
+        width,
+        height,
+      });
+    } catch (error) {
+      console.error('Error capturing from the camera bridge:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get('/api/printers', async (req, res) => {
+    try {
+      const printers = await listPrinters();
+      res.json({ success: true, printers });
+    } catch (error) {
+      console.error('Error listing printers:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get('/api/photos/:filename', (req, res) => {
+    // Only files the API saved itself, and never anything outside photosDir
+    const filename = path.basename(req.params.filename);
+    const match = PHOTO_FILENAME.exec(filename);
+    const filepath = path.resolve(photosDir, filename);
+    if (!match || path.dirname(filepath) !== path.resolve(photosDir) || !fs.existsSync(filepath)) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    // Photo URLs are only handed out as download QR codes. Count full downloads only,
+    // not HEAD requests, cache revalidations (304) or the ranges a video player fetches (206)
+    res.on('finish', () => {
+      if (req.method === 'GET' && res.statusCode === 200) {
+        logEvent('download', match[1], { via: 'qr', filename });
+      }
+    });
+    res.sendFile(filepath);
+  });
+
+  // Health check
+  app.get('/health', (req, res) => {
+    res.json({ status: 'OK', service: 'PhotoBooth Backend API' });
+  });
+
+  return { app, photosDir, sessionsDir };
+}
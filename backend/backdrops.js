@@ -0,0 +1,63 @@
+/**
+ * Backdrop Library
+ *
+ * Images dropped into the backdrop directory are offered as virtual
+ * backgrounds: the kiosk removes the background behind the customers and
+ * puts them in front of the chosen backdrop. The id is the file name without
+ * its extension.
+ */
+import fs from 'fs';
+import path from 'path';
+
+const BACKDROP_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+/**
+ * Backdrop id for an image file name: lowercase letters, digits, "-" and "_"
+ * @param {string} filename
+ * @returns {string}
+ */
+export function backdropIdFromFilename(filename) {
+  return path.basename(filename, path.extname(filename))
+    .toLowerCase()
+    .replace(/[^\w-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Create a backdrop library
+ *
+ * @param {Object} options
+ * @param {string} options.backdropsDir - Directory of backdrop images
+ * @returns {Object} Library API: { list, filePath }
+ */
+export function createBackdropLibrary({ backdropsDir }) {
+  fs.mkdirSync(backdropsDir, { recursive: true });
+
+  return {
+    /**
+     * All backdrop images in the directory, sorted by file name
+     * @returns {Array} [{ id, filename, name }]
+     */
+    list() {
+      return fs.readdirSync(backdropsDir)
+        .filter((filename) => BACKDROP_EXTENSIONS.includes(path.extname(filename).toLowerCase()))
+        .filter((filename) => backdropIdFromFilename(filename))
+        .sort()
+        .map((filename) => ({
+          id: backdropIdFromFilename(filename),
+          filename,
+          name: path.basename(filename, path.extname(filename)),
+        }));
+    },
+
+    /**
+     * Path of a backdrop image
+     * @param {string} id - Backdrop id
+     * @returns {string|null} Absolute path, or null if there is no such backdrop
+     */
+    filePath(id) {
+      const entry = this.list().find((candidate) => candidate.id === id);
+      return entry ? path.join(backdropsDir, entry.filename) : null;
+    },
+  };
+}
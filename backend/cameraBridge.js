@@ -0,0 +1,170 @@
+/**
+ * Camera bridge
+ *
+ * Takes full-resolution stills from a tethered camera (DSLR / mirrorless)
+ * while the kiosk keeps using the webcam for the live view. Stills come from
+ * a pluggable driver:
+ * - gphoto2: runs the gphoto2 command line tool (USB tethering on Linux/macOS)
+ * - http: a local bridge process that answers POST <url>/capture with the
+ *   image and GET <url>/status with { connected, camera }
+ * - mock: a generated test image, for machines without a camera
+ *
+ * The driver is picked from the CAMERA_BRIDGE environment variable
+ * ('gphoto2', 'http' or 'mock'; default 'gphoto2'). GPHOTO2_PATH overrides the
+ * gphoto2 executable and CAMERA_BRIDGE_URL sets the http bridge address.
+ */
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+
+const execFileAsync = promisify(execFile);
+
+// Pressing the shutter and downloading a large raw+jpeg can take a while
+const CAPTURE_TIMEOUT_MS = 30000;
+
+/**
+ * gphoto2 driver (https://gphoto.org), for cameras on USB
+ */
+const gphoto2Driver = {
+  async status() {
+    const { stdout } = await execFileAsync(process.env.GPHOTO2_PATH || 'gphoto2', ['--auto-detect'], { timeout: 10000 });
+    // Output: a header, a dashed line, then "<model>   usb:001,004" per camera
+    const cameras = stdout.split('\n').slice(2).map((line) => line.trim()).filter(Boolean);
+    const camera = cameras[0] ? cameras[0].replace(/\s+\S+:\S*$/, '').trim() : null;
+    return { connected: cameras.length > 0, camera };
+  },
+
+  async capture() {
+    const filepath = path.join(os.tmpdir(), `photobooth_capture_${Date.now()}.jpg`);
+    try {
+      await execFileAsync(
+        process.env.GPHOTO2_PATH || 'gphoto2',
+        ['--capture-image-and-download', '--force-overwrite', '--filename', filepath],
+        { timeout: CAPTURE_TIMEOUT_MS }
+      );
+      return fs.readFileSync(filepath);
+    } finally {
+      fs.rmSync(filepath, { force: true });
+    }
+  },
+};
+
+const bridgeUrl = () => {
+  const url = process.env.CAMERA_BRIDGE_URL;
+  if (!url) {
+    throw new Error('CAMERA_BRIDGE_URL is not set');
+  }
+  return url.replace(/\/+$/, '');
+};
+
+/**
+ * HTTP driver for a local bridge process (vendor SDK wrappers, digiCamControl, ...)
+ */
+const httpDriver = {
+  async status() {
+    const response = await fetch(`${bridgeUrl()}/status`, { signal: AbortSignal.timeout(10000) });
+    if (!response.ok) {
+      throw new Error(`Camera bridge returned ${response.status}`);
+    }
+    const { connected, camera } = await response.json();
+    return { connected: Boolean(connected), camera: camera || null };
+  },
+
+  async capture() {
+    const response = await fetch(`${bridgeUrl()}/capture`, {
+      method: 'POST',
+      signal: AbortSignal.timeout(CAPTURE_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`Camera bridge returned ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  },
+};
+
+/**
+ * Mock driver: a 6000x4000 test image with the capture time on it
+ */
+const mockDriver = {
+  async status() {
+    return { connected: true, camera: 'Mock DSLR' };
+  },
+
+  async capture() {
+    const width = 6000;
+    const height = 4000;
+    const label = `<svg width="${width}" height="${height}"><text x="50%" y="50%" font-size="240" text-anchor="middle" fill="white">Mock DSLR ${new Date().toLocaleTimeString()}</text></svg>`;
+    return sharp({ create: { width, height, channels: 3, background: { r: 70, g: 90, b: 120 } } })
+      .composite([{ input: Buffer.from(label) }])
+      .jpeg({ quality: 90 })
+      .toBuffer();
+  },
+};
+
+const drivers = {
+  gphoto2: gphoto2Driver,
+  http: httpDriver,
+  mock: mockDriver,
+};
+
+// Driver used when CAMERA_BRIDGE is not set
+const DEFAULT_CAMERA_DRIVER = 'gphoto2';
+
+/**
+ * Register (or replace) a camera driver
+ * @param {string} name - Driver name, selectable through CAMERA_BRIDGE
+ * @param {Object} driver - Object implementing `status(): Promise<{ connected, camera }>`
+ *   and `capture(): Promise<Buffer>` (an image sharp can read)
+ */
+export function registerCameraDriver(name, driver) {
+  if (!driver || typeof driver.status !== 'function' || typeof driver.capture !== 'function') {
+    throw new Error(`Camera driver "${name}" must implement status() and capture()`);
+  }
+  drivers[name] = driver;
+}
+
+/**
+ * Get the active camera driver
+ * @returns {Object} { name, driver }
+ */
+export function getCameraDriver() {
+  const name = process.env.CAMERA_BRIDGE || DEFAULT_CAMERA_DRIVER;
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown camera driver "${name}"`);
+  }
+  return { name, driver };
+}
+
+/**
+ * Whether a tethered camera is available
+ * @returns {Promise<Object>} { driver, connected, camera, error }
+ */
+export async function getCameraStatus() {
+  const name = process.env.CAMERA_BRIDGE || DEFAULT_CAMERA_DRIVER;
+  try {
+    // Inside the try, so an unknown CAMERA_BRIDGE is reported like any other camera error
+    const { driver } = getCameraDriver();
+    return { driver: name, ...(await driver.status()), error: null };
+  } catch (error) {
+    return { driver: name, connected: false, camera: null, error: error.message };
+  }
+}
+
+/**
+ * Take a still with the tethered camera
+ * @param {Object} options - { maxSize } longest side in pixels; omit for full resolution
+ * @returns {Promise<Object>} { buffer (JPEG, upright), width, height }
+ */
+export async function captureStill({ maxSize } = {}) {
+  const { driver } = getCameraDriver();
+  let image = sharp(await driver.capture()).rotate();
+  if (maxSize) {
+    image = image.resize({ width: maxSize, height: maxSize, fit: 'inside', withoutEnlargement: true });
+  }
+  const { data, info } = await image.jpeg({ quality: 92 }).toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height };
+}
@@ -0,0 +1,245 @@
+/**
+ * Cash Codes
+ *
+ * Codes the attendant hands to a customer after taking cash. Every code pays
+ * one amount, and only a session with that total can redeem it. Two kinds
+ * are accepted:
+ * - Single-use codes issued from the attendant view for the amount taken,
+ *   valid until redeemed or expired
+ * - Time-based codes (TOTP, RFC 6238) from an authenticator app, when a shared
+ *   secret and the amount they pay are configured; each time step can only be
+ *   redeemed once
+ *
+ * Every redemption is logged against the sessionId and amount. Repeated wrong
+ * entries lock code entry for that session for a while (see createLockout).
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+/**
+ * Decode an RFC 4648 base32 string (the format authenticator apps use for secrets)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const clean = input.replace(/[\s=-]/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = alphabet.indexOf(char);
+    if (index === -1) {
+      throw new Error('TOTP secret must be base32');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Compute the TOTP code for a time step (HMAC-SHA1, 6 digits)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Time step number
+ * @returns {string}
+ */
+export function totpCode(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function totpCounter(time = Date.now()) {
+  return Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Create the cash code store
+ *
+ * @param {Object} options
+ * @param {string} options.storePath - JSON file codes and the redemption log are persisted to
+ * @param {string} options.totpSecret - Base32 TOTP secret; time-based codes are disabled without it
+ * @param {number} options.totpAmount - Amount a time-based code pays (smallest currency unit);
+ *   time-based codes are disabled without it
+ * @param {number} options.codeTtlMinutes - Lifetime of single-use codes (default 60)
+ * @param {Object} options.lockout - Lockout for wrong codes (see createLockout)
+ * @returns {Object} Store API: { issue, redeem, status, log }
+ */
+export function createCashCodeStore({
+  storePath,
+  totpSecret,
+  totpAmount,
+  codeTtlMinutes = 60,
+  lockout,
+}) {
+  let state = load();
+  const totpEnabled = Boolean(totpSecret && totpAmount > 0);
+
+  function load() {
+    const empty = { codes: [], redemptions: [], lastTotpCounter: null };
+    if (!fs.existsSync(storePath)) return empty;
+
+    try {
+      return { ...empty, ...JSON.parse(fs.readFileSync(storePath, 'utf8')) };
+    } catch (error) {
+      console.error('Error loading cash codes:', error);
+      return empty;
+    }
+  }
+
+  function save() {
+    const tempPath = `${storePath}.tmp`;
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tempPath, storePath);
+  }
+
+  // Drop codes that can no longer be redeemed
+  function pruneCodes(now = Date.now()) {
+    state.codes = state.codes.filter((code) => !code.redeemedAt && Date.parse(code.expiresAt) > now);
+  }
+
+  /**
+   * Lockout state of a session, shown on the kiosk
+   * @param {string} sessionId
+   * @returns {Object} { locked, lockedUntil, attemptsLeft, totpEnabled }
+   */
+  function status(sessionId) {
+    return { ...lockout.status(sessionId), totpEnabled };
+  }
+
+  // Match a TOTP code in the current, previous or next time step (clock drift)
+  function matchTotp(code) {
+    if (!totpEnabled) return null;
+
+    const current = totpCounter();
+    for (const counter of [current, current - 1, current + 1]) {
+      if (counter <= (state.lastTotpCounter ?? -1)) continue;
+      if (safeEqual(totpCode(totpSecret, counter), code)) return counter;
+    }
+    return null;
+  }
+
+  return {
+    /**
+     * Issue a single-use code for the cash taken
+     * @param {Object} params - { amount (smallest currency unit), currency, issuedBy (optional attendant name for the log) }
+     * @returns {Object} { id, code, amount, currency, issuedBy, createdAt, expiresAt, redeemedAt }
+     */
+    issue({ amount, currency, issuedBy = null }) {
+      if (!Number.isInteger(amount) || amount <= 0) {
+        throw new Error('amount must be greater than 0');
+      }
+
+      pruneCodes();
+
+      let code;
+      do {
+        code = String(crypto.randomInt(0, 10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+      } while (state.codes.some((existing) => existing.code === code));
+
+      const now = new Date();
+      const entry = {
+        id: `cash_${now.getTime()}_${crypto.randomBytes(4).toString('hex')}`,
+        code,
+        amount,
+        currency,
+        issuedBy,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + codeTtlMinutes * 60 * 1000).toISOString(),
+        redeemedAt: null,
+      };
+      state.codes.push(entry);
+      save();
+      return entry;
+    },
+
+    /**
+     * Redeem a code for a session
+     * @param {Object} params - { code, sessionId, amount (smallest currency unit), currency }
+     * @returns {Object} { redemption, wrongAmount, locked, lockedUntil, attemptsLeft, totpEnabled };
+     *   redemption is the log entry, or null if the code was wrong, is for another
+     *   amount (wrongAmount) or entry is locked
+     */
+    redeem({ code, sessionId, amount, currency }) {
+      if (lockout.status(sessionId).locked) {
+        return { redemption: null, wrongAmount: false, ...status(sessionId) };
+      }
+
+      pruneCodes();
+      const normalized = String(code || '').trim();
+      let method = null;
+      let codeId = null;
+      let wrongAmount = false;
+
+      const issued = state.codes.find((entry) => safeEqual(entry.code, normalized));
+      if (issued) {
+        // A code for another amount is left for the session it was meant for
+        wrongAmount = issued.amount !== amount || issued.currency !== currency;
+        if (!wrongAmount) {
+          issued.redeemedAt = new Date().toISOString();
+          method = 'single-use';
+          codeId = issued.id;
+        }
+      } else {
+        const counter = matchTotp(normalized);
+        if (counter !== null) {
+          wrongAmount = totpAmount !== amount;
+          if (!wrongAmount) {
+            state.lastTotpCounter = counter;
+            method = 'totp';
+            codeId = `totp_${counter}`;
+          }
+        }
+      }
+
+      if (!method) {
+        lockout.recordFailure(sessionId);
+        return { redemption: null, wrongAmount, ...status(sessionId) };
+      }
+
+      const redemption = {
+        sessionId,
+        amount,
+        currency,
+        method,
+        codeId,
+        redeemedAt: new Date().toISOString(),
+      };
+      state.redemptions.push(redemption);
+      pruneCodes();
+      save();
+      lockout.recordSuccess(sessionId);
+      return { redemption, wrongAmount: false, ...status(sessionId) };
+    },
+
+    status,
+
+    /**
+     * Redemption log, newest first
+     * @returns {Array}
+     */
+    log() {
+      return [...state.redemptions].reverse();
+    },
+  };
+}
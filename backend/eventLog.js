@@ -0,0 +1,101 @@
+/**
+ * Event Log
+ *
+ * Append-only log of what happens across the kiosk flow, one JSON object per
+ * line (JSON Lines), so sales and usage reports can be built from it.
+ * Appending keeps writes cheap and a crash can at worst cut off the last line,
+ * which is skipped when the log is read.
+ *
+ * Event: { at, type, sessionId, ...data }
+ * - session_start: customer pressed Start
+ * - grid: { gridId }
+ * - payment: { provider, amount (smallest currency unit), currency, gridId }
+ * - capture: { count }
+ * - frame: { frameId }
+ * - print: { jobId, pageSize, reprint }
+ * - download: { via ('kiosk' | 'qr'), filename }
+ * - pin_failure: { role ('admin' | 'attendant'), locked } - wrong PIN, and whether it locked PIN entry
+ */
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+export const EVENT_TYPES = ['session_start', 'grid', 'payment', 'capture', 'frame', 'print', 'download', 'pin_failure'];
+
+// Events the kiosk may post; payments, prints and PIN failures are only logged by the server
+export const KIOSK_EVENT_TYPES = ['session_start', 'grid', 'capture', 'frame', 'download'];
+
+// Fields every event has; event data cannot overwrite them
+const RESERVED_FIELDS = ['at', 'type', 'sessionId'];
+
+/**
+ * Create an event log
+ *
+ * @param {Object} options
+ * @param {string} options.logPath - JSON Lines file events are appended to
+ * @returns {Object} Log API: { record, query }
+ */
+export function createEventLog({ logPath }) {
+  fs.mkdirSync(path.dirname(logPath), { recursive: true });
+
+  return {
+    /**
+     * Append an event
+     * @param {string} type - One of EVENT_TYPES
+     * @param {string|null} sessionId
+     * @param {Object} data - Event details; only string, number and boolean values are kept,
+     *   and at, type and sessionId are ignored
+     * @returns {Object} The logged event
+     */
+    record(type, sessionId, data = {}) {
+      if (!EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown event type "${type}"`);
+      }
+
+      const details = Object.fromEntries(
+        Object.entries(data || {}).filter(([key, value]) => (
+          !RESERVED_FIELDS.includes(key) && ['string', 'number', 'boolean'].includes(typeof value)
+        ))
+      );
+      const event = { at: new Date().toISOString(), type, sessionId: sessionId || null, ...details };
+      fs.appendFileSync(logPath, `${JSON.stringify(event)}\n`);
+      return event;
+    },
+
+    /**
+     * Events in a time range, oldest first
+     * The log is streamed, so a long log does not block the server while it
+     * is read. Events are appended in time order, so reading stops at the
+     * first event after the range.
+     *
+     * @param {Object} range - { from, to } Dates; to is exclusive
+     * @returns {Promise<Array>}
+     */
+    async query({ from, to } = {}) {
+      if (!fs.existsSync(logPath)) return [];
+
+      const events = [];
+      const stream = fs.createReadStream(logPath, { encoding: 'utf8' });
+      const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+      try {
+        for await (const line of lines) {
+          if (!line) continue;
+          let event;
+          try {
+            event = JSON.parse(line);
+          } catch {
+            continue;
+          }
+
+          const at = Date.parse(event.at);
+          if (to && at >= to.getTime()) break;
+          if (!from || at >= from.getTime()) events.push(event);
+        }
+      } finally {
+        lines.close();
+        stream.destroy();
+      }
+      return events;
+    },
+  };
+}
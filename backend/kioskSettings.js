@@ -0,0 +1,310 @@
+/**
+ * Kiosk settings
+ *
+ * What the operator can change from the admin panel besides prices: which
+ * grids, filters, frames and AR face props customers are offered, the
+ * printer prints are sent to, hands-free capture, retakes, the shot pool,
+ * the camera, burst animations, virtual backdrops and the green screen. A
+ * null list means everything is enabled, so grids, filters, frames or props
+ * added in an update show up without touching the settings.
+ *
+ * Kiosk settings: {
+ *   enabledGrids: [gridId] | null,
+ *   enabledFilters: [filterId] | null,
+ *   enabledFrames: [frameId] | null,
+ *   enabledProps: [propId] | null (an empty list turns AR face props off),
+ *   printerName: string | null (null uses the printer chosen on the share screen),
+ *   handsFree: {
+ *     enabled: boolean (start the capture countdown from a smile or a raised hand),
+ *     triggers: ['smile' | 'hand'],
+ *     sensitivity: number from 0 (strict) to 1 (triggers easily),
+ *     fallbackSeconds: number (start the countdown anyway after this long; 0 = never)
+ *   },
+ *   retakes: {
+ *     limit: number (single photos a customer may retake from the review after the last
+ *       shot; 0 = no review, the session goes straight to editing)
+ *   },
+ *   shotPool: {
+ *     extraShots: number (shots taken beyond the grid's cells, for customers to pick the
+ *       best from; 0 = one shot per cell),
+ *     shareUnused: boolean (offer the shots not picked for the grid as downloads)
+ *   },
+ *   camera: {
+ *     deviceId: string | null (webcam for the live view; null uses the default camera),
+ *     width, height: number (requested live view resolution),
+ *     frameRate: number (requested frames per second),
+ *     source: 'webcam' | 'dslr' (where stills come from; 'dslr' uses the camera bridge),
+ *     fullResolution: boolean (webcam stills at the camera's full resolution rather than the live view's)
+ *   },
+ *   burst: {
+ *     enabled: boolean (take a burst of frames with every photo for animations),
+ *     frames: number (frames per burst),
+ *     intervalMs: number (time between frames),
+ *     outputs: ['gif' | 'boomerang'] (animations built from the bursts)
+ *   },
+ *   backgroundRemoval: {
+ *     enabled: boolean (offer backdrops; the background behind the customers is replaced),
+ *     feather: number (edge softness in pixels, for a 1280 pixel wide photo)
+ *   },
+ *   chromaKey: {
+ *     enabled: boolean (the booth has a green screen; keying replaces it with the backdrop
+ *       and is used instead of background removal),
+ *     keyColor: string ('#rrggbb', the screen's color),
+ *     tolerance: number from 0 (only the exact key color) to 1 (everything as far from it as gray),
+ *     spill: number from 0 (off) to 1 (full spill suppression: the screen's color cast on people is removed)
+ *   }
+ * }
+ */
+
+export const HANDS_FREE_TRIGGERS = ['smile', 'hand'];
+
+export const DEFAULT_HANDS_FREE = {
+  enabled: false,
+  triggers: HANDS_FREE_TRIGGERS,
+  sensitivity: 0.5,
+  fallbackSeconds: 10,
+};
+
+export const DEFAULT_RETAKES = {
+  limit: 2,
+};
+
+export const DEFAULT_SHOT_POOL = {
+  extraShots: 0,
+  shareUnused: true,
+};
+
+export const CAPTURE_SOURCES = ['webcam', 'dslr'];
+
+export const DEFAULT_CAMERA = {
+  deviceId: null,
+  width: 1280,
+  height: 720,
+  frameRate: 30,
+  source: 'webcam',
+  fullResolution: true,
+};
+
+export const BURST_OUTPUTS = ['gif', 'boomerang'];
+
+export const DEFAULT_BURST = {
+  enabled: false,
+  frames: 8,
+  intervalMs: 120,
+  outputs: BURST_OUTPUTS,
+};
+
+export const DEFAULT_BACKGROUND_REMOVAL = {
+  enabled: false,
+  feather: 6,
+};
+
+export const DEFAULT_CHROMA_KEY = {
+  enabled: false,
+  keyColor: '#00b140',
+  tolerance: 0.5,
+  spill: 0.6,
+};
+
+export const DEFAULT_KIOSK_SETTINGS = {
+  enabledGrids: null,
+  enabledFilters: null,
+  enabledFrames: null,
+  enabledProps: null,
+  printerName: null,
+  handsFree: DEFAULT_HANDS_FREE,
+  retakes: DEFAULT_RETAKES,
+  shotPool: DEFAULT_SHOT_POOL,
+  camera: DEFAULT_CAMERA,
+  burst: DEFAULT_BURST,
+  backgroundRemoval: DEFAULT_BACKGROUND_REMOVAL,
+  chromaKey: DEFAULT_CHROMA_KEY,
+};
+
+const ID_LISTS = ['enabledGrids', 'enabledFilters', 'enabledFrames', 'enabledProps'];
+
+// Lists that may enable nothing: the feature is simply not offered
+const OPTIONAL_ID_LISTS = ['enabledProps'];
+
+// Field checks: each takes the value and its name, and returns the value to store or throws
+
+const isBoolean = (value, name) => {
+  if (typeof value !== 'boolean') {
+    throw new Error(`${name} must be true or false`);
+  }
+  return value;
+};
+
+const numberFrom = (min, max) => (value, name) => {
+  if (typeof value !== 'number' || value < min || value > max) {
+    throw new Error(`${name} must be a number from ${min} to ${max}`);
+  }
+  return value;
+};
+
+const wholeNumberFrom = (min, max) => (value, name) => {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${name} must be a whole number from ${min} to ${max}`);
+  }
+  return value;
+};
+
+const oneOf = (options) => (value, name) => {
+  if (!options.includes(value)) {
+    throw new Error(`${name} must be one of ${options.join(', ')}`);
+  }
+  return value;
+};
+
+const oneOrMoreOf = (options) => (value, name) => {
+  if (!Array.isArray(value) || value.length === 0 || !value.every((option) => options.includes(option))) {
+    throw new Error(`${name} must list one or more of ${options.join(', ')}`);
+  }
+  return [...new Set(value)];
+};
+
+const deviceIdOrNull = (value, name) => {
+  if (value !== null && (typeof value !== 'string' || !value)) {
+    throw new Error(`${name} must be a device id or null`);
+  }
+  return value;
+};
+
+const hexColor = (value, name) => {
+  if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+    throw new Error(`${name} must be a color like #00b140`);
+  }
+  return value.toLowerCase();
+};
+
+// Settings sections: their defaults and the check of each field
+const SECTIONS = {
+  handsFree: {
+    defaults: DEFAULT_HANDS_FREE,
+    fields: {
+      enabled: isBoolean,
+      triggers: oneOrMoreOf(HANDS_FREE_TRIGGERS),
+      sensitivity: numberFrom(0, 1),
+      fallbackSeconds: wholeNumberFrom(0, 120),
+    },
+  },
+  retakes: {
+    defaults: DEFAULT_RETAKES,
+    fields: {
+      limit: wholeNumberFrom(0, 20),
+    },
+  },
+  shotPool: {
+    defaults: DEFAULT_SHOT_POOL,
+    fields: {
+      extraShots: wholeNumberFrom(0, 12),
+      shareUnused: isBoolean,
+    },
+  },
+  camera: {
+    defaults: DEFAULT_CAMERA,
+    fields: {
+      deviceId: deviceIdOrNull,
+      width: wholeNumberFrom(160, 7680),
+      height: wholeNumberFrom(120, 4320),
+      frameRate: wholeNumberFrom(1, 120),
+      source: oneOf(CAPTURE_SOURCES),
+      fullResolution: isBoolean,
+    },
+  },
+  burst: {
+    defaults: DEFAULT_BURST,
+    fields: {
+      enabled: isBoolean,
+      frames: wholeNumberFrom(2, 30),
+      intervalMs: wholeNumberFrom(40, 1000),
+      outputs: oneOrMoreOf(BURST_OUTPUTS),
+    },
+  },
+  backgroundRemoval: {
+    defaults: DEFAULT_BACKGROUND_REMOVAL,
+    fields: {
+      enabled: isBoolean,
+      feather: wholeNumberFrom(0, 30),
+    },
+  },
+  chromaKey: {
+    defaults: DEFAULT_CHROMA_KEY,
+    fields: {
+      enabled: isBoolean,
+      keyColor: hexColor,
+      tolerance: numberFrom(0, 1),
+      spill: numberFrom(0, 1),
+    },
+  },
+};
+
+/**
+ * Check a settings section, merged over its current value
+ * @param {string} name - Key in SECTIONS
+ * @param {Object} changes - Fields to change; the others keep their current value
+ * @param {Object} current - Current value of the section
+ * @returns {Object} The section, with every field checked
+ * @throws {Error} Describing the first invalid field
+ */
+function validateSection(name, changes, current) {
+  if (typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new Error(`${name} must be an object`);
+  }
+
+  const { defaults, fields } = SECTIONS[name];
+  const merged = { ...defaults, ...current, ...changes };
+  return Object.fromEntries(
+    Object.entries(fields).map(([field, check]) => [field, check(merged[field], `${name}.${field}`)])
+  );
+}
+
+/**
+ * Check a kiosk settings update before it is saved
+ * Fields left out keep their current value, also within a section; null
+ * resets a list (everything enabled), the printer or a whole section to its default.
+ *
+ * @param {Object} settings - Fields to change
+ * @param {Object} current - Stored kiosk settings (defaults when nothing is stored)
+ * @returns {Object} The updated settings, normalized
+ * @throws {Error} Describing the first invalid entry
+ */
+export function validateKioskSettings(settings, current = DEFAULT_KIOSK_SETTINGS) {
+  if (!settings || typeof settings !== 'object') {
+    throw new Error('Kiosk settings must be an object');
+  }
+
+  const normalized = { ...DEFAULT_KIOSK_SETTINGS, ...current };
+  for (const key of ID_LISTS) {
+    const ids = settings[key];
+    if (ids === undefined) continue;
+    if (ids === null) {
+      normalized[key] = null;
+      continue;
+    }
+    if (!Array.isArray(ids) || !ids.every((id) => typeof id === 'string' && id)) {
+      throw new Error(`${key} must be a list of ids or null`);
+    }
+    if (ids.length === 0 && !OPTIONAL_ID_LISTS.includes(key)) {
+      throw new Error(`${key} must enable at least one option`);
+    }
+    normalized[key] = [...new Set(ids)];
+  }
+
+  const { printerName } = settings;
+  if (printerName !== undefined && printerName !== null && typeof printerName !== 'string') {
+    throw new Error('printerName must be a string or null');
+  }
+  if (printerName !== undefined) {
+    normalized.printerName = printerName || null;
+  }
+
+  for (const name of Object.keys(SECTIONS)) {
+    if (settings[name] === undefined) continue;
+    normalized[name] = settings[name] === null
+      ? SECTIONS[name].defaults
+      : validateSection(name, settings[name], normalized[name]);
+  }
+
+  return normalized;
+}
@@ -0,0 +1,99 @@
+/**
+ * Lockout
+ *
+ * Counts wrong entries (PINs, cash codes) and locks entry for a while after
+ * too many, so a secret cannot be guessed by trying every combination. Counts
+ * are kept per key, so one kiosk or role can be locked without the others.
+ * The state is persisted so a restart does not clear a lock.
+ */
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Create a lockout
+ *
+ * @param {Object} options
+ * @param {string} options.storePath - JSON file the lockout state is persisted to
+ * @param {number} options.maxAttempts - Wrong entries allowed before lockout (default 5)
+ * @param {number} options.lockoutMinutes - Lockout duration (default 5)
+ * @returns {Object} Lockout API: { status, recordFailure, recordSuccess }
+ */
+export function createLockout({ storePath, maxAttempts = 5, lockoutMinutes = 5 }) {
+  // { [key]: { failedAttempts, lockedUntil } }
+  let entries = load();
+
+  function load() {
+    if (!fs.existsSync(storePath)) return {};
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+      return Object.fromEntries(
+        Object.entries(stored).filter(([, entry]) => entry && typeof entry === 'object')
+      );
+    } catch (error) {
+      console.error('Error loading lockout:', error);
+      return {};
+    }
+  }
+
+  function save() {
+    // Keys with no wrong entries left and no lock are dropped
+    const now = Date.now();
+    entries = Object.fromEntries(Object.entries(entries).filter(([, entry]) =>
+      entry.failedAttempts > 0 || (entry.lockedUntil && Date.parse(entry.lockedUntil) > now)
+    ));
+
+    const tempPath = `${storePath}.tmp`;
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(entries, null, 2));
+    fs.renameSync(tempPath, storePath);
+  }
+
+  function entry(key) {
+    return entries[key] || { failedAttempts: 0, lockedUntil: null };
+  }
+
+  /**
+   * Current lockout state of a key
+   * @param {string} key
+   * @returns {Object} { locked, lockedUntil, attemptsLeft }
+   */
+  function status(key) {
+    const { failedAttempts, lockedUntil } = entry(key);
+    const locked = Boolean(lockedUntil && Date.parse(lockedUntil) > Date.now());
+    return {
+      locked,
+      lockedUntil: locked ? lockedUntil : null,
+      attemptsLeft: locked ? 0 : maxAttempts - failedAttempts,
+    };
+  }
+
+  return {
+    status,
+
+    /**
+     * Count a wrong entry; locks the key once maxAttempts is reached
+     * @param {string} key
+     * @returns {Object} Lockout state after the failure (see status)
+     */
+    recordFailure(key) {
+      const current = entry(key);
+      const failedAttempts = current.failedAttempts + 1;
+      entries[key] = failedAttempts >= maxAttempts
+        ? { failedAttempts: 0, lockedUntil: new Date(Date.now() + lockoutMinutes * 60 * 1000).toISOString() }
+        : { ...current, failedAttempts };
+      save();
+      return status(key);
+    },
+
+    /**
+     * Reset the count of a key after a correct entry
+     * @param {string} key
+     */
+    recordSuccess(key) {
+      if (entry(key).failedAttempts === 0) return;
+      entries[key] = { ...entries[key], failedAttempts: 0 };
+      save();
+    },
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * LUT Library
+ *
+ * Color grades dropped into the LUT directory as .cube files become photo
+ * filters, without code changes. Files are parsed on first use and again when
+ * they change on disk; the id is the file name without .cube.
+ *
+ * Parsing is passed in (the filter engine's parseCubeLut), so this file has no
+ * dependencies besides Node.
+ */
+import fs from 'fs';
+import path from 'path';
+
+const LUT_EXTENSION = '.cube';
+
+/**
+ * Filter id for a .cube file name: lowercase letters, digits, "-" and "_"
+ * @param {string} filename
+ * @returns {string}
+ */
+export function lutIdFromFilename(filename) {
+  return path.basename(filename, path.extname(filename))
+    .toLowerCase()
+    .replace(/[^\w-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Create a LUT library
+ *
+ * @param {Object} options
+ * @param {string} options.lutsDir - Directory of .cube files
+ * @param {Function} options.parseLut - (text) => parsed LUT; throws for invalid files
+ * @returns {Object} Library API: { list, read }
+ */
+export function createLutLibrary({ lutsDir, parseLut }) {
+  fs.mkdirSync(lutsDir, { recursive: true });
+
+  // filename -> { mtimeMs, entry }
+  const cache = new Map();
+
+  const load = (filename) => {
+    const filePath = path.join(lutsDir, filename);
+    const { mtimeMs } = fs.statSync(filePath);
+    const cached = cache.get(filename);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.entry;
+    }
+
+    const id = lutIdFromFilename(filename);
+    let entry;
+    try {
+      const lut = parseLut(fs.readFileSync(filePath, 'utf8'));
+      entry = { id, filename, name: lut.title || id, size: lut.size, lut };
+    } catch (error) {
+      entry = { id, filename, name: id, error: error.message };
+    }
+    cache.set(filename, { mtimeMs, entry });
+    return entry;
+  };
+
+  return {
+    /**
+     * All .cube files in the directory, sorted by file name. Files that
+     * could not be parsed have an error instead of a lut.
+     * @returns {Array} [{ id, filename, name, size, lut } | { id, filename, name, error }]
+     */
+    list() {
+      const filenames = fs.readdirSync(lutsDir)
+        .filter((filename) => path.extname(filename).toLowerCase() === LUT_EXTENSION)
+        .filter((filename) => lutIdFromFilename(filename))
+        .sort();
+
+      for (const filename of cache.keys()) {
+        if (!filenames.includes(filename)) cache.delete(filename);
+      }
+      return filenames.map(load);
+    },
+
+    /**
+     * Contents of a LUT file
+     * @param {string} id - LUT id
+     * @returns {string|null} File text, or null if there is no such LUT
+     */
+    read(id) {
+      const entry = this.list().find((candidate) => candidate.id === id && !candidate.error);
+      return entry ? fs.readFileSync(path.join(lutsDir, entry.filename), 'utf8') : null;
+    },
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * Local mock of the Razorpay API for development and tests
+ *
+ * Run:  RAZORPAY_KEY_ID=rzp_test_mock RAZORPAY_KEY_SECRET=mock_secret npm run mock:razorpay
+ * Then start the backend with the same keys and RAZORPAY_API_URL=http://localhost:4010/v1
+ *
+ * Implements:
+ * - POST /v1/orders               Create an order (Basic auth with the key id/secret)
+ * - GET  /v1/orders/:orderId      Fetch an order
+ * - POST /v1/mock/pay/:orderId    Simulate a customer paying: returns the same
+ *                                 { razorpay_order_id, razorpay_payment_id, razorpay_signature }
+ *                                 payload Razorpay Checkout hands to the browser
+ */
+import express from 'express';
+import { signRazorpayPayment } from './razorpay.js';
+
+const PORT = process.env.MOCK_RAZORPAY_PORT || 4010;
+const keyId = process.env.RAZORPAY_KEY_ID || 'rzp_test_mock';
+const keySecret = process.env.RAZORPAY_KEY_SECRET || 'mock_secret';
+
+const app = express();
+app.use(express.json());
+
+const orders = new Map();
+
+function randomId(prefix) {
+  return `${prefix}_${Math.random().toString(36).substr(2, 14)}`;
+}
+
+function requireAuth(req, res, next) {
+  const expected = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+  if (req.headers.authorization !== expected) {
+    return res.status(401).json({
+      error: { code: 'BAD_REQUEST_ERROR', description: 'Authentication failed' },
+    });
+  }
+  next();
+}
+
+app.post('/v1/orders', requireAuth, (req, res) => {
+  const { amount, currency = 'INR', receipt } = req.body;
+  if (!Number.isInteger(amount) || amount < 100) {
+    return res.status(400).json({
+      error: { code: 'BAD_REQUEST_ERROR', description: 'The amount must be atleast INR 1.00' },
+    });
+  }
+
+  const order = {
+    id: randomId('order'),
+    entity: 'order',
+    amount,
+    amount_paid: 0,
+    amount_due: amount,
+    currency,
+    receipt: receipt || null,
+    status: 'created',
+    attempts: 0,
+    created_at: Math.floor(Date.now() / 1000),
+  };
+  orders.set(order.id, order);
+  res.json(order);
+});
+
+app.get('/v1/orders/:orderId', requireAuth, (req, res) => {
+  const order = orders.get(req.params.orderId);
+  if (!order) {
+    return res.status(400).json({
+      error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' },
+    });
+  }
+  res.json(order);
+});
+
+app.post('/v1/mock/pay/:orderId', (req, res) => {
+  const order = orders.get(req.params.orderId);
+  if (!order) {
+    return res.status(404).json({ error: { description: 'Order not found' } });
+  }
+
+  const paymentId = randomId('pay');
+  Object.assign(order, { status: 'paid', amount_paid: order.amount, amount_due: 0, attempts: order.attempts + 1 });
+
+  res.json({
+    razorpay_order_id: order.id,
+    razorpay_payment_id: paymentId,
+    razorpay_signature: signRazorpayPayment(order.id, paymentId, keySecret),
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Mock Razorpay API running on http://localhost:${PORT}/v1`);
+});
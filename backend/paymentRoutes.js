@@ -0,0 +1,327 @@
+/**
+ * Payment routes
+ *
+ * Stripe Checkout, Razorpay orders, attendant cash codes and payment
+ * verification, mounted by the kiosk API (api.js).
+ *
+ * Payment state per sessionId is kept in the payment store (payments.json)
+ * and cash codes in cash-codes.json. A session only becomes paid
+ * after the server has verified the payment with the provider or the cash
+ * code; that first change to paid is logged as a payment event for the
+ * reports.
+ */
+import express from 'express';
+import path from 'path';
+import { createRazorpayOrder, verifyRazorpaySignature } from './razorpay.js';
+import { createCashCodeStore } from './cashCodes.js';
+import { createLockout } from './lockout.js';
+import { calculatePrice } from './pricing.js';
+import { createCheckoutSession, retrieveCheckoutSession, constructWebhookEvent, paymentUpdateFromEvent } from './stripe.js';
+
+const STRIPE_WEBHOOK_PATH = '/api/stripe/webhook';
+
+/**
+ * express.json `verify` option that keeps the raw body of Stripe webhooks
+ * for signature verification
+ */
+export function keepWebhookBody(req, res, buf) {
+  if (req.originalUrl === STRIPE_WEBHOOK_PATH) {
+    req.rawBody = buf;
+  }
+}
+
+/**
+ * Create the payment routes
+ *
+ * @param {Object} options
+ * @param {string} options.storeDir - Directory cash-codes.json and cash-lockout.json are kept in; never served
+ * @param {Object} options.paymentStore - Payment state per sessionId (see createPaymentStore)
+ * @param {Object} options.settingsStore - Settings store with the pricing table
+ * @param {Function} options.logEvent - (type, sessionId, data) event logger that never throws
+ * @param {Function} options.requireAttendant - Middleware that checks the attendant PIN
+ * @returns {Object} { router }
+ */
+export function createPayments({ storeDir, paymentStore, settingsStore, logEvent, requireAttendant }) {
+  const router = express.Router();
+
+  // Attendant-issued cash codes (single-use, or TOTP when CASH_TOTP_SECRET and CASH_TOTP_AMOUNT are set)
+  const cashCodes = createCashCodeStore({
+    storePath: path.join(storeDir, 'cash-codes.json'),
+    totpSecret: process.env.CASH_TOTP_SECRET,
+    totpAmount: Math.round(Number(process.env.CASH_TOTP_AMOUNT) * 100) || null,
+    codeTtlMinutes: parseInt(process.env.CASH_CODE_TTL_MINUTES, 10) || 60,
+    lockout: createLockout({ storePath: path.join(storeDir, 'cash-lockout.json') }),
+  });
+
+  /**
+   * Save a payment change; the first time a session becomes paid, log the payment
+   * @returns {Object} The updated payment record
+   */
+  function updatePayment(sessionId, changes) {
+    const wasPaid = paymentStore.get(sessionId)?.status === 'paid';
+    const record = paymentStore.upsert(sessionId, changes);
+    if (!wasPaid && record.status === 'paid') {
+      logEvent('payment', sessionId, {
+        provider: record.provider,
+        amount: record.amount,
+        currency: record.currency,
+        gridId: record.gridId,
+      });
+    }
+    return record;
+  }
+
+  /**
+   * Price a session from the pricing table; the kiosk never sends the amount itself
+   * @returns {Object} { amount (smallest currency unit), currency }
+   */
+  function priceSession({ gridId, addOns = {} }) {
+    const quote = calculatePrice(settingsStore.get('pricing'), { gridId, addOns });
+    return {
+      amount: Math.round(quote.total * 100),
+      currency: quote.currency,
+    };
+  }
+
+  router.post('/api/create-payment', async (req, res) => {
+    try {
+      const { sessionId, gridId, addOns } = req.body;
+
+      if (!sessionId) {
+        throw new Error('sessionId is required');
+      }
+
+      const existing = paymentStore.get(sessionId);
+      if (existing && existing.status === 'paid') {
+        throw new Error('Session is already paid');
+      }
+
+      const { amount, currency: pricingCurrency } = priceSession({ gridId, addOns });
+      const currency = pricingCurrency.toLowerCase();
+      const checkoutSession = await createCheckoutSession({ amount, currency, sessionId });
+
+      updatePayment(sessionId, {
+        provider: 'stripe',
+        status: 'created',
+        amount,
+        currency,
+        gridId,
+        addOns: addOns || {},
+        checkoutSessionId: checkoutSession.id,
+        orderId: null,
+        paymentId: null,
+      });
+
+      res.json({
+        success: true,
+        sessionId,
+        amount,
+        currency,
+        checkoutSessionId: checkoutSession.id,
+        paymentUrl: checkoutSession.url,
+      });
+    } catch (error) {
+      console.error('Error creating payment:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post(STRIPE_WEBHOOK_PATH, (req, res) => {
+    let event;
+    try {
+      event = constructWebhookEvent(req.rawBody, req.headers['stripe-signature']);
+    } catch (error) {
+      console.error('Invalid Stripe webhook:', error.message);
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    const update = paymentUpdateFromEvent(event);
+    if (update) {
+      const existing = paymentStore.get(update.sessionId);
+      // Never downgrade a session that is already paid (events can arrive out of order)
+      if (!existing || existing.status !== 'paid') {
+        updatePayment(update.sessionId, { provider: 'stripe', ...update.changes });
+      }
+    }
+
+    res.json({ received: true });
+  });
+
+  router.post('/api/razorpay/order', async (req, res) => {
+    try {
+      const { sessionId, gridId, addOns } = req.body;
+
+      if (!sessionId) {
+        throw new Error('sessionId is required');
+      }
+
+      const existing = paymentStore.get(sessionId);
+      if (existing && existing.status === 'paid') {
+        throw new Error('Session is already paid');
+      }
+
+      const { amount, currency } = priceSession({ gridId, addOns });
+      const { keyId, order } = await createRazorpayOrder({ amount, currency, receipt: sessionId });
+
+      updatePayment(sessionId, {
+        provider: 'razorpay',
+        status: 'created',
+        amount: order.amount,
+        currency: order.currency,
+        gridId,
+        addOns: addOns || {},
+        orderId: order.id,
+        paymentId: null,
+      });
+
+      res.json({
+        success: true,
+        keyId,
+        orderId: order.id,
+        amount: order.amount,
+        currency: order.currency,
+      });
+    } catch (error) {
+      console.error('Error creating Razorpay order:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/api/razorpay/verify', (req, res) => {
+    try {
+      const {
+        sessionId,
+        razorpay_order_id: orderId,
+        razorpay_payment_id: paymentId,
+        razorpay_signature: signature,
+      } = req.body;
+
+      const record = paymentStore.get(sessionId);
+      if (!record || record.orderId !== orderId) {
+        return res.status(400).json({ success: false, paid: false, error: 'Unknown order for this session' });
+      }
+
+      if (!verifyRazorpaySignature({ orderId, paymentId, signature })) {
+        updatePayment(sessionId, { status: 'failed', paymentId });
+        return res.status(400).json({ success: false, paid: false, error: 'Invalid payment signature' });
+      }
+
+      const updated = updatePayment(sessionId, { status: 'paid', paymentId });
+      res.json({
+        success: true,
+        paid: true,
+        sessionId,
+        paymentId,
+        amount: updated.amount,
+        currency: updated.currency,
+      });
+    } catch (error) {
+      console.error('Error verifying Razorpay payment:', error);
+      res.status(500).json({ success: false, paid: false, error: error.message });
+    }
+  });
+
+  // Cash payments: the attendant takes the cash and gives the customer a code
+  router.get('/api/cash-codes/status', (req, res) => {
+    const { sessionId } = req.query;
+    if (!sessionId) {
+      return res.status(400).json({ success: false, error: 'sessionId is required' });
+    }
+    res.json({ success: true, ...cashCodes.status(sessionId) });
+  });
+
+  router.post('/api/cash-codes/redeem', (req, res) => {
+    try {
+      const { sessionId, code, gridId, addOns } = req.body;
+
+      if (!sessionId) {
+        throw new Error('sessionId is required');
+      }
+
+      const existing = paymentStore.get(sessionId);
+      if (existing && existing.status === 'paid') {
+        throw new Error('Session is already paid');
+      }
+
+      const { amount, currency } = priceSession({ gridId, addOns });
+      const result = cashCodes.redeem({ code, sessionId, amount, currency });
+
+      if (!result.redemption) {
+        if (result.locked) {
+          return res.status(429).json({ success: false, paid: false, error: 'Too many wrong codes. Please ask the attendant.', lockedUntil: result.lockedUntil });
+        }
+        const error = result.wrongAmount ? 'This code is for a different amount' : 'Incorrect code';
+        return res.status(400).json({ success: false, paid: false, error, attemptsLeft: result.attemptsLeft });
+      }
+
+      updatePayment(sessionId, {
+        provider: 'cash',
+        status: 'paid',
+        amount,
+        currency,
+        gridId,
+        addOns: addOns || {},
+        orderId: null,
+        checkoutSessionId: null,
+        paymentId: result.redemption.codeId,
+      });
+
+      res.json({ success: true, paid: true, sessionId, amount, currency });
+    } catch (error) {
+      console.error('Error redeeming cash code:', error);
+      res.status(500).json({ success: false, paid: false, error: error.message });
+    }
+  });
+
+  // The amount is in the major currency unit, like the pricing table
+  router.post('/api/cash-codes', requireAttendant, (req, res) => {
+    try {
+      const { id, code, amount, currency, createdAt, expiresAt } = cashCodes.issue({
+        amount: Math.round(Number(req.body?.amount) * 100),
+        currency: settingsStore.get('pricing').currency,
+        issuedBy: req.body?.issuedBy,
+      });
+      res.json({ success: true, id, code, amount, currency, createdAt, expiresAt });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/api/cash-codes/redemptions', requireAttendant, (req, res) => {
+    res.json({ success: true, redemptions: cashCodes.log() });
+  });
+
+  router.get('/api/verify-payment/:sessionId', async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      let record = paymentStore.get(sessionId);
+
+      // Ask Stripe directly in case the webhook has not arrived (or cannot reach the kiosk)
+      if (record?.provider === 'stripe' && record.status === 'created' && record.checkoutSessionId) {
+        const checkoutSession = await retrieveCheckoutSession(record.checkoutSessionId);
+        if (checkoutSession.payment_status === 'paid') {
+          record = updatePayment(sessionId, {
+            status: 'paid',
+            paymentId: checkoutSession.payment_intent,
+          });
+        }
+      }
+
+      res.json({
+        success: true,
+        sessionId,
+        paid: record?.status === 'paid',
+        status: record?.status || 'none',
+        provider: record?.provider || null,
+        amount: record?.amount ?? null,
+        currency: record?.currency || null,
+        paymentId: record?.paymentId || null,
+      });
+    } catch (error) {
+      console.error('Error verifying payment:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return { router };
+}
@@ -0,0 +1,70 @@
+/**
+ * Payment Store
+ *
+ * Records the payment state of each kiosk session, keyed by sessionId, in a
+ * JSON file. A session only counts as paid once the server has verified the
+ * payment with the provider.
+ *
+ * Record: { sessionId, provider, status, amount, currency, gridId, addOns, orderId, checkoutSessionId, paymentId, createdAt, updatedAt }
+ * Status: 'created' -> 'paid' | 'failed'
+ */
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Create a payment store
+ *
+ * @param {Object} options
+ * @param {string} options.storePath - JSON file the records are persisted to
+ * @returns {Object} Store API: { get, findByOrderId, upsert }
+ */
+export function createPaymentStore({ storePath }) {
+  let records = load();
+
+  function load() {
+    if (!fs.existsSync(storePath)) return {};
+
+    try {
+      return JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    } catch (error) {
+      console.error('Error loading payment store:', error);
+      return {};
+    }
+  }
+
+  function save() {
+    const tempPath = `${storePath}.tmp`;
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(records, null, 2));
+    fs.renameSync(tempPath, storePath);
+  }
+
+  return {
+    get(sessionId) {
+      return records[sessionId] || null;
+    },
+
+    findByOrderId(orderId) {
+      return Object.values(records).find((record) => record.orderId === orderId) || null;
+    },
+
+    /**
+     * Create or update the record for a session
+     * @param {string} sessionId
+     * @param {Object} changes - Fields to set
+     * @returns {Object} The updated record
+     */
+    upsert(sessionId, changes) {
+      const now = new Date().toISOString();
+      records[sessionId] = {
+        sessionId,
+        createdAt: now,
+        ...records[sessionId],
+        ...changes,
+        updatedAt: now,
+      };
+      save();
+      return records[sessionId];
+    },
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * Session pricing
+ *
+ * Prices are keyed by the grid ids offered in GridSelection, plus optional
+ * add-ons (extra prints, digital copies) bought with the session. Amounts
+ * are in the major currency unit (rupees for INR); payment providers are
+ * charged the total converted to the smallest unit.
+ *
+ * Pricing: {
+ *   currency: 'INR',
+ *   grids: { [gridId]: price },
+ *   addOns: { [addOnId]: { name, price, maxQuantity } }
+ * }
+ */
+
+export const DEFAULT_PRICING = {
+  currency: 'INR',
+  grids: {
+    '5x5-single': 200,
+    '2x4-vertical-2': 200,
+    '4x6-4cut': 250,
+    '5x7-6cut': 300,
+    '2x6-strip-3': 250,
+    '2x6-strip-4': 250,
+  },
+  addOns: {
+    'extra-print': { name: 'Extra print', price: 50, maxQuantity: 5 },
+    'digital-copy': { name: 'Digital copy', price: 50, maxQuantity: 1 },
+  },
+};
+
+function isPrice(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Check a pricing table before it is saved
+ * @param {Object} pricing
+ * @returns {Object} The pricing table, normalized
+ * @throws {Error} Describing the first invalid entry
+ */
+export function validatePricing(pricing) {
+  if (!pricing || typeof pricing !== 'object') {
+    throw new Error('Pricing must be an object');
+  }
+
+  const { currency, grids, addOns = {} } = pricing;
+  if (typeof currency !== 'string' || !/^[A-Za-z]{3}$/.test(currency)) {
+    throw new Error('currency must be a 3-letter currency code');
+  }
+  if (!grids || typeof grids !== 'object' || Object.keys(grids).length === 0) {
+    throw new Error('grids must map at least one grid id to a price');
+  }
+  for (const [gridId, price] of Object.entries(grids)) {
+    if (!isPrice(price)) {
+      throw new Error(`Invalid price for grid "${gridId}"`);
+    }
+  }
+  for (const [addOnId, addOn] of Object.entries(addOns)) {
+    if (!addOn || !isPrice(addOn.price)) {
+      throw new Error(`Invalid price for add-on "${addOnId}"`);
+    }
+    if (addOn.maxQuantity !== undefined && !(Number.isInteger(addOn.maxQuantity) && addOn.maxQuantity > 0)) {
+      throw new Error(`Invalid maxQuantity for add-on "${addOnId}"`);
+    }
+  }
+
+  return {
+    currency: currency.toUpperCase(),
+    grids: { ...grids },
+    addOns: Object.fromEntries(
+      Object.entries(addOns).map(([addOnId, addOn]) => [addOnId, {
+        name: addOn.name || addOnId,
+        price: addOn.price,
+        maxQuantity: addOn.maxQuantity || 1,
+      }])
+    ),
+  };
+}
+
+/**
+ * Price a session
+ *
+ * @param {Object} pricing - Pricing table
+ * @param {Object} order
+ * @param {string} order.gridId - Selected grid id
+ * @param {Object} order.addOns - Quantity per add-on id, e.g. { 'extra-print': 2 }
+ * @returns {Object} { currency, items: [{ id, name, quantity, unitPrice, total }], total }
+ * @throws {Error} For an unknown grid or add-on, or a quantity out of range
+ */
+export function calculatePrice(pricing, { gridId, addOns = {} }) {
+  if (!(gridId in pricing.grids)) {
+    throw new Error(`No price set for grid "${gridId}"`);
+  }
+
+  const items = [{ id: gridId, name: 'Photo session', quantity: 1, unitPrice: pricing.grids[gridId], total: pricing.grids[gridId] }];
+
+  for (const [addOnId, quantity] of Object.entries(addOns)) {
+    if (!quantity) continue;
+
+    const addOn = pricing.addOns[addOnId];
+    if (!addOn) {
+      throw new Error(`Unknown add-on "${addOnId}"`);
+    }
+    if (!Number.isInteger(quantity) || quantity < 0 || quantity > addOn.maxQuantity) {
+      throw new Error(`Quantity for "${addOnId}" must be between 0 and ${addOn.maxQuantity}`);
+    }
+    items.push({ id: addOnId, name: addOn.name, quantity, unitPrice: addOn.price, total: addOn.price * quantity });
+  }
+
+  return {
+    currency: pricing.currency,
+    items,
+    total: items.reduce((sum, item) => sum + item.total, 0),
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * Print PDF Renderer
+ *
+ * Wraps a saved composite image in a single-page PDF at the exact paper size,
+ * so every printer gets the same page geometry instead of guessing how to
+ * scale a bare JPEG.
+ *
+ * Fit modes:
+ * - 'fit':  the whole image is kept inside the safe area (page inset by safeAreaInches),
+ *           leaving white paper around it
+ * - 'fill': the image covers the page plus bleedInches on every side and is cropped
+ *           at the page edge, for borderless printing
+ */
+import sharp from 'sharp';
+import { PDFDocument } from 'pdf-lib';
+import { PAGE_SIZES } from './printers.js';
+
+const POINTS_PER_INCH = 72;
+
+/**
+ * Render an image into a print-ready PDF
+ *
+ * @param {string} inputPath - Composite image to print
+ * @param {Object} options
+ * @param {string} options.pageSize - Key of PAGE_SIZES, e.g. '4x6' (default '4x6')
+ * @param {string} options.fit - 'fit' or 'fill' (default 'fit')
+ * @param {number} options.bleedInches - Overscan beyond each page edge in 'fill' mode (default 0)
+ * @param {number} options.safeAreaInches - Inset from each page edge in 'fit' mode (default 0)
+ * @param {number} options.dpi - Resolution the image is resampled to (default 300)
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+export async function renderPrintPdf(inputPath, {
+  pageSize = '4x6',
+  fit = 'fit',
+  bleedInches = 0,
+  safeAreaInches = 0,
+  dpi = 300,
+} = {}) {
+  const page = PAGE_SIZES[pageSize];
+  if (!page) {
+    throw new Error(`Unsupported page size "${pageSize}"`);
+  }
+  if (fit !== 'fit' && fit !== 'fill') {
+    throw new Error(`Unsupported fit mode "${fit}"`);
+  }
+
+  const { widthInches, heightInches } = page;
+  if (safeAreaInches * 2 >= Math.min(widthInches, heightInches)) {
+    throw new Error('Safe area is larger than the page');
+  }
+
+  // Apply EXIF orientation first so the aspect ratio below is what the customer saw
+  const oriented = await sharp(inputPath).rotate().toBuffer();
+  const { width, height } = await sharp(oriented).metadata();
+
+  // Paper is loaded in portrait: turn landscape composites to match it
+  const imageLandscape = width > height;
+  const pageLandscape = widthInches > heightInches;
+  const rotation = widthInches !== heightInches && imageLandscape !== pageLandscape ? 90 : 0;
+
+  // Area the image is placed into, in inches, relative to the page's bottom-left corner
+  const inset = fit === 'fill' ? -bleedInches : safeAreaInches;
+  const boxWidth = widthInches - inset * 2;
+  const boxHeight = heightInches - inset * 2;
+
+  const { data, info } = await sharp(oriented)
+    .rotate(rotation)
+    .resize(Math.round(boxWidth * dpi), Math.round(boxHeight * dpi), {
+      fit: fit === 'fill' ? 'cover' : 'inside',
+    })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 95 })
+    .toBuffer({ resolveWithObject: true });
+
+  // Center the resampled image in its box ('inside' may leave it smaller on one axis)
+  const drawWidth = (info.width / dpi) * POINTS_PER_INCH;
+  const drawHeight = (info.height / dpi) * POINTS_PER_INCH;
+  const x = (inset + (boxWidth - info.width / dpi) / 2) * POINTS_PER_INCH;
+  const y = (inset + (boxHeight - info.height / dpi) / 2) * POINTS_PER_INCH;
+
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(`Photo print ${pageSize}`);
+  const pdfPage = pdf.addPage([widthInches * POINTS_PER_INCH, heightInches * POINTS_PER_INCH]);
+  const image = await pdf.embedJpg(data);
+  pdfPage.drawImage(image, { x, y, width: drawWidth, height: drawHeight });
+
+  return Buffer.from(await pdf.save());
+}
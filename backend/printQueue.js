@@ -0,0 +1,191 @@
+/**
+ * Print Queue
+ *
+ * Persistent print queue for the API server. Jobs are stored as JSON so that
+ * queued jobs survive an app restart, and are sent to the printer one at a
+ * time with automatic retry on failure.
+ *
+ * Job states: 'queued' -> 'printing' -> 'done' | 'failed'
+ * Queued or failed jobs can also be 'cancelled'.
+ */
+import fs from 'fs';
+import path from 'path';
+
+const FINISHED_STATES = ['done', 'failed', 'cancelled'];
+
+/**
+ * Create a print queue
+ *
+ * @param {Object} options
+ * @param {string} options.storePath - JSON file the queue is persisted to
+ * @param {Function} options.print - async (job) => ({ jobId }) that sends one job to the printer
+ * @param {number} options.maxAttempts - Attempts before a job is marked failed (default 3)
+ * @param {number} options.retryDelayMs - Base delay between attempts, multiplied by the attempt number (default 5000)
+ * @param {number} options.retentionDays - Finished jobs older than this are dropped on startup (default 7)
+ * @returns {Object} Queue API: { add, list, get, cancel, reprint }
+ */
+export function createPrintQueue({ storePath, print, maxAttempts = 3, retryDelayMs = 5000, retentionDays = 7 }) {
+  let jobs = load();
+  let processing = false;
+  let retryTimer = null;
+
+  function load() {
+    if (!fs.existsSync(storePath)) return [];
+
+    try {
+      const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+      return JSON.parse(fs.readFileSync(storePath, 'utf8'))
+        .filter((job) => !FINISHED_STATES.includes(job.status) || Date.parse(job.updatedAt) > cutoff)
+        .map((job) => (
+          // A job that was printing when the app stopped never reported back, so try it again
+          job.status === 'printing' ? { ...job, status: 'queued', nextAttemptAt: null } : job
+        ));
+    } catch (error) {
+      console.error('Error loading print queue:', error);
+      return [];
+    }
+  }
+
+  function save() {
+    // Write to a temp file first so a crash never leaves a half-written queue
+    const tempPath = `${storePath}.tmp`;
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(jobs, null, 2));
+    fs.renameSync(tempPath, storePath);
+  }
+
+  function update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    save();
+  }
+
+  function scheduleRetry() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+
+    const waiting = jobs
+      .filter((job) => job.status === 'queued' && job.nextAttemptAt)
+      .map((job) => Date.parse(job.nextAttemptAt));
+    if (waiting.length === 0) return;
+
+    const delay = Math.max(0, Math.min(...waiting) - Date.now());
+    retryTimer = setTimeout(processNext, delay);
+  }
+
+  async function processNext() {
+    if (processing) return;
+
+    const now = Date.now();
+    const job = jobs.find((j) => j.status === 'queued' && (!j.nextAttemptAt || Date.parse(j.nextAttemptAt) <= now));
+    if (!job) {
+      scheduleRetry();
+      return;
+    }
+
+    processing = true;
+    update(job, { status: 'printing', attempts: job.attempts + 1, nextAttemptAt: null });
+
+    try {
+      const { jobId } = await print(job);
+      update(job, { status: 'done', printerJobId: jobId || null, error: null });
+    } catch (error) {
+      console.error(`Print job ${job.id} attempt ${job.attempts} failed:`, error);
+      if (job.attempts < maxAttempts) {
+        update(job, {
+          status: 'queued',
+          error: error.message,
+          nextAttemptAt: new Date(Date.now() + retryDelayMs * job.attempts).toISOString(),
+        });
+      } else {
+        update(job, { status: 'failed', error: error.message });
+      }
+    } finally {
+      processing = false;
+    }
+
+    processNext();
+  }
+
+  function createJob(fields) {
+    const now = new Date().toISOString();
+    const job = {
+      id: `print_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      filename: fields.filename,
+      printerName: fields.printerName || null,
+      pageSize: fields.pageSize || null,
+      printOptions: fields.printOptions || {},
+      sessionId: fields.sessionId || null,
+      reprintOf: fields.reprintOf || null,
+      status: 'queued',
+      attempts: 0,
+      error: null,
+      printerJobId: null,
+      nextAttemptAt: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    jobs.push(job);
+    save();
+    processNext();
+    return job;
+  }
+
+  // Resume anything left over from the last run
+  processNext();
+
+  return {
+    /**
+     * Queue a new print job
+     * @param {Object} fields - { filename, printerName, pageSize, printOptions, sessionId }
+     * @returns {Object} The queued job
+     */
+    add(fields) {
+      return createJob(fields);
+    },
+
+    /**
+     * List jobs, newest first
+     * @param {Object} filter - Optional { sessionId, status }
+     */
+    list({ sessionId, status } = {}) {
+      return jobs
+        .filter((job) => (!sessionId || job.sessionId === sessionId) && (!status || job.status === status))
+        .slice()
+        .reverse();
+    },
+
+    get(id) {
+      return jobs.find((job) => job.id === id) || null;
+    },
+
+    /**
+     * Cancel a queued (or failed) job
+     * @returns {Object} The cancelled job
+     */
+    cancel(id) {
+      const job = this.get(id);
+      if (!job) {
+        throw new Error('Print job not found');
+      }
+      if (job.status !== 'queued' && job.status !== 'failed') {
+        throw new Error(`Cannot cancel a job that is ${job.status}`);
+      }
+      update(job, { status: 'cancelled', nextAttemptAt: null });
+      scheduleRetry();
+      return job;
+    },
+
+    /**
+     * Queue a new job with the same file, printer, page size and print options as an earlier one
+     * @returns {Object} The new job
+     */
+    reprint(id) {
+      const original = this.get(id);
+      if (!original) {
+        throw new Error('Print job not found');
+      }
+      return createJob({ ...original, reprintOf: original.id });
+    },
+  };
+}
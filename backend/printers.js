@@ -0,0 +1,254 @@
+/**
+ * Printer driver layer
+ *
+ * Lists the system printers and sends print jobs through a pluggable driver so
+ * the kiosk can run against real hardware on Windows (pdf-to-printer), CUPS on
+ * Linux/macOS, or a mock printer on test machines.
+ *
+ * The driver is picked from the PRINTER_DRIVER environment variable
+ * ('windows', 'cups' or 'mock'), falling back to the platform default.
+ */
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import printer from 'pdf-to-printer';
+
+const execFileAsync = promisify(execFile);
+
+// Paper sizes the kiosk prints on, in inches (portrait)
+export const PAGE_SIZES = {
+  '4x6': { widthInches: 4, heightInches: 6 },
+  '5x7': { widthInches: 5, heightInches: 7 },
+  '2x4': { widthInches: 2, heightInches: 4 },
+  '5x5': { widthInches: 5, heightInches: 5 },
+  '8x10': { widthInches: 8, heightInches: 10 },
+};
+
+export const PHOTO_PAPER_SIZES = Object.keys(PAGE_SIZES);
+
+/**
+ * Create a job id for drivers that don't report one
+ */
+function createJobId() {
+  return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Find the printer's own name for a kiosk page size
+ * Matches names like "4x6", "4 x 6 in", "(6x4)" and CUPS "w288h432"
+ *
+ * @param {string} pageSize - Kiosk page size key, e.g. '4x6'
+ * @param {string[]} paperSizes - Paper sizes reported by the printer
+ * @returns {string|null} Matching printer paper size or null
+ */
+export function matchPaperSize(pageSize, paperSizes = []) {
+  const size = PAGE_SIZES[pageSize];
+  if (!size) return null;
+
+  const { widthInches: w, heightInches: h } = size;
+  const names = [`${w}x${h}`, `${h}x${w}`, `w${w * 72}h${h * 72}`, `w${h * 72}h${w * 72}`];
+
+  return paperSizes.find((paperSize) => {
+    const normalized = paperSize.toLowerCase().replace(/[\s()"]/g, '').replace(/in(ch)?$/, '');
+    return names.includes(normalized);
+  }) || null;
+}
+
+/**
+ * Windows driver backed by pdf-to-printer (SumatraPDF)
+ * pdf-to-printer does not report printer state, so status is 'Unknown'
+ */
+const windowsDriver = {
+  async list() {
+    const [printers, defaultPrinter] = await Promise.all([
+      printer.getPrinters(),
+      printer.getDefaultPrinter().catch(() => null),
+    ]);
+
+    return printers.map((p) => ({
+      name: p.name,
+      status: 'Unknown',
+      isDefault: !!defaultPrinter && defaultPrinter.name === p.name,
+      paperSizes: p.paperSizes || [],
+    }));
+  },
+
+  async print(filepath, { printerName, pageSize, fitToPage = true }) {
+    const printers = await printer.getPrinters();
+    const target = printers.find((p) => p.name === printerName);
+    const paperSize = matchPaperSize(pageSize, target?.paperSizes) || pageSize;
+
+    await printer.print(filepath, {
+      printer: target ? target.name : undefined,
+      paperSize,
+      scale: fitToPage ? 'fit' : 'noscale',
+    });
+
+    // pdf-to-printer hands the file to the spooler without a job id
+    return { jobId: createJobId() };
+  },
+};
+
+/**
+ * Map an `lpstat -p` line to a printer status
+ * e.g. "printer DNP_DS620 is idle.  enabled since ..."
+ */
+function parseCupsStatus(line) {
+  if (/disabled/.test(line)) return 'Offline';
+  if (/now printing/.test(line)) return 'Printing';
+  if (/is idle/.test(line)) return 'Idle';
+  return 'Unknown';
+}
+
+/**
+ * Read the PageSize option of a CUPS printer
+ * e.g. "PageSize/Media Size: *w288h432 4x6 5x7 Letter"
+ */
+async function getCupsPaperSizes(name) {
+  try {
+    const { stdout } = await execFileAsync('lpoptions', ['-p', name, '-l']);
+    const line = stdout.split('\n').find((l) => l.startsWith('PageSize'));
+    if (!line) return [];
+    return line
+      .split(':')[1]
+      .trim()
+      .split(/\s+/)
+      .map((size) => size.replace(/^\*/, ''));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * CUPS driver for Linux and macOS, using the lpstat/lpoptions command line tools
+ */
+const cupsDriver = {
+  async list() {
+    const { stdout } = await execFileAsync('lpstat', ['-p']);
+    const printerLines = stdout.split('\n').filter((l) => l.startsWith('printer '));
+
+    let defaultName = null;
+    try {
+      const { stdout: defaultOut } = await execFileAsync('lpstat', ['-d']);
+      const match = defaultOut.match(/system default destination:\s*(\S+)/);
+      defaultName = match ? match[1] : null;
+    } catch (error) {
+      // No default destination configured
+    }
+
+    return Promise.all(printerLines.map(async (line) => {
+      const name = line.split(/\s+/)[1];
+      return {
+        name,
+        status: parseCupsStatus(line),
+        isDefault: name === defaultName,
+        paperSizes: await getCupsPaperSizes(name),
+      };
+    }));
+  },
+
+  async print(filepath, { printerName, pageSize, fitToPage = true }) {
+    const args = [];
+    let paperSizes = [];
+
+    if (printerName) {
+      args.push('-d', printerName);
+      paperSizes = await getCupsPaperSizes(printerName);
+    }
+
+    const size = PAGE_SIZES[pageSize];
+    if (size) {
+      const media = matchPaperSize(pageSize, paperSizes) || `Custom.${size.widthInches}x${size.heightInches}in`;
+      args.push('-o', `media=${media}`);
+    }
+    if (fitToPage) {
+      args.push('-o', 'fit-to-page');
+    }
+
+    args.push(filepath);
+
+    // lp prints "request id is DNP_DS620-42 (1 file(s))"
+    const { stdout } = await execFileAsync('lp', args);
+    const match = stdout.match(/request id is (\S+)/);
+    return { jobId: match ? match[1] : createJobId() };
+  },
+};
+
+/**
+ * Mock driver for development and Linux test machines without a photo printer
+ * "Printed" files are copied into MOCK_PRINTER_DIR (default: <tmp>/photobooth-mock-printer)
+ */
+const mockDriver = {
+  async list() {
+    return [
+      { name: 'Mock Photo Printer', status: 'Idle', isDefault: true, paperSizes: PHOTO_PAPER_SIZES },
+      { name: 'Mock Offline Printer', status: 'Offline', isDefault: false, paperSizes: ['4x6'] },
+    ];
+  },
+
+  async print(filepath, { printerName, pageSize }) {
+    if (printerName === 'Mock Offline Printer') {
+      throw new Error('Printer is offline');
+    }
+
+    const outputDir = process.env.MOCK_PRINTER_DIR || path.join(os.tmpdir(), 'photobooth-mock-printer');
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const jobId = createJobId();
+    fs.copyFileSync(filepath, path.join(outputDir, `${jobId}_${pageSize || 'default'}_${path.basename(filepath)}`));
+    return { jobId };
+  },
+};
+
+const drivers = {
+  windows: windowsDriver,
+  cups: cupsDriver,
+  mock: mockDriver,
+};
+
+/**
+ * Register (or replace) a printer driver
+ * @param {string} name - Driver name, selectable through PRINTER_DRIVER
+ * @param {Object} driver - Object implementing `list(): Promise<Array>` and
+ *   `print(filepath, { printerName, pageSize, fitToPage }): Promise<{ jobId }>`
+ */
+export function registerPrinterDriver(name, driver) {
+  if (!driver || typeof driver.list !== 'function' || typeof driver.print !== 'function') {
+    throw new Error(`Printer driver "${name}" must implement list() and print()`);
+  }
+  drivers[name] = driver;
+}
+
+/**
+ * Get the active printer driver
+ * @returns {Object} Driver selected by PRINTER_DRIVER or the platform default
+ */
+export function getPrinterDriver() {
+  const name = process.env.PRINTER_DRIVER || (process.platform === 'win32' ? 'windows' : 'cups');
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown printer driver "${name}"`);
+  }
+  return driver;
+}
+
+/**
+ * List printers from the active driver
+ * @returns {Promise<Array>} Printers as { name, status, isDefault, paperSizes }
+ */
+export async function listPrinters() {
+  return getPrinterDriver().list();
+}
+
+/**
+ * Send a file to a printer through the active driver
+ * @param {string} filepath - Absolute path of the file to print
+ * @param {Object} options - { printerName, pageSize, fitToPage }; omit printerName for the system default.
+ *   Pass fitToPage: false for files that are already laid out at the paper size
+ * @returns {Promise<Object>} { jobId }
+ */
+export async function printFile(filepath, options = {}) {
+  return getPrinterDriver().print(filepath, options);
+}
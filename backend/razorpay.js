@@ -0,0 +1,81 @@
+/**
+ * Razorpay integration
+ *
+ * Creates orders through the Razorpay Orders API and verifies the checkout
+ * signature with the key secret, so a session is never marked paid on the
+ * word of the browser alone.
+ *
+ * Configuration (environment):
+ * - RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET - API keys
+ * - RAZORPAY_API_URL - API base URL (default https://api.razorpay.com/v1);
+ *   point it at mock-razorpay.js for local testing
+ */
+import crypto from 'crypto';
+
+function getConfig() {
+  const keyId = process.env.RAZORPAY_KEY_ID;
+  const keySecret = process.env.RAZORPAY_KEY_SECRET;
+  if (!keyId || !keySecret) {
+    throw new Error('Razorpay is not configured: set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET');
+  }
+  return {
+    keyId,
+    keySecret,
+    apiUrl: process.env.RAZORPAY_API_URL || 'https://api.razorpay.com/v1',
+  };
+}
+
+/**
+ * Create a Razorpay order
+ *
+ * @param {Object} params
+ * @param {number} params.amount - Amount in the smallest currency unit (paise)
+ * @param {string} params.currency - Currency code (default 'INR')
+ * @param {string} params.receipt - Our reference for the order (the sessionId)
+ * @returns {Promise<Object>} { keyId, order } where order is the Razorpay order entity
+ */
+export async function createRazorpayOrder({ amount, currency = 'INR', receipt }) {
+  const { keyId, keySecret, apiUrl } = getConfig();
+
+  const response = await fetch(`${apiUrl}/orders`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`,
+    },
+    body: JSON.stringify({ amount, currency, receipt }),
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error?.description || `Razorpay order failed with status ${response.status}`);
+  }
+
+  return { keyId, order: data };
+}
+
+/**
+ * Compute the checkout signature Razorpay returns for a paid order
+ * HMAC-SHA256 of "<order_id>|<payment_id>" with the key secret
+ */
+export function signRazorpayPayment(orderId, paymentId, keySecret) {
+  return crypto
+    .createHmac('sha256', keySecret)
+    .update(`${orderId}|${paymentId}`)
+    .digest('hex');
+}
+
+/**
+ * Verify the signature returned by Razorpay Checkout
+ *
+ * @param {Object} params - { orderId, paymentId, signature }
+ * @returns {boolean} true if the signature was produced with our key secret
+ */
+export function verifyRazorpaySignature({ orderId, paymentId, signature }) {
+  const { keySecret } = getConfig();
+  if (!orderId || !paymentId || !signature) return false;
+
+  const expected = Buffer.from(signRazorpayPayment(orderId, paymentId, keySecret));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
@@ -0,0 +1,134 @@
+/**
+ * Sales and usage reports
+ *
+ * Aggregates the event log per day or per week (weeks start on Monday, in
+ * local time): sessions started, paid sessions, revenue split by cash and
+ * online payments, grids and frames picked, captures, prints and downloads.
+ * Revenue is reported in the major currency unit (rupees for INR).
+ */
+
+export const REPORT_PERIODS = ['daily', 'weekly'];
+
+const ONLINE_PROVIDERS = ['razorpay', 'stripe'];
+
+const localDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Key of the day or week an event falls in
+ * @param {string} at - ISO timestamp
+ * @param {string} period - 'daily' | 'weekly'
+ * @returns {string} 'YYYY-MM-DD' of the day, or of the Monday the week starts on
+ */
+function periodKey(at, period) {
+  const date = new Date(at);
+  if (period === 'weekly') {
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  }
+  return localDate(date);
+}
+
+function emptyRow(period) {
+  return {
+    period,
+    sessions: 0,
+    paidSessions: 0,
+    captures: 0,
+    prints: 0,
+    downloads: 0,
+    revenue: { cash: 0, online: 0, total: 0 },
+    currency: null,
+    grids: {},
+    frames: {},
+  };
+}
+
+const increment = (counts, key) => {
+  if (key) counts[key] = (counts[key] || 0) + 1;
+};
+
+/**
+ * Aggregate events per day or week
+ *
+ * @param {Array} events - Event log entries
+ * @param {Object} options
+ * @param {string} options.period - 'daily' (default) or 'weekly'
+ * @returns {Array} Rows, oldest period first:
+ *   { period, sessions, paidSessions, captures, prints, downloads,
+ *     revenue: { cash, online, total }, currency, grids: { [gridId]: count }, frames: { [frameId]: count } }
+ */
+export function buildReport(events, { period = 'daily' } = {}) {
+  if (!REPORT_PERIODS.includes(period)) {
+    throw new Error(`period must be one of ${REPORT_PERIODS.join(', ')}`);
+  }
+
+  const rows = {};
+  for (const event of events) {
+    const key = periodKey(event.at, period);
+    const row = rows[key] || (rows[key] = emptyRow(key));
+
+    switch (event.type) {
+      case 'session_start':
+        row.sessions += 1;
+        break;
+      case 'grid':
+        increment(row.grids, event.gridId);
+        break;
+      case 'frame':
+        increment(row.frames, event.frameId);
+        break;
+      case 'capture':
+        row.captures += Number(event.count) || 0;
+        break;
+      case 'print':
+        row.prints += 1;
+        break;
+      case 'download':
+        row.downloads += 1;
+        break;
+      case 'payment': {
+        const amount = (Number(event.amount) || 0) / 100;
+        const channel = ONLINE_PROVIDERS.includes(event.provider) ? 'online' : 'cash';
+        row.paidSessions += 1;
+        row.revenue[channel] += amount;
+        row.revenue.total += amount;
+        row.currency = row.currency || event.currency || null;
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return Object.values(rows).sort((a, b) => a.period.localeCompare(b.period));
+}
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render report rows as CSV, one column per grid and frame seen in the report
+ * @param {Array} rows - Output of buildReport
+ * @returns {string}
+ */
+export function reportToCsv(rows) {
+  const gridIds = [...new Set(rows.flatMap((row) => Object.keys(row.grids)))].sort();
+  const frameIds = [...new Set(rows.flatMap((row) => Object.keys(row.frames)))].sort();
+
+  const header = [
+    'period', 'sessions', 'paidSessions', 'captures', 'prints', 'downloads',
+    'cashRevenue', 'onlineRevenue', 'totalRevenue', 'currency',
+    ...gridIds.map((id) => `grid:${id}`),
+    ...frameIds.map((id) => `frame:${id}`),
+  ];
+  const lines = rows.map((row) => [
+    row.period, row.sessions, row.paidSessions, row.captures, row.prints, row.downloads,
+    row.revenue.cash, row.revenue.online, row.revenue.total, row.currency,
+    ...gridIds.map((id) => row.grids[id] || 0),
+    ...frameIds.map((id) => row.frames[id] || 0),
+  ]);
+
+  return [header, ...lines].map((line) => line.map(csvValue).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,343 @@
+/**
+ * Session Store
+ *
+ * Keeps one JSON record per kiosk session in sessionsDir (<sessionId>.json),
+ * so a session survives a crash or reload and can be audited afterwards.
+ *
+ * Record: {
+ *   sessionId, status ('active' | 'ended'), step (last completed SESSION_STEPS entry),
+ *   grid, filters, frame, stickers,
+ *   payment: { status ('pending' | 'completed'), provider, amountDue, amountPaid, paymentId, addOns },
+ *   images: { captured: [filename], edited: [filename], composite: [filename] },
+ *   photos: [filename], printJobs: [jobId],
+ *   history: [{ at, event, fields }],
+ *   createdAt, updatedAt, endedAt
+ * }
+ *
+ * payment is not stored in the record: it is read from the payment store,
+ * so only payments the server has verified count. Amounts are in the major
+ * currency unit, like the kiosk's session state.
+ *
+ * Session images (captured, edited, composite) are written to
+ * sessionsDir/<sessionId>/ so an interrupted session can be resumed.
+ */
+import fs from 'fs';
+import path from 'path';
+
+// Kiosk steps in order; a paid session is resumed after the last completed one
+export const SESSION_STEPS = ['grid', 'capture', 'edit', 'frame', 'stickers', 'share'];
+
+// Sections the kiosk may set; filters are merged, the rest replaced
+const MERGED_SECTIONS = ['filters'];
+const REPLACED_SECTIONS = ['step', 'grid', 'frame', 'stickers'];
+
+const IMAGE_KINDS = ['captured', 'edited', 'composite'];
+const IMAGE_TYPES = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+
+/**
+ * Whether a session id is safe to use in filenames (letters, digits, _ and -)
+ * @param {*} sessionId
+ * @returns {boolean}
+ */
+export function isValidSessionId(sessionId) {
+  return typeof sessionId === 'string' && /^[\w-]{1,100}$/.test(sessionId);
+}
+
+/**
+ * Create a session store
+ *
+ * @param {Object} options
+ * @param {string} options.sessionsDir - Directory the session records are written to
+ * @param {Object} options.paymentStore - Payment store with the verified payment of each session
+ * @returns {Object} Store API: { get, list, findResumable, summarize, update, end, saveImages, imagePath, addPhoto, addPrintJob }
+ */
+export function createSessionStore({ sessionsDir, paymentStore }) {
+  fs.mkdirSync(sessionsDir, { recursive: true });
+
+  function recordPath(sessionId) {
+    // Session ids become filenames, so only allow safe characters
+    if (!isValidSessionId(sessionId)) {
+      throw new Error('Invalid sessionId');
+    }
+    return path.join(sessionsDir, `${sessionId}.json`);
+  }
+
+  function imagesDir(sessionId) {
+    recordPath(sessionId);
+    return path.join(sessionsDir, sessionId);
+  }
+
+  function read(sessionId) {
+    const filepath = recordPath(sessionId);
+    if (!fs.existsSync(filepath)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    } catch (error) {
+      console.error(`Error reading session ${sessionId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * A record with its payment from the payment store
+   * @param {Object} record - Stored record
+   * @returns {Object}
+   */
+  function withPayment(record) {
+    const payment = paymentStore.get(record.sessionId);
+    const paid = payment?.status === 'paid';
+    return {
+      ...record,
+      payment: payment ? {
+        status: paid ? 'completed' : 'pending',
+        provider: payment.provider,
+        amountDue: payment.amount / 100,
+        amountPaid: paid ? payment.amount / 100 : 0,
+        paymentId: payment.paymentId,
+        addOns: payment.addOns,
+      } : { status: 'pending' },
+    };
+  }
+
+  function write(record) {
+    const filepath = recordPath(record.sessionId);
+    const tempPath = `${filepath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(record, null, 2));
+    fs.renameSync(tempPath, filepath);
+    return record;
+  }
+
+  /**
+   * Apply a change to a session, creating the record on first use
+   * @param {string} sessionId
+   * @param {string} event - History event name
+   * @param {Function} mutate - Receives the record and changes it in place
+   * @param {Array<string>} fields - Fields changed, for the history
+   */
+  function change(sessionId, event, mutate, fields = []) {
+    const now = new Date().toISOString();
+    const record = read(sessionId) || {
+      sessionId,
+      status: 'active',
+      step: null,
+      grid: null,
+      filters: {},
+      frame: null,
+      stickers: [],
+      images: {},
+      photos: [],
+      printJobs: [],
+      history: [],
+      createdAt: now,
+      updatedAt: now,
+      endedAt: null,
+    };
+
+    mutate(record);
+    // Older records kept the payment the kiosk reported
+    delete record.payment;
+    record.history.push({ at: now, event, fields });
+    record.updatedAt = now;
+    return withPayment(write(record));
+  }
+
+  /**
+   * Read a record without blocking, for the listings (null if it cannot be read)
+   * @param {string} file - Record filename in sessionsDir
+   * @returns {Promise<Object|null>}
+   */
+  async function readListed(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(sessionsDir, file), 'utf8'));
+    } catch (error) {
+      console.error(`Error reading session ${file}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Stored session records (without payment), newest first
+   * Records are read without blocking; with updatedSince, files last written
+   * before it are skipped without being read.
+   *
+   * @param {Object} filter - { status, limit, updatedSince (Date) }
+   * @returns {Promise<Array>}
+   */
+  async function listRecords({ status, limit, updatedSince } = {}) {
+    const files = (await fs.promises.readdir(sessionsDir)).filter((file) => file.endsWith('.json'));
+    const records = [];
+
+    for (const file of files) {
+      if (updatedSince) {
+        const { mtimeMs } = await fs.promises.stat(path.join(sessionsDir, file));
+        if (mtimeMs < updatedSince.getTime()) continue;
+      }
+      const record = await readListed(file);
+      if (record && (!status || record.status === status)) {
+        records.push(record);
+      }
+    }
+
+    records.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return limit ? records.slice(0, limit) : records;
+  }
+
+  return {
+    get(sessionId) {
+      const record = read(sessionId);
+      return record && withPayment(record);
+    },
+
+    /**
+     * List sessions, newest first (see listRecords)
+     * @returns {Promise<Array>}
+     */
+    async list(filter) {
+      return (await listRecords(filter)).map(withPayment);
+    },
+
+    /**
+     * Newest session with a verified payment that has not reached the end
+     * of the flow, updated within maxAgeMinutes
+     * @returns {Promise<Object|null>}
+     */
+    async findResumable({ maxAgeMinutes = 120 } = {}) {
+      const cutoff = new Date(Date.now() - maxAgeMinutes * 60 * 1000);
+      const records = await listRecords({ status: 'active', updatedSince: cutoff });
+      const resumable = records.find((record) =>
+        paymentStore.get(record.sessionId)?.status === 'paid'
+        && record.step !== 'share'
+        && Date.parse(record.updatedAt) >= cutoff.getTime()
+      );
+      return resumable ? withPayment(resumable) : null;
+    },
+
+    /**
+     * Sessions started in a time range, with the paid count and revenue
+     * (in the major currency unit) from the verified payments
+     * @param {Object} range - { from, to } Dates; to is exclusive
+     * @returns {Promise<Object>} { sessions, sessionCount, paidCount, revenue }
+     */
+    async summarize({ from, to }) {
+      // A session started in the range was last written after its start
+      const sessions = (await listRecords({ updatedSince: from }))
+        .filter((record) => {
+          const createdAt = Date.parse(record.createdAt);
+          return createdAt >= from.getTime() && createdAt < to.getTime();
+        })
+        .map(withPayment);
+      const paid = sessions.filter((record) => record.payment.status === 'completed');
+
+      return {
+        sessions,
+        sessionCount: sessions.length,
+        paidCount: paid.length,
+        revenue: paid.reduce((sum, record) => sum + record.payment.amountPaid, 0),
+      };
+    },
+
+    /**
+     * Update the sections the kiosk controls
+     * @param {string} sessionId
+     * @param {Object} changes - { step, grid, filters, frame, stickers }
+     * @returns {Object} The updated record
+     */
+    update(sessionId, changes) {
+      if ('payment' in changes) {
+        throw new Error('payment is set by the server once a payment is verified');
+      }
+      const fields = Object.keys(changes).filter(
+        (key) => MERGED_SECTIONS.includes(key) || REPLACED_SECTIONS.includes(key)
+      );
+      if (fields.length === 0) {
+        throw new Error(`Nothing to update; allowed fields are ${[...MERGED_SECTIONS, ...REPLACED_SECTIONS].join(', ')}`);
+      }
+      if ('step' in changes && !SESSION_STEPS.includes(changes.step)) {
+        throw new Error(`Unknown step "${changes.step}"`);
+      }
+
+      return change(sessionId, 'update', (record) => {
+        for (const key of fields) {
+          record[key] = MERGED_SECTIONS.includes(key)
+            ? { ...record[key], ...changes[key] }
+            : changes[key];
+        }
+      }, fields);
+    },
+
+    /**
+     * Mark a session as ended
+     * @returns {Object|null} The updated record, or null if the session has no record
+     */
+    end(sessionId) {
+      const record = read(sessionId);
+      if (!record) return null;
+      if (record.status === 'ended') return withPayment(record);
+
+      return change(sessionId, 'end', (current) => {
+        current.status = 'ended';
+        current.endedAt = new Date().toISOString();
+      }, ['status']);
+    },
+
+    /**
+     * Replace the session images of one kind
+     * @param {string} sessionId
+     * @param {string} kind - 'captured' | 'edited' | 'composite'
+     * @param {Array<string>} images - Image data URLs
+     * @returns {Object} The updated record
+     */
+    saveImages(sessionId, kind, images) {
+      if (!IMAGE_KINDS.includes(kind)) {
+        throw new Error(`Unknown image kind "${kind}"`);
+      }
+      if (!Array.isArray(images)) {
+        throw new Error('images must be an array of data URLs');
+      }
+
+      const dir = imagesDir(sessionId);
+      fs.mkdirSync(dir, { recursive: true });
+
+      const filenames = images.map((dataUrl, index) => {
+        const match = /^data:(image\/[\w+]+);base64,/.exec(dataUrl);
+        if (!match || !IMAGE_TYPES[match[1]]) {
+          throw new Error('images must be JPEG, PNG or WebP data URLs');
+        }
+        const filename = `${kind}_${index}.${IMAGE_TYPES[match[1]]}`;
+        fs.writeFileSync(path.join(dir, filename), Buffer.from(dataUrl.slice(match[0].length), 'base64'));
+        return filename;
+      });
+
+      return change(sessionId, 'images', (record) => {
+        // Remove files of this kind that were not overwritten
+        for (const old of record.images?.[kind] || []) {
+          if (!filenames.includes(old)) {
+            fs.rmSync(path.join(dir, old), { force: true });
+          }
+        }
+        record.images = { ...record.images, [kind]: filenames };
+      }, [`images.${kind}`]);
+    },
+
+    /**
+     * Path of a session image, or null if it does not exist
+     */
+    imagePath(sessionId, filename) {
+      const filepath = path.join(imagesDir(sessionId), path.basename(filename));
+      return fs.existsSync(filepath) ? filepath : null;
+    },
+
+    addPhoto(sessionId, filename) {
+      return change(sessionId, 'photo', (record) => {
+        record.photos.push(filename);
+      }, ['photos']);
+    },
+
+    addPrintJob(sessionId, jobId) {
+      return change(sessionId, 'print', (record) => {
+        record.printJobs.push(jobId);
+      }, ['printJobs']);
+    },
+  };
+}
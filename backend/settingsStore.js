@@ -0,0 +1,57 @@
+/**
+ * Settings Store
+ *
+ * Kiosk settings persisted in a JSON file, one section per feature
+ * (e.g. 'pricing'). Sections that were never saved fall back to their
+ * defaults, so new settings work on existing installs.
+ */
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Create a settings store
+ *
+ * @param {Object} options
+ * @param {string} options.storePath - JSON file the settings are persisted to
+ * @param {Object} options.defaults - Default value per section
+ * @returns {Object} Store API: { get, set }
+ */
+export function createSettingsStore({ storePath, defaults = {} }) {
+  let settings = load();
+
+  function load() {
+    if (!fs.existsSync(storePath)) return {};
+
+    try {
+      return JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    } catch (error) {
+      console.error('Error loading settings:', error);
+      return {};
+    }
+  }
+
+  function save() {
+    const tempPath = `${storePath}.tmp`;
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(settings, null, 2));
+    fs.renameSync(tempPath, storePath);
+  }
+
+  return {
+    get(section) {
+      return settings[section] ?? defaults[section] ?? null;
+    },
+
+    /**
+     * Replace a settings section
+     * @param {string} section
+     * @param {*} value
+     * @returns {*} The saved value
+     */
+    set(section, value) {
+      settings = { ...settings, [section]: value };
+      save();
+      return value;
+    },
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * Stripe integration
+ *
+ * Creates Stripe Checkout sessions for kiosk sessions and turns Stripe
+ * webhook events into payment state changes.
+ *
+ * Configuration (environment):
+ * - STRIPE_SECRET_KEY - API secret key
+ * - STRIPE_WEBHOOK_SECRET - Signing secret of the webhook endpoint
+ * - STRIPE_API_URL - API base URL override, e.g. http://localhost:12111 for stripe-mock
+ * - STRIPE_SUCCESS_URL - Page shown on the customer's phone after paying (required for Checkout)
+ * - STRIPE_CANCEL_URL - Page shown if the customer backs out (optional)
+ */
+import Stripe from 'stripe';
+
+let client = null;
+
+/**
+ * Get the Stripe client, created on first use so the server starts without Stripe keys
+ * @returns {Stripe}
+ */
+export function getStripe() {
+  if (client) return client;
+
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+  if (!secretKey) {
+    throw new Error('Stripe is not configured: set STRIPE_SECRET_KEY');
+  }
+
+  const options = {};
+  if (process.env.STRIPE_API_URL) {
+    const apiUrl = new URL(process.env.STRIPE_API_URL);
+    options.host = apiUrl.hostname;
+    options.port = apiUrl.port;
+    options.protocol = apiUrl.protocol.replace(':', '');
+  }
+
+  client = new Stripe(secretKey, options);
+  return client;
+}
+
+/**
+ * Create a Checkout session for a kiosk session
+ *
+ * @param {Object} params
+ * @param {number} params.amount - Amount in the smallest currency unit
+ * @param {string} params.currency - Currency code (default 'inr')
+ * @param {string} params.sessionId - Kiosk sessionId, stored as client_reference_id and metadata
+ * @returns {Promise<Object>} The Stripe Checkout session
+ */
+export async function createCheckoutSession({ amount, currency = 'inr', sessionId }) {
+  const successUrl = process.env.STRIPE_SUCCESS_URL;
+  if (!successUrl) {
+    throw new Error('Stripe Checkout is not configured: set STRIPE_SUCCESS_URL');
+  }
+
+  return getStripe().checkout.sessions.create({
+    mode: 'payment',
+    line_items: [{
+      price_data: {
+        currency,
+        product_data: { name: 'Photo booth session' },
+        unit_amount: amount,
+      },
+      quantity: 1,
+    }],
+    client_reference_id: sessionId,
+    metadata: { sessionId },
+    payment_intent_data: { metadata: { sessionId } },
+    success_url: successUrl,
+    ...(process.env.STRIPE_CANCEL_URL && { cancel_url: process.env.STRIPE_CANCEL_URL }),
+  });
+}
+
+/**
+ * Fetch a Checkout session, used to confirm payment when no webhook has arrived
+ * @param {string} checkoutSessionId
+ * @returns {Promise<Object>} The Stripe Checkout session
+ */
+export async function retrieveCheckoutSession(checkoutSessionId) {
+  return getStripe().checkout.sessions.retrieve(checkoutSessionId);
+}
+
+/**
+ * Verify and parse a webhook request
+ *
+ * @param {Buffer} rawBody - Unparsed request body
+ * @param {string} signature - Value of the Stripe-Signature header
+ * @returns {Object} The Stripe event
+ * @throws {Error} If the signature does not match STRIPE_WEBHOOK_SECRET
+ */
+export function constructWebhookEvent(rawBody, signature) {
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!webhookSecret) {
+    throw new Error('Stripe webhooks are not configured: set STRIPE_WEBHOOK_SECRET');
+  }
+  return getStripe().webhooks.constructEvent(rawBody, signature, webhookSecret);
+}
+
+/**
+ * Map a Stripe event to a payment state change
+ *
+ * @param {Object} event - Verified Stripe event
+ * @returns {Object|null} { sessionId, changes } to apply to the payment store, or null to ignore
+ */
+export function paymentUpdateFromEvent(event) {
+  const object = event.data.object;
+  const sessionId = object.metadata?.sessionId || object.client_reference_id;
+  if (!sessionId) return null;
+
+  switch (event.type) {
+    case 'checkout.session.completed':
+    case 'checkout.session.async_payment_succeeded':
+      // Delayed payment methods complete the session before the money arrives
+      if (object.payment_status !== 'paid' && object.payment_status !== 'no_payment_required') {
+        return { sessionId, changes: { status: 'created', checkoutSessionId: object.id } };
+      }
+      return {
+        sessionId,
+        changes: {
+          status: 'paid',
+          checkoutSessionId: object.id,
+          paymentId: object.payment_intent,
+          amount: object.amount_total,
+          currency: object.currency,
+        },
+      };
+    case 'checkout.session.async_payment_failed':
+    case 'checkout.session.expired':
+      return { sessionId, changes: { status: 'failed', checkoutSessionId: object.id } };
+    case 'payment_intent.payment_failed':
+      return { sessionId, changes: { status: 'failed', paymentId: object.id } };
+    default:
+      return null;
+  }
+}
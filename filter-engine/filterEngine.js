@@ -0,0 +1,427 @@
+/**
+ * Filter engine
+ *
+ * Every photo filter is defined once, as parameters, and rendered three ways:
+ * - toCssFilter: CSS filter string for live previews (webcam, thumbnails)
+ * - applyFilterToPixels: RGB(A) pixel buffers, used for the canvas capture in
+ *   the kiosk and for the sharp pipeline on the server
+ * - applyFilterWithSharp: sharp pipeline for photos saved on the server
+ *
+ * The pixel renderer implements the CSS Filter Effects formulas, in the same
+ * order the CSS string lists them, so the capture matches the preview and
+ * the server produces the same bytes as the canvas.
+ *
+ * Parameters (identity values in FILTER_DEFAULTS):
+ *   sepia, grayscale (0-1), hueRotate (degrees), saturation, contrast,
+ *   brightness (1 = unchanged), blur (Gaussian standard deviation in pixels)
+ *
+ * A filter can also carry a 3D LUT (parseCubeLut), applied before the
+ * parameters. LUTs have no CSS form: toCssFilter leaves them out, and live
+ * previews of LUT filters render frames with applyFilterToPixels.
+ *
+ * Register more filters with registerFilter({ id, name, params, lut }). This
+ * package is a dependency of both the frontend and the backend.
+ */
+
+export const FILTER_DEFAULTS = {
+  sepia: 0,
+  grayscale: 0,
+  hueRotate: 0,
+  saturation: 1,
+  contrast: 1,
+  brightness: 1,
+  blur: 0,
+};
+
+const registry = new Map();
+
+const isLut = (lut) => Boolean(lut)
+  && Number.isInteger(lut.size) && lut.size >= 2
+  && Array.isArray(lut.domainMin) && Array.isArray(lut.domainMax)
+  && lut.table && lut.table.length === lut.size ** 3 * 3;
+
+/**
+ * Fill in defaults and check parameter values
+ * @param {Object} params
+ * @returns {Object} Complete parameters; luts is only present when non-empty
+ */
+function normalizeParams(params = {}) {
+  const normalized = { ...FILTER_DEFAULTS };
+  for (const [key, value] of Object.entries(params)) {
+    if (key === 'luts') {
+      if (!Array.isArray(value) || !value.every(isLut)) {
+        throw new Error('Filter parameter "luts" must be a list of parsed LUTs');
+      }
+      if (value.length > 0) normalized.luts = value;
+      continue;
+    }
+    if (!(key in FILTER_DEFAULTS)) {
+      throw new Error(`Unknown filter parameter "${key}"`);
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw new Error(`Filter parameter "${key}" must be a number`);
+    }
+    normalized[key] = number;
+  }
+  normalized.sepia = Math.min(1, Math.max(0, normalized.sepia));
+  normalized.grayscale = Math.min(1, Math.max(0, normalized.grayscale));
+  for (const key of ['saturation', 'contrast', 'brightness', 'blur']) {
+    normalized[key] = Math.max(0, normalized[key]);
+  }
+  return normalized;
+}
+
+/**
+ * Parse an Adobe / Resolve .cube file
+ *
+ * @param {string} text - File contents
+ * @returns {Object} { title, size, domainMin, domainMax, table } with table as
+ *   RGB triplets, red changing fastest
+ * @throws {Error} If the file is not a valid 3D LUT
+ */
+export function parseCubeLut(text) {
+  let title = null;
+  let size = null;
+  let domainMin = [0, 0, 0];
+  let domainMax = [1, 1, 1];
+  const values = [];
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const [keyword, ...rest] = line.split(/\s+/);
+    if (keyword === 'TITLE') {
+      title = line.slice('TITLE'.length).trim().replace(/^"(.*)"$/, '$1');
+    } else if (keyword === 'LUT_3D_SIZE') {
+      size = Number(rest[0]);
+    } else if (keyword === 'LUT_1D_SIZE') {
+      throw new Error('Only 3D LUTs are supported');
+    } else if (keyword === 'DOMAIN_MIN') {
+      domainMin = rest.map(Number);
+    } else if (keyword === 'DOMAIN_MAX') {
+      domainMax = rest.map(Number);
+    } else if (/^[-+.\d]/.test(keyword)) {
+      values.push(Number(keyword), ...rest.map(Number));
+    }
+    // Other keywords (LUT_3D_INPUT_RANGE, vendor extensions) are ignored
+  }
+
+  if (!Number.isInteger(size) || size < 2 || size > 256) {
+    throw new Error('LUT_3D_SIZE must be a whole number from 2 to 256');
+  }
+  if (values.length !== size ** 3 * 3 || values.some((value) => !Number.isFinite(value))) {
+    throw new Error(`Expected ${size ** 3} RGB rows for a ${size}-point LUT`);
+  }
+  if (domainMin.length !== 3 || domainMax.length !== 3
+    || domainMin.some((min, i) => !(domainMax[i] > min))) {
+    throw new Error('DOMAIN_MIN and DOMAIN_MAX must be three increasing values');
+  }
+
+  return { title, size, domainMin, domainMax, table: Float32Array.from(values) };
+}
+
+/**
+ * Register a filter (or replace one with the same id)
+ * @param {Object} filter - { id, name, params, lut } where lut is optional (parseCubeLut)
+ * @returns {Object} The registered filter
+ */
+export function registerFilter({ id, name, params, lut = null }) {
+  if (typeof id !== 'string' || !/^[\w-]+$/.test(id)) {
+    throw new Error('Filter id must be letters, digits, "-" or "_"');
+  }
+  if (lut && !isLut(lut)) {
+    throw new Error('Filter lut must come from parseCubeLut');
+  }
+  const filter = { id, name: name || id, params: normalizeParams(params), lut };
+  registry.set(id, filter);
+  return filter;
+}
+
+/**
+ * Get a registered filter
+ * @param {string} id
+ * @returns {Object|null} { id, name, params }
+ */
+export function getFilter(id) {
+  return registry.get(id) || null;
+}
+
+/**
+ * All registered filters, in registration order
+ * @returns {Array<Object>}
+ */
+export function listFilters() {
+  return [...registry.values()];
+}
+
+registerFilter({ id: 'none', name: 'None', params: {} });
+registerFilter({ id: 'sepia', name: 'Sepia', params: { sepia: 0.6 } });
+registerFilter({ id: 'vintage', name: 'Vintage', params: { sepia: 0.4, contrast: 0.9, saturation: 0.8 } });
+registerFilter({ id: 'cool', name: 'Cool', params: { hueRotate: 200, saturation: 1.1 } });
+registerFilter({ id: 'mono', name: 'Mono', params: { grayscale: 1 } });
+
+/**
+ * Stack filters into one set of parameters: brightness, contrast and
+ * saturation multiply, sepia and grayscale add up (to 1), hue rotations add
+ * and blurs combine like consecutive Gaussian blurs. LUTs are collected in
+ * order into params.luts.
+ *
+ * @param {...(string|Object|null)} specs - Registered filter ids or parameter objects; null entries are skipped
+ * @returns {Object} Parameters
+ * @throws {Error} For an unknown filter id or parameter
+ */
+export function combineFilters(...specs) {
+  const combined = { ...FILTER_DEFAULTS };
+  for (const spec of specs) {
+    if (spec === null || spec === undefined) continue;
+
+    let params;
+    if (typeof spec === 'string') {
+      const filter = getFilter(spec);
+      if (!filter) {
+        throw new Error(`Unknown filter "${spec}"`);
+      }
+      params = filter.lut ? { ...filter.params, luts: [filter.lut] } : filter.params;
+    } else {
+      params = normalizeParams(spec);
+    }
+
+    if (params.luts) {
+      combined.luts = [...(combined.luts || []), ...params.luts];
+    }
+
+    combined.sepia = Math.min(1, combined.sepia + params.sepia);
+    combined.grayscale = Math.min(1, combined.grayscale + params.grayscale);
+    combined.hueRotate += params.hueRotate;
+    combined.saturation *= params.saturation;
+    combined.contrast *= params.contrast;
+    combined.brightness *= params.brightness;
+    combined.blur = Math.sqrt(combined.blur ** 2 + params.blur ** 2);
+  }
+  return combined;
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * CSS filter string, e.g. for a webcam preview
+ * (blur is in CSS pixels, so it only matches the pixel renderer at 1:1 scale;
+ * LUTs are left out)
+ * @param {Object} params
+ * @returns {string} 'none' when the parameters change nothing
+ */
+export function toCssFilter(params) {
+  const p = normalizeParams(params);
+  const parts = [];
+  if (p.sepia) parts.push(`sepia(${round(p.sepia)})`);
+  if (p.grayscale) parts.push(`grayscale(${round(p.grayscale)})`);
+  if (p.hueRotate) parts.push(`hue-rotate(${round(p.hueRotate)}deg)`);
+  if (p.saturation !== 1) parts.push(`saturate(${round(p.saturation)})`);
+  if (p.contrast !== 1) parts.push(`contrast(${round(p.contrast)})`);
+  if (p.brightness !== 1) parts.push(`brightness(${round(p.brightness)})`);
+  if (p.blur) parts.push(`blur(${round(p.blur)}px)`);
+  return parts.length > 0 ? parts.join(' ') : 'none';
+}
+
+// Color matrices from the Filter Effects specification (row-major 3x3)
+function sepiaMatrix(amount) {
+  const a = 1 - amount;
+  return [
+    0.393 + 0.607 * a, 0.769 - 0.769 * a, 0.189 - 0.189 * a,
+    0.349 - 0.349 * a, 0.686 + 0.314 * a, 0.168 - 0.168 * a,
+    0.272 - 0.272 * a, 0.534 - 0.534 * a, 0.131 + 0.869 * a,
+  ];
+}
+
+function grayscaleMatrix(amount) {
+  const a = 1 - amount;
+  return [
+    0.2126 + 0.7874 * a, 0.7152 - 0.7152 * a, 0.0722 - 0.0722 * a,
+    0.2126 - 0.2126 * a, 0.7152 + 0.2848 * a, 0.0722 - 0.0722 * a,
+    0.2126 - 0.2126 * a, 0.7152 - 0.7152 * a, 0.0722 + 0.9278 * a,
+  ];
+}
+
+function hueRotateMatrix(degrees) {
+  const cos = Math.cos((degrees * Math.PI) / 180);
+  const sin = Math.sin((degrees * Math.PI) / 180);
+  return [
+    0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+    0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+    0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072,
+  ];
+}
+
+function saturateMatrix(s) {
+  return [
+    0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+    0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+    0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s,
+  ];
+}
+
+/**
+ * Color operations in CSS order; each is a matrix or a per-channel scale + offset (0-255 scale)
+ */
+function colorOperations(p) {
+  const operations = [];
+  if (p.sepia) operations.push({ matrix: sepiaMatrix(p.sepia) });
+  if (p.grayscale) operations.push({ matrix: grayscaleMatrix(p.grayscale) });
+  if (p.hueRotate) operations.push({ matrix: hueRotateMatrix(p.hueRotate) });
+  if (p.saturation !== 1) operations.push({ matrix: saturateMatrix(p.saturation) });
+  if (p.contrast !== 1) operations.push({ scale: p.contrast, offset: 127.5 * (1 - p.contrast) });
+  if (p.brightness !== 1) operations.push({ scale: p.brightness, offset: 0 });
+  return operations;
+}
+
+const clamp = (value) => (value < 0 ? 0 : value > 255 ? 255 : value);
+
+/**
+ * Look up a 0-255 RGB color in a LUT with trilinear interpolation
+ * @param {Object} lut - Parsed LUT
+ * @param {Array<number>} color - [r, g, b] on the 0-255 scale, replaced in place
+ */
+function sampleLut(lut, color) {
+  const { size, table, domainMin, domainMax } = lut;
+  const max = size - 1;
+  const position = (value, c) => {
+    const t = (value / 255 - domainMin[c]) / (domainMax[c] - domainMin[c]);
+    return t <= 0 ? 0 : t >= 1 ? max : t * max;
+  };
+
+  const x = position(color[0], 0);
+  const y = position(color[1], 1);
+  const z = position(color[2], 2);
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const z0 = Math.floor(z);
+  const fx = x - x0;
+  const fy = y - y0;
+  const fz = z - z0;
+
+  // Table offsets of the 8 surrounding points (red changes fastest)
+  const dx = x0 < max ? 3 : 0;
+  const dy = y0 < max ? size * 3 : 0;
+  const dz = z0 < max ? size * size * 3 : 0;
+  const base = ((z0 * size + y0) * size + x0) * 3;
+
+  for (let c = 0; c < 3; c += 1) {
+    const i = base + c;
+    const c00 = table[i] + (table[i + dx] - table[i]) * fx;
+    const c10 = table[i + dy] + (table[i + dy + dx] - table[i + dy]) * fx;
+    const c01 = table[i + dz] + (table[i + dz + dx] - table[i + dz]) * fx;
+    const c11 = table[i + dz + dy] + (table[i + dz + dy + dx] - table[i + dz + dy]) * fx;
+    const c0 = c00 + (c10 - c00) * fy;
+    const c1 = c01 + (c11 - c01) * fy;
+    color[c] = clamp((c0 + (c1 - c0) * fz) * 255);
+  }
+}
+
+/**
+ * Separable Gaussian blur of the color channels, edges clamped
+ */
+function gaussianBlur(values, width, height, channels, sigma) {
+  const radius = Math.ceil(sigma * 3);
+  const kernel = [];
+  let total = 0;
+  for (let i = -radius; i <= radius; i += 1) {
+    const weight = Math.exp(-(i * i) / (2 * sigma * sigma));
+    kernel.push(weight);
+    total += weight;
+  }
+  for (let i = 0; i < kernel.length; i += 1) kernel[i] /= total;
+
+  const colorChannels = Math.min(channels, 3);
+  const pass = (source, horizontal) => {
+    const target = new Float32Array(source.length);
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        for (let c = 0; c < colorChannels; c += 1) {
+          let sum = 0;
+          for (let k = -radius; k <= radius; k += 1) {
+            const sx = horizontal ? Math.min(width - 1, Math.max(0, x + k)) : x;
+            const sy = horizontal ? y : Math.min(height - 1, Math.max(0, y + k));
+            sum += source[(sy * width + sx) * channels + c] * kernel[k + radius];
+          }
+          target[(y * width + x) * channels + c] = sum;
+        }
+        for (let c = colorChannels; c < channels; c += 1) {
+          target[(y * width + x) * channels + c] = source[(y * width + x) * channels + c];
+        }
+      }
+    }
+    return target;
+  };
+  return pass(pass(values, true), false);
+}
+
+/**
+ * Apply filter parameters to a pixel buffer in place (alpha is left alone).
+ * LUTs in params.luts come first, then the color parameters, then the blur.
+ *
+ * @param {Object} pixels - { data (Uint8Array / Uint8ClampedArray / Buffer), width, height, channels (3 or 4) }
+ * @param {Object} params - Filter parameters, e.g. from combineFilters
+ * @returns {Object} The same pixels object
+ */
+export function applyFilterToPixels(pixels, params) {
+  const p = normalizeParams(params);
+  const { data, width, height, channels = 4 } = pixels;
+  const operations = colorOperations(p);
+  const luts = p.luts || [];
+  if (operations.length === 0 && luts.length === 0 && !p.blur) return pixels;
+
+  const values = new Float32Array(data.length);
+  const color = [0, 0, 0];
+  for (let i = 0; i < data.length; i += channels) {
+    let r = data[i];
+    let g = data[i + 1];
+    let b = data[i + 2];
+    if (luts.length > 0) {
+      color[0] = r;
+      color[1] = g;
+      color[2] = b;
+      for (const lut of luts) sampleLut(lut, color);
+      [r, g, b] = color;
+    }
+    for (const { matrix: m, scale, offset } of operations) {
+      if (m) {
+        const nr = m[0] * r + m[1] * g + m[2] * b;
+        const ng = m[3] * r + m[4] * g + m[5] * b;
+        const nb = m[6] * r + m[7] * g + m[8] * b;
+        r = clamp(nr);
+        g = clamp(ng);
+        b = clamp(nb);
+      } else {
+        r = clamp(r * scale + offset);
+        g = clamp(g * scale + offset);
+        b = clamp(b * scale + offset);
+      }
+    }
+    values[i] = r;
+    values[i + 1] = g;
+    values[i + 2] = b;
+    if (channels === 4) values[i + 3] = data[i + 3];
+  }
+
+  const result = p.blur ? gaussianBlur(values, width, height, channels, p.blur) : values;
+  for (let i = 0; i < data.length; i += 1) {
+    data[i] = Math.round(clamp(result[i]));
+  }
+  return pixels;
+}
+
+/**
+ * Filter an image with sharp, using the same pixel renderer as the kiosk
+ *
+ * @param {Function} sharp - The sharp module (passed in so this file has no dependencies)
+ * @param {Buffer|string} input - Image buffer or path
+ * @param {Object} params - Filter parameters
+ * @returns {Promise<Object>} sharp instance of the filtered image, ready for output options
+ */
+export async function applyFilterWithSharp(sharp, input, params) {
+  const { data, info } = await sharp(input).rotate().raw().toBuffer({ resolveWithObject: true });
+  applyFilterToPixels({ data, width: info.width, height: info.height, channels: info.channels }, params);
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+}
@@ -1,6 +1,5 @@
 import { contextBridge, ipcRenderer } from 'electron';
 
 contextBridge.exposeInMainWorld('electron', {
-  getPhotosDir: () => ipcRenderer.invoke('get-photos-dir'),
-  getSessionsDir: () => ipcRenderer.invoke('get-sessions-dir'),
+  exitKiosk: (pin) => ipcRenderer.invoke('exit-kiosk', pin),
 });
@@ -1,22 +1,50 @@
-import React, { useState } from 'react';
-import { HashRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { HashRouter as Router, Routes, Route, Navigate, useLocation, useNavigate } from 'react-router-dom';
 import WelcomeScreen from './screens/WelcomeScreen';
 import PaymentScreen from './screens/PaymentScreen';
 import Page2 from './screens/Page2';
 import CashPassword from './screens/CashPassword';
 import GridSelection from './screens/GridSelection';
 import CameraFilter from './screens/CameraFilter';
+import BackdropScreen from './screens/BackdropScreen';
 import CameraSettings from './screens/CameraSettings';
 import CameraScreen from './screens/CameraScreen';
+import ShotPickerScreen from './screens/ShotPickerScreen';
 import EditScreen from './screens/EditScreen';
 import ShareScreen from './screens/ShareScreen';
 import ThankYou from './screens/ThankYou';
 import PaymentQR from './screens/PaymentQR';
 import FrameSelectionScreen from './screens/FrameSelectionScreen';
 import StickerEditorScreen from './screens/StickerEditorScreen';
+import AttendantScreen from './screens/AttendantScreen';
+import AdminScreen from './screens/AdminScreen';
+import { toSessionRecordChanges, toSessionImages, saveSessionRecord, saveSessionImages, endSessionRecord } from './utils/sessionRecord';
+import { logEvent, toSessionEvents } from './utils/events';
+import { loadLutFilters } from './utils/luts';
 // import CombinedCamera from './screens/CombinedCamera';
 // Header removed: app uses full-screen pages without a nav/header
 
+// Routes that work without an in-memory session
+const STANDALONE_ROUTES = ['/', '/attendant', '/admin'];
+
+/**
+ * After a crash or reload the in-memory session is gone, so start from the
+ * welcome screen, which offers to resume an unfinished paid session
+ */
+function StartupRedirect() {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  useEffect(() => {
+    if (!STANDALONE_ROUTES.includes(location.pathname)) {
+      navigate('/', { replace: true });
+    }
+    // Only on startup
+  }, []);
+
+  return null;
+}
+
 function App() {
   const [sessionData, setSessionData] = useState({
     sessionId: null,
@@ -25,19 +53,62 @@ function App() {
     paymentStatus: 'pending',
   });
 
-  const updateSession = (data) => {
+  // Current session id and the chain of record writes, so updates reach the server in order
+  const sessionIdRef = useRef(null);
+  const recordQueue = useRef(Promise.resolve());
+
+  // Register the operator's LUT filters before the camera screens need them
+  useEffect(() => {
+    loadLutFilters();
+  }, []);
+
+  const updateSession = useCallback((data) => {
+    setSessionData(prev => ({ ...prev, ...data }));
+
+    const previousId = sessionIdRef.current;
+    if ('sessionId' in data && data.sessionId !== previousId) {
+      // A new session (or start over) ends the previous one; the new record is created on its first change
+      sessionIdRef.current = data.sessionId;
+      if (previousId) {
+        recordQueue.current = recordQueue.current.then(() => endSessionRecord(previousId));
+      }
+      return;
+    }
+
+    if (!previousId) return;
+
+    toSessionEvents(data).forEach(({ type, data: details }) => logEvent(type, previousId, details));
+
+    // Images first, so a completed step is only recorded once its images are on disk
+    toSessionImages(data).forEach(({ kind, images }) => {
+      recordQueue.current = recordQueue.current.then(() => saveSessionImages(previousId, kind, images));
+    });
+    const changes = toSessionRecordChanges(data);
+    if (changes) {
+      recordQueue.current = recordQueue.current.then(() => saveSessionRecord(previousId, changes));
+    }
+  }, []);
+
+  /**
+   * Continue a session restored from its record, without writing it back
+   * @param {Object} data - Session data from restoreSessionData
+   */
+  const resumeSession = useCallback((data) => {
+    sessionIdRef.current = data.sessionId;
     setSessionData(prev => ({ ...prev, ...data }));
-  };
+  }, []);
 
   return (
     <Router>
+      <StartupRedirect />
       <div className="min-h-screen">
         <Routes>
-          <Route path="/" element={<WelcomeScreen updateSession={updateSession} />} />
-          <Route path="/payment" element={<Page2 />} />
-          <Route path="/cash-password" element={<CashPassword updateSession={updateSession} />} />
-          <Route path="/grid" element={<GridSelection updateSession={updateSession} />} />
+          <Route path="/" element={<WelcomeScreen updateSession={updateSession} resumeSession={resumeSession} />} />
+          <Route path="/payment" element={<Page2 sessionData={sessionData} updateSession={updateSession} />} />
+          <Route path="/cash-password" element={<CashPassword sessionData={sessionData} updateSession={updateSession} />} />
+          <Route path="/grid" element={<GridSelection sessionData={sessionData} updateSession={updateSession} />} />
           <Route path="/camera-filter" element={<CameraFilter updateSession={updateSession} />} />
+          <Route path="/backdrop" element={<BackdropScreen sessionData={sessionData} updateSession={updateSession} />} />
           <Route
             path="/frame-selection"
             element={<FrameSelectionScreen sessionData={sessionData} updateSession={updateSession} />}
@@ -51,6 +122,9 @@ function App() {
           <Route path="/payment-qr" element={<PaymentQR sessionData={sessionData} updateSession={updateSession} />} />
           <Route path="/camera" element={<CameraScreen sessionData={sessionData} updateSession={updateSession} />} />
           <Route path="/thankyou" element={<ThankYou />} />
+          <Route path="/attendant" element={<AttendantScreen />} />
+          <Route path="/admin" element={<AdminScreen />} />
+          <Route path="/pick-shots" element={<ShotPickerScreen sessionData={sessionData} updateSession={updateSession} />} />
           <Route path="/edit" element={<EditScreen sessionData={sessionData} updateSession={updateSession} />} />
           <Route path="/share" element={<ShareScreen sessionData={sessionData} updateSession={updateSession} />} />
           <Route path="*" element={<Navigate to="/" replace />} />
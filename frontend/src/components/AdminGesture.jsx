@@ -0,0 +1,39 @@
+/**
+ * AdminGesture Component
+ *
+ * Invisible hot corner that opens the operator admin panel: tap the top-left
+ * corner of the screen 5 times within 3 seconds. The admin panel itself asks
+ * for the admin PIN.
+ *
+ * @returns {JSX.Element} Transparent tap target in the top-left corner
+ */
+import React, { useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+
+const REQUIRED_TAPS = 5;
+const TAP_WINDOW_MS = 3000;
+
+function AdminGesture() {
+  const navigate = useNavigate();
+  // Times of the recent taps
+  const taps = useRef([]);
+
+  const handleTap = () => {
+    const now = Date.now();
+    taps.current = [...taps.current.filter((time) => now - time < TAP_WINDOW_MS), now];
+    if (taps.current.length >= REQUIRED_TAPS) {
+      taps.current = [];
+      navigate('/admin');
+    }
+  };
+
+  return (
+    <div
+      onPointerDown={handleTap}
+      aria-hidden="true"
+      style={{ position: 'fixed', top: 0, left: 0, width: 80, height: 80, zIndex: 50 }}
+    />
+  );
+}
+
+export default AdminGesture;
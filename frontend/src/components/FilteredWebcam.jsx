@@ -0,0 +1,115 @@
+/**
+ * FilteredWebcam Component
+ *
+ * Webcam preview with a filter from the filter engine. Plain filters use the
+ * CSS form on the video; LUT filters, backdrops and AR face props have no
+ * CSS form, so the video is hidden and its frames are drawn to a canvas
+ * (backdrop, then props, then the filter), at a reduced size to keep the
+ * preview smooth.
+ *
+ * Takes the same props as react-webcam; the ref is the Webcam instance, so
+ * getScreenshot() still returns the unfiltered frame.
+ *
+ * @param {Object} filterParams - Filter parameters, e.g. from combineFilters
+ * @param {Object} backdrop - Virtual backdrop from useBackdrop (optional)
+ * @param {Array} faceProps - AR face props from useFaceProps (optional)
+ * @returns {JSX.Element} Webcam preview
+ */
+import React, { forwardRef, useEffect, useImperativeHandle, useRef } from 'react';
+import Webcam from 'react-webcam';
+import { applyFilterToPixels, toCssFilter } from 'photobooth-kiosk-filter-engine';
+import { applyBackdrop } from '../utils/backdrops';
+import { drawFaceProps } from '../utils/arProps';
+import { detectFaceLandmarks } from '../utils/faceMesh';
+
+// Longest side of the rendered preview, in pixels
+const PREVIEW_SIZE = 480;
+
+const FilteredWebcam = forwardRef(({ filterParams, backdrop, faceProps, style, className, ...webcamProps }, ref) => {
+  const webcamRef = useRef(null);
+  const canvasRef = useRef(null);
+  const hasLut = Boolean(filterParams?.luts?.length);
+  const hasProps = Boolean(faceProps?.length);
+  const useCanvas = hasLut || Boolean(backdrop) || hasProps;
+
+  useImperativeHandle(ref, () => webcamRef.current);
+
+  useEffect(() => {
+    if (!useCanvas) return undefined;
+
+    let frame = null;
+    let stopped = false;
+    let backdropFailed = false;
+    let propsFailed = false;
+    const render = async () => {
+      const video = webcamRef.current?.video;
+      const canvas = canvasRef.current;
+      if (video && canvas && video.readyState >= 2 && video.videoWidth > 0) {
+        const scale = Math.min(1, PREVIEW_SIZE / Math.max(video.videoWidth, video.videoHeight));
+        // Drawn off-screen, so a slow segmentation never shows a half-made frame
+        const buffer = document.createElement('canvas');
+        buffer.width = Math.round(video.videoWidth * scale);
+        buffer.height = Math.round(video.videoHeight * scale);
+
+        const ctx = buffer.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(video, 0, 0, buffer.width, buffer.height);
+        // Faces are found in the camera picture, before the backdrop changes it
+        let faces = [];
+        if (hasProps && !propsFailed) {
+          try {
+            faces = await detectFaceLandmarks(buffer);
+          } catch (error) {
+            console.error('Face tracking failed:', error);
+            propsFailed = true;
+          }
+        }
+        if (backdrop && !backdropFailed) {
+          try {
+            await applyBackdrop(buffer, backdrop);
+          } catch (error) {
+            // Keep the plain preview rather than retrying every frame
+            console.error('Background removal failed:', error);
+            backdropFailed = true;
+          }
+        }
+        if (faces.length > 0) drawFaceProps(ctx, faces, faceProps);
+        if (hasLut) {
+          const imageData = ctx.getImageData(0, 0, buffer.width, buffer.height);
+          applyFilterToPixels(
+            { data: imageData.data, width: imageData.width, height: imageData.height, channels: 4 },
+            { ...filterParams, blur: filterParams.blur * scale }
+          );
+          ctx.putImageData(imageData, 0, 0);
+        }
+        if (stopped) return;
+        canvas.width = buffer.width;
+        canvas.height = buffer.height;
+        canvas.getContext('2d').drawImage(buffer, 0, 0);
+      }
+      if (!stopped) frame = requestAnimationFrame(render);
+    };
+    frame = requestAnimationFrame(render);
+
+    return () => {
+      stopped = true;
+      cancelAnimationFrame(frame);
+    };
+  }, [useCanvas, hasLut, filterParams, backdrop, hasProps, faceProps]);
+
+  // Without a LUT the filter is still the CSS form, on the canvas instead of the video
+  const cssFilter = hasLut ? undefined : toCssFilter(filterParams || {});
+
+  return (
+    <>
+      <Webcam
+        ref={webcamRef}
+        {...webcamProps}
+        className={useCanvas ? undefined : className}
+        style={useCanvas ? { display: 'none' } : { ...style, filter: cssFilter }}
+      />
+      {useCanvas && <canvas ref={canvasRef} className={className} style={{ ...style, filter: cssFilter }} />}
+    </>
+  );
+});
+
+export default FilteredWebcam;
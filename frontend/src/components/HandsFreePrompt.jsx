@@ -0,0 +1,37 @@
+/**
+ * HandsFreePrompt Component
+ *
+ * Banner over the camera preview while hands-free capture waits for a
+ * trigger: tells the customer to smile or raise a hand, and when the
+ * countdown starts anyway.
+ *
+ * @param {Array<string>} triggers - Enabled triggers ('smile', 'hand')
+ * @param {Object} handsFree - State from useHandsFree: { secondsLeft, loading, error }
+ * @returns {JSX.Element} Prompt banner
+ */
+import React from 'react';
+
+const TRIGGER_PROMPTS = {
+  smile: '😊 Smile',
+  hand: '✋ raise your hand',
+};
+
+function HandsFreePrompt({ triggers, handsFree }) {
+  const prompts = triggers.map((trigger) => TRIGGER_PROMPTS[trigger]).filter(Boolean);
+  const { secondsLeft, loading, error } = handsFree;
+
+  return (
+    <div className="absolute bottom-3 left-1/2 -translate-x-1/2 px-4 py-2 rounded-full bg-black bg-opacity-60 text-white text-sm font-semibold text-center">
+      {prompts.length > 0 && !error && (
+        <span>{loading ? 'Getting ready...' : `${prompts.join(' or ')} to start!`}</span>
+      )}
+      {secondsLeft !== null && (
+        <span className={prompts.length > 0 && !error ? 'ml-2 opacity-80' : ''}>
+          Starting in {secondsLeft}s
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default HandsFreePrompt;
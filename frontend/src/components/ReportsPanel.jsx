@@ -0,0 +1,175 @@
+/**
+ * ReportsPanel Component
+ *
+ * Sales and usage dashboard shown in the admin panel. Loads daily or weekly
+ * aggregates of the event log and exports them as CSV.
+ *
+ * Features:
+ * - Totals for the range: sessions, paid sessions, cash and online revenue
+ * - Per day / per week table with a revenue bar
+ * - Most picked grids and frames
+ * - CSV export of the same report
+ *
+ * @param {string} pin - Admin PIN, sent with every report request
+ * @returns {JSX.Element} Reports dashboard
+ */
+import React, { useEffect, useState } from 'react';
+import { fetchReport, downloadReportCsv } from '../utils/admin';
+
+const dateString = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return dateString(date);
+};
+
+/**
+ * Sum counts per id across report rows, most picked first
+ */
+const totalCounts = (rows, key) => Object.entries(
+  rows.reduce((totals, row) => {
+    Object.entries(row[key]).forEach(([id, count]) => {
+      totals[id] = (totals[id] || 0) + count;
+    });
+    return totals;
+  }, {})
+).sort((a, b) => b[1] - a[1]);
+
+function ReportsPanel({ pin }) {
+  const [period, setPeriod] = useState('daily');
+  const [from, setFrom] = useState(daysAgo(6));
+  const [to, setTo] = useState(daysAgo(0));
+  const [rows, setRows] = useState([]);
+  const [error, setError] = useState('');
+
+  const loadReport = async () => {
+    const result = await fetchReport(pin, { period, from, to });
+    if (result.success) {
+      setRows(result.rows);
+      setError('');
+    } else {
+      setError(result.error || 'Could not load the report.');
+    }
+  };
+
+  // Reload whenever the range or period changes
+  useEffect(() => {
+    loadReport();
+  }, [period, from, to]);
+
+  const handleExport = async () => {
+    const result = await downloadReportCsv(pin, { period, from, to });
+    if (!result.success) setError(result.error || 'Could not export the report.');
+  };
+
+  const sum = (pick) => rows.reduce((total, row) => total + pick(row), 0);
+  const currency = rows.find((row) => row.currency)?.currency || '';
+  const maxRevenue = Math.max(1, ...rows.map((row) => row.revenue.total));
+  const topGrids = totalCounts(rows, 'grids').slice(0, 5);
+  const topFrames = totalCounts(rows, 'frames').slice(0, 5);
+
+  return (
+    <div className="mt-6">
+      {/* Range and export */}
+      <div className="flex flex-wrap items-center gap-3">
+        <select value={period} onChange={(e) => setPeriod(e.target.value)} className="p-2 rounded-lg border-2 border-gray-300">
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+        </select>
+        <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="p-2 rounded-lg border-2 border-gray-300" />
+        <span>to</span>
+        <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="p-2 rounded-lg border-2 border-gray-300" />
+        <button onClick={handleExport} className="ml-auto px-4 py-2 rounded-lg bg-[#FF6B6A] text-white font-semibold">
+          Export CSV
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mt-4">
+          {error}
+        </div>
+      )}
+
+      {/* Totals for the range */}
+      <div className="grid grid-cols-4 gap-3 mt-4">
+        {[
+          ['Sessions', sum((row) => row.sessions)],
+          ['Paid', sum((row) => row.paidSessions)],
+          ['Cash', `${sum((row) => row.revenue.cash)} ${currency}`],
+          ['Online', `${sum((row) => row.revenue.online)} ${currency}`],
+        ].map(([label, value]) => (
+          <div key={label} className="rounded-xl p-3 text-center" style={{ background: '#FFF0F5', border: '2px solid #F9C5CF' }}>
+            <div className="text-sm text-gray-600">{label}</div>
+            <div className="text-2xl font-bold" style={{ color: '#D83A4A' }}>{value}</div>
+          </div>
+        ))}
+      </div>
+
+      {/* Per period */}
+      {rows.length === 0 ? (
+        <p className="text-gray-600 mt-4">No activity in this range.</p>
+      ) : (
+        <table className="w-full text-left text-sm mt-4">
+          <thead>
+            <tr className="border-b-2 border-rose-200">
+              <th className="py-2">{period === 'weekly' ? 'Week of' : 'Day'}</th>
+              <th>Sessions</th>
+              <th>Paid</th>
+              <th>Photos</th>
+              <th>Prints</th>
+              <th>Downloads</th>
+              <th>Cash</th>
+              <th>Online</th>
+              <th className="w-1/4">Revenue</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.period} className="border-b border-rose-100">
+                <td className="py-2">{row.period}</td>
+                <td>{row.sessions}</td>
+                <td>{row.paidSessions}</td>
+                <td>{row.captures}</td>
+                <td>{row.prints}</td>
+                <td>{row.downloads}</td>
+                <td>{row.revenue.cash}</td>
+                <td>{row.revenue.online}</td>
+                <td>
+                  <div className="flex items-center gap-2">
+                    <div className="h-3 rounded" style={{ width: `${(row.revenue.total / maxRevenue) * 100}%`, background: '#FF6B6A' }} />
+                    <span>{row.revenue.total}</span>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {/* Most picked grids and frames */}
+      <div className="grid grid-cols-2 gap-6 mt-6">
+        {[['Top grids', topGrids], ['Top frames', topFrames]].map(([title, entries]) => (
+          <div key={title}>
+            <h3 className="text-lg font-bold" style={{ color: '#6B2D9B' }}>{title}</h3>
+            {entries.length === 0 ? (
+              <p className="text-gray-600 text-sm">None yet.</p>
+            ) : (
+              <ul className="text-sm mt-1">
+                {entries.map(([id, count]) => (
+                  <li key={id} className="flex justify-between border-b border-rose-100 py-1">
+                    <span>{id}</span>
+                    <span className="font-semibold">{count}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ReportsPanel;
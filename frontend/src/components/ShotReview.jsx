@@ -0,0 +1,39 @@
+/**
+ * ShotReview Component
+ *
+ * All captured photos of a grid, each with a Retake button while the
+ * customer has retakes left (see utils/retakes.js).
+ *
+ * @param {Array<string>} photos - Captured photos, one per cell
+ * @param {number} cols - Grid columns
+ * @param {number} retakesLeft - Retakes the customer has left
+ * @param {Function} onRetake - Called with the index of the cell to retake
+ * @param {string} className - Extra classes for the grid (e.g. a frame style)
+ * @returns {JSX.Element} Photo grid
+ */
+import React from 'react';
+
+function ShotReview({ photos, cols, retakesLeft, onRetake, className = '' }) {
+  return (
+    <div className={`grid gap-2 ${className}`} style={{ gridTemplateColumns: `repeat(${cols}, 1fr)` }}>
+      {photos.map((photo, index) => (
+        <div key={index} className="relative rounded-lg overflow-hidden bg-black">
+          <img src={photo} alt={`Photo ${index + 1}`} className="w-full h-full object-cover" />
+          <span className="absolute top-1 left-1 px-2 rounded-full bg-black bg-opacity-60 text-white text-xs font-semibold">
+            {index + 1}
+          </span>
+          {retakesLeft > 0 && (
+            <button
+              onClick={() => onRetake(index)}
+              className="absolute bottom-1 left-1/2 -translate-x-1/2 px-3 py-1 rounded-full bg-white bg-opacity-90 text-xs font-bold hover:bg-rose-100"
+            >
+              🔄 Retake
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ShotReview;
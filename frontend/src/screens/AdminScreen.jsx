@@ -0,0 +1,809 @@
+/**
+ * AdminScreen Component
+ *
+ * Operator admin panel, opened at /admin through the hidden corner gesture
+ * (AdminGesture) and unlocked with the admin PIN (checked by the settings
+ * API against ADMIN_PIN).
+ *
+ * Features:
+ * - Today's sessions and revenue, or any other day
+ * - Daily and weekly sales and usage reports with CSV export (ReportsPanel)
+ * - Session prices per grid and add-on prices
+ * - Grids, filters and frames offered to customers
+ * - Printer prints are sent to
+ * - Camera: webcam, resolution, frame rate and capture source (webcam or tethered DSLR)
+ * - Hands-free capture: triggers, sensitivity and fallback timer
+ * - Burst mode: frames per burst, frame interval and animations (GIF, boomerang)
+ * - Issue cash codes
+ * - Exit kiosk mode (Electron only)
+ *
+ * @returns {JSX.Element} Admin panel
+ */
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { fetchAdminSummary, savePricing, saveKioskSettings, exitKioskMode } from '../utils/admin';
+import { fetchPricing } from '../utils/pricing';
+import { fetchKioskSettings } from '../utils/kioskSettings';
+import { issueCashCode } from '../utils/cashCodes';
+import { detectPrinters } from '../utils/printerDetection';
+import { useFilterList } from '../utils/luts';
+import { getHandsFreeSettings } from '../utils/handsFree';
+import { getRetakeSettings } from '../utils/retakes';
+import { getShotPoolSettings } from '../utils/shotPool';
+import { getBurstSettings } from '../utils/burst';
+import { getBackgroundRemovalSettings, useBackdropList } from '../utils/backdrops';
+import { getChromaKeySettings } from '../utils/chromaKey';
+import { FRAME_RATES, RESOLUTION_PRESETS, fetchBridgeStatus, getCameraSettings, listCameras } from '../utils/camera';
+import { FRAME_OPTIONS } from '../utils/frames';
+import { AR_PROPS } from '../utils/arProps';
+import ReportsPanel from '../components/ReportsPanel';
+
+const TABS = [
+  { id: 'today', label: 'Sessions' },
+  { id: 'reports', label: 'Reports' },
+  { id: 'prices', label: 'Prices' },
+  { id: 'options', label: 'Grids, Filters, Frames & Props' },
+  { id: 'printer', label: 'Printer' },
+  { id: 'camera', label: 'Camera' },
+  { id: 'capture', label: 'Capture' },
+  { id: 'burst', label: 'Animations' },
+  { id: 'backdrops', label: 'Backdrops' },
+  { id: 'cash', label: 'Cash Codes' },
+  { id: 'kiosk', label: 'Kiosk' },
+];
+
+const todayString = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Whether an option is enabled; a null list enables everything
+ */
+const isEnabled = (enabledIds, id) => !Array.isArray(enabledIds) || enabledIds.includes(id);
+
+/**
+ * Toggle an option; back to null once everything is enabled again
+ */
+const toggleEnabled = (enabledIds, allIds, id) => {
+  const current = Array.isArray(enabledIds) ? enabledIds : allIds;
+  const next = current.includes(id) ? current.filter((existing) => existing !== id) : [...current, id];
+  return allIds.every((existing) => next.includes(existing)) ? null : next;
+};
+
+function AdminScreen() {
+  const navigate = useNavigate();
+  const [pin, setPin] = useState('');
+  const [unlocked, setUnlocked] = useState(false);
+  const [tab, setTab] = useState('today');
+  const [date, setDate] = useState(todayString());
+  const [summary, setSummary] = useState(null);
+  const [pricing, setPricing] = useState(null);
+  const [kiosk, setKiosk] = useState(null);
+  const [printers, setPrinters] = useState([]);
+  const [cameras, setCameras] = useState([]);
+  const [bridge, setBridge] = useState(null);
+  const [cashAmount, setCashAmount] = useState('');
+  const [issued, setIssued] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const showResult = (result, successMessage) => {
+    if (result.success) {
+      setMessage(successMessage);
+      setError('');
+    } else {
+      setMessage('');
+      setError(result.error || 'Something went wrong.');
+    }
+    return result.success;
+  };
+
+  /**
+   * Load the sessions of a day; also used to check the PIN
+   */
+  const loadSummary = async (day = date) => {
+    const result = await fetchAdminSummary(pin, day);
+    if (!result.success) {
+      setError(result.error || 'Could not load sessions.');
+      return false;
+    }
+    setSummary(result);
+    setError('');
+    return true;
+  };
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    if (!(await loadSummary())) return;
+
+    const [loadedPricing, loadedKiosk, detected] = await Promise.all([
+      fetchPricing(),
+      fetchKioskSettings(),
+      detectPrinters(),
+    ]);
+    setPricing(loadedPricing);
+    setKiosk(loadedKiosk);
+    setPrinters(detected.filter((printer) => printer.name !== 'Default Printer'));
+    setUnlocked(true);
+  };
+
+  const handleDateChange = (value) => {
+    setDate(value);
+    loadSummary(value);
+  };
+
+  const handleSavePricing = async () => {
+    const result = await savePricing(pin, pricing);
+    if (showResult(result, 'Prices saved.')) setPricing(result.pricing);
+  };
+
+  const handleSaveKiosk = async () => {
+    const result = await saveKioskSettings(pin, kiosk);
+    if (showResult(result, 'Settings saved.')) setKiosk(result.kiosk);
+  };
+
+  const handleIssueCode = async () => {
+    // The server accepts the admin PIN in the attendant view too
+    const result = await issueCashCode(pin, Number(cashAmount));
+    if (showResult(result, '')) setIssued(result);
+  };
+
+  const handleExitKiosk = async () => {
+    showResult(await exitKioskMode(pin), 'Kiosk mode exited.');
+  };
+
+  const setGridPrice = (gridId, value) => {
+    setPricing((prev) => ({ ...prev, grids: { ...prev.grids, [gridId]: Number(value) } }));
+  };
+
+  const setAddOnPrice = (addOnId, value) => {
+    setPricing((prev) => ({
+      ...prev,
+      addOns: { ...prev.addOns, [addOnId]: { ...prev.addOns[addOnId], price: Number(value) } },
+    }));
+  };
+
+  const toggleOption = (key, allIds, id) => {
+    setKiosk((prev) => ({ ...prev, [key]: toggleEnabled(prev[key], allIds, id) }));
+  };
+
+  const setHandsFree = (changes) => {
+    setKiosk((prev) => ({ ...prev, handsFree: { ...getHandsFreeSettings(prev), ...changes } }));
+  };
+
+  const setRetakes = (changes) => {
+    setKiosk((prev) => ({ ...prev, retakes: { ...getRetakeSettings(prev), ...changes } }));
+  };
+
+  const setShotPool = (changes) => {
+    setKiosk((prev) => ({ ...prev, shotPool: { ...getShotPoolSettings(prev), ...changes } }));
+  };
+
+  const setCamera = (changes) => {
+    setKiosk((prev) => ({ ...prev, camera: { ...getCameraSettings(prev), ...changes } }));
+  };
+
+  const handleCheckBridge = async () => {
+    setBridge(await fetchBridgeStatus());
+  };
+
+  // Look for cameras when the camera tab opens (plugged-in cameras show up on reopening)
+  useEffect(() => {
+    if (tab !== 'camera') return undefined;
+
+    let cancelled = false;
+    listCameras()
+      .then((found) => {
+        if (!cancelled) setCameras(found);
+      })
+      .catch((cameraError) => {
+        console.error('Error listing cameras:', cameraError);
+        if (!cancelled) setError('Could not list the cameras.');
+      });
+    return () => { cancelled = true; };
+  }, [tab]);
+
+  const setBurst = (changes) => {
+    setKiosk((prev) => ({ ...prev, burst: { ...getBurstSettings(prev), ...changes } }));
+  };
+
+  const setBackgroundRemoval = (changes) => {
+    setKiosk((prev) => ({ ...prev, backgroundRemoval: { ...getBackgroundRemovalSettings(prev), ...changes } }));
+  };
+
+  const setChromaKey = (changes) => {
+    setKiosk((prev) => ({ ...prev, chromaKey: { ...getChromaKeySettings(prev), ...changes } }));
+  };
+
+  const toggleBurstOutput = (output) => {
+    const { outputs } = getBurstSettings(kiosk);
+    setBurst({
+      outputs: outputs.includes(output) ? outputs.filter((id) => id !== output) : [...outputs, output],
+    });
+  };
+
+  const toggleHandsFreeTrigger = (trigger) => {
+    const { triggers } = getHandsFreeSettings(kiosk);
+    setHandsFree({
+      triggers: triggers.includes(trigger) ? triggers.filter((id) => id !== trigger) : [...triggers, trigger],
+    });
+  };
+
+  const gridIds = pricing ? Object.keys(pricing.grids) : [];
+  const handsFree = getHandsFreeSettings(kiosk);
+  const retakes = getRetakeSettings(kiosk);
+  const shotPool = getShotPoolSettings(kiosk);
+  const burst = getBurstSettings(kiosk);
+  const backgroundRemoval = getBackgroundRemovalSettings(kiosk);
+  const chromaKey = getChromaKeySettings(kiosk);
+  const backdrops = useBackdropList();
+  const camera = getCameraSettings(kiosk);
+  const resolution = `${camera.width}x${camera.height}`;
+  const filterOptions = useFilterList();
+  const filterIds = filterOptions.map((filter) => filter.id);
+  const frameIds = FRAME_OPTIONS.map((frame) => frame.id);
+  const propIds = AR_PROPS.map((prop) => prop.id);
+
+  const renderOptionList = (title, key, options, allIds) => (
+    <div className="mt-4">
+      <h3 className="text-lg font-bold" style={{ color: '#6B2D9B' }}>{title}</h3>
+      <div className="grid grid-cols-3 gap-2 mt-2">
+        {options.map(({ id, name }) => (
+          <label key={id} className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={isEnabled(kiosk?.[key], id)}
+              onChange={() => toggleOption(key, allIds, id)}
+            />
+            {name}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+
+  return (
+    <div style={{ background: '#f6DDD8', height: '100vh', overflow: 'auto' }} className="p-6 flex items-center justify-center">
+      <div
+        className="w-full max-w-4xl rounded-2xl p-6"
+        style={{
+          background: '#f7f4E8', // Cream white background
+          border: '5px solid #FF6B6A', // Coral-pink border
+          boxShadow: '0 6px 20px rgba(0,0,0,0.06)',
+        }}
+      >
+        <h2 className="text-3xl font-bold" style={{ color: '#6B2D9B' }}>Admin</h2>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mt-4">
+            {error}
+          </div>
+        )}
+        {message && (
+          <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-lg mt-4">
+            {message}
+          </div>
+        )}
+
+        {!unlocked ? (
+          // PIN entry
+          <form onSubmit={handleUnlock} className="mt-6 flex gap-3">
+            <input
+              type="password"
+              inputMode="numeric"
+              value={pin}
+              onChange={(e) => setPin(e.target.value)}
+              placeholder="Admin PIN"
+              className="flex-1 p-3 rounded-lg border-2 border-gray-300 text-center text-xl tracking-widest"
+            />
+            <button type="submit" className="px-6 py-3 rounded-lg bg-[#FF6B6A] text-white font-semibold">
+              Unlock
+            </button>
+          </form>
+        ) : (
+          <>
+            {/* Tabs */}
+            <div className="mt-6 flex flex-wrap gap-2">
+              {TABS.map(({ id, label }) => (
+                <button
+                  key={id}
+                  onClick={() => { setTab(id); setMessage(''); setError(''); }}
+                  className={`px-4 py-2 rounded-lg border-2 text-sm font-semibold ${tab === id ? 'border-rose-500 bg-rose-100' : 'border-gray-300'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            {/* Sessions and revenue */}
+            {tab === 'today' && summary && (
+              <div className="mt-6">
+                <div className="flex items-center gap-6">
+                  <input
+                    type="date"
+                    value={date}
+                    onChange={(e) => handleDateChange(e.target.value)}
+                    className="p-2 rounded-lg border-2 border-gray-300"
+                  />
+                  <div><span className="font-bold">{summary.sessionCount}</span> sessions</div>
+                  <div><span className="font-bold">{summary.paidCount}</span> paid</div>
+                  <div>
+                    Revenue <span className="font-bold" style={{ color: '#D83A4A' }}>{summary.revenue} {summary.currency}</span>
+                  </div>
+                </div>
+                {summary.sessions.length === 0 ? (
+                  <p className="text-gray-600 mt-4">No sessions on this day.</p>
+                ) : (
+                  <table className="w-full text-left text-sm mt-4">
+                    <thead>
+                      <tr className="border-b-2 border-rose-200">
+                        <th className="py-2">Started</th>
+                        <th>Session</th>
+                        <th>Grid</th>
+                        <th>Payment</th>
+                        <th>Paid</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {summary.sessions.map((session) => (
+                        <tr key={session.sessionId} className="border-b border-rose-100">
+                          <td className="py-2">{new Date(session.createdAt).toLocaleTimeString()}</td>
+                          <td>{session.sessionId}</td>
+                          <td>{session.grid?.id || '-'}</td>
+                          <td>{session.payment?.status || '-'}</td>
+                          <td>{session.payment?.status === 'completed' ? session.payment.amountPaid : '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
+
+            {/* Sales and usage reports */}
+            {tab === 'reports' && <ReportsPanel pin={pin} />}
+
+            {/* Prices */}
+            {tab === 'prices' && pricing && (
+              <div className="mt-6">
+                <h3 className="text-lg font-bold" style={{ color: '#6B2D9B' }}>Grids ({pricing.currency})</h3>
+                <div className="grid grid-cols-2 gap-3 mt-2">
+                  {gridIds.map((gridId) => (
+                    <label key={gridId} className="flex items-center justify-between gap-3">
+                      <span>{gridId}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        value={pricing.grids[gridId]}
+                        onChange={(e) => setGridPrice(gridId, e.target.value)}
+                        className="w-28 p-2 rounded-lg border-2 border-gray-300"
+                      />
+                    </label>
+                  ))}
+                </div>
+                <h3 className="text-lg font-bold mt-4" style={{ color: '#6B2D9B' }}>Add-ons</h3>
+                <div className="grid grid-cols-2 gap-3 mt-2">
+                  {Object.entries(pricing.addOns).map(([addOnId, addOn]) => (
+                    <label key={addOnId} className="flex items-center justify-between gap-3">
+                      <span>{addOn.name}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        value={addOn.price}
+                        onChange={(e) => setAddOnPrice(addOnId, e.target.value)}
+                        className="w-28 p-2 rounded-lg border-2 border-gray-300"
+                      />
+                    </label>
+                  ))}
+                </div>
+                <button onClick={handleSavePricing} className="mt-6 px-6 py-3 rounded-lg bg-[#FF6B6A] text-white font-semibold">
+                  Save Prices
+                </button>
+              </div>
+            )}
+
+            {/* Enabled grids, filters, frames and props */}
+            {tab === 'options' && kiosk && (
+              <div className="mt-2">
+                {renderOptionList('Grids', 'enabledGrids', gridIds.map((id) => ({ id, name: id })), gridIds)}
+                {renderOptionList('Filters', 'enabledFilters', filterOptions, filterIds)}
+                {renderOptionList('Frames', 'enabledFrames', FRAME_OPTIONS, frameIds)}
+                {renderOptionList('AR Face Props', 'enabledProps', AR_PROPS, propIds)}
+                <button onClick={handleSaveKiosk} className="mt-6 px-6 py-3 rounded-lg bg-[#FF6B6A] text-white font-semibold">
+                  Save
+                </button>
+              </div>
+            )}
+
+            {/* Printer */}
+            {tab === 'printer' && kiosk && (
+              <div className="mt-6">
+                <select
+                  value={kiosk.printerName || ''}
+                  onChange={(e) => setKiosk((prev) => ({ ...prev, printerName: e.target.value || null }))}
+                  className="w-full p-3 rounded-lg border-2 border-gray-300"
+                >
+                  <option value="">Chosen on the share screen</option>
+                  {printers.map((printer) => (
+                    <option key={printer.name} value={printer.name}>
+                      {printer.name}{printer.isDefault ? ' (system default)' : ''}
+                    </option>
+                  ))}
+                </select>
+                <button onClick={handleSaveKiosk} className="mt-6 px-6 py-3 rounded-lg bg-[#FF6B6A] text-white font-semibold">
+                  Save Printer
+                </button>
+              </div>
+            )}
+
+            {/* Camera */}
+            {tab === 'camera' && kiosk && (
+              <div className="mt-6 space-y-4">
+                <label className="block text-sm">
+                  Webcam (live view)
+                  <select
+                    value={camera.deviceId || ''}
+                    onChange={(e) => setCamera({ deviceId: e.target.value || null })}
+                    className="w-full p-3 mt-1 rounded-lg border-2 border-gray-300"
+                  >
+                    <option value="">Front-facing camera</option>
+                    {camera.deviceId && !cameras.some((device) => device.deviceId === camera.deviceId) && (
+                      <option value={camera.deviceId}>Saved camera (not connected)</option>
+                    )}
+                    {cameras.map((device) => (
+                      <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <div className="flex gap-4">
+                  <label className="block text-sm flex-1">
+                    Resolution
+                    <select
+                      value={resolution}
+                      onChange={(e) => {
+                        const [width, height] = e.target.value.split('x').map(Number);
+                        setCamera({ width, height });
+                      }}
+                      className="w-full p-3 mt-1 rounded-lg border-2 border-gray-300"
+                    >
+                      {!RESOLUTION_PRESETS.some((preset) => `${preset.width}x${preset.height}` === resolution) && (
+                        <option value={resolution}>{camera.width} x {camera.height}</option>
+                      )}
+                      {RESOLUTION_PRESETS.map((preset) => (
+                        <option key={preset.label} value={`${preset.width}x${preset.height}`}>{preset.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="block text-sm w-40">
+                    Frame rate
+                    <select
+                      value={camera.frameRate}
+                      onChange={(e) => setCamera({ frameRate: Number(e.target.value) })}
+                      className="w-full p-3 mt-1 rounded-lg border-2 border-gray-300"
+                    >
+                      {!FRAME_RATES.includes(camera.frameRate) && (
+                        <option value={camera.frameRate}>{camera.frameRate} fps</option>
+                      )}
+                      {FRAME_RATES.map((rate) => (
+                        <option key={rate} value={rate}>{rate} fps</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                <p className="text-xs text-gray-500">
+                  The camera may pick the closest resolution and frame rate it supports.
+                </p>
+                <label className="block text-sm">
+                  Photos taken with
+                  <select
+                    value={camera.source}
+                    onChange={(e) => setCamera({ source: e.target.value })}
+                    className="w-full p-3 mt-1 rounded-lg border-2 border-gray-300"
+                  >
+                    <option value="webcam">Webcam</option>
+                    <option value="dslr">Tethered camera (DSLR, through the camera bridge)</option>
+                  </select>
+                </label>
+                {camera.source === 'webcam' && (
+                  <label className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={camera.fullResolution}
+                      onChange={(e) => setCamera({ fullResolution: e.target.checked })}
+                    />
+                    Take photos at the webcam's full resolution (turn off if the preview freezes when taking a photo)
+                  </label>
+                )}
+                {camera.source === 'dslr' && (
+                  <div className="flex items-center gap-4 text-sm">
+                    <button onClick={handleCheckBridge} className="px-4 py-2 rounded-lg border-2 border-gray-300 font-semibold">
+                      Check Camera Bridge
+                    </button>
+                    {bridge && (
+                      <span className={bridge.connected ? 'text-green-700' : 'text-red-600'}>
+                        {bridge.connected
+                          ? `Connected: ${bridge.camera || 'camera'} (${bridge.driver})`
+                          : `Not connected${bridge.error ? `: ${bridge.error}` : ''}`}
+                      </span>
+                    )}
+                  </div>
+                )}
+                <button onClick={handleSaveKiosk} className="px-6 py-3 rounded-lg bg-[#FF6B6A] text-white font-semibold">
+                  Save Camera
+                </button>
+              </div>
+            )}
+
+            {/* Hands-free capture, retakes and extra shots */}
+            {tab === 'capture' && kiosk && (
+              <div className="mt-6 space-y-4">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={handsFree.enabled}
+                    onChange={(e) => setHandsFree({ enabled: e.target.checked })}
+                  />
+                  Start the capture countdown hands-free
+                </label>
+                <div className="flex gap-6">
+                  {[['smile', 'Smile'], ['hand', 'Raised hand']].map(([trigger, label]) => (
+                    <label key={trigger} className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={handsFree.triggers.includes(trigger)}
+                        onChange={() => toggleHandsFreeTrigger(trigger)}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+                <label className="block text-sm">
+                  Sensitivity: {Math.round(handsFree.sensitivity * 100)}%
+                  <input
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={handsFree.sensitivity}
+                    onChange={(e) => setHandsFree({ sensitivity: Number(e.target.value) })}
+                    className="w-full"
+                  />
+                </label>
+                <label className="block text-sm">
+                  Start anyway after (seconds, 0 = wait for a trigger)
+                  <input
+                    type="number"
+                    min="0"
+                    max="120"
+                    value={handsFree.fallbackSeconds}
+                    onChange={(e) => setHandsFree({ fallbackSeconds: Math.round(Number(e.target.value)) })}
+                    className="block w-32 p-2 mt-1 rounded-lg border-2 border-gray-300"
+                  />
+                </label>
+                <label className="block text-sm">
+                  Retakes per session (0 = no review, straight to editing)
+                  <input
+                    type="number"
+                    min="0"
+                    max="20"
+                    value={retakes.limit}
+                    onChange={(e) => setRetakes({ limit: Math.round(Number(e.target.value)) })}
+                    className="block w-32 p-2 mt-1 rounded-lg border-2 border-gray-300"
+                  />
+                </label>
+                <label className="block text-sm">
+                  Extra shots to pick the best from (0 = one shot per cell)
+                  <input
+                    type="number"
+                    min="0"
+                    max="12"
+                    value={shotPool.extraShots}
+                    onChange={(e) => setShotPool({ extraShots: Math.round(Number(e.target.value)) })}
+                    className="block w-32 p-2 mt-1 rounded-lg border-2 border-gray-300"
+                  />
+                </label>
+                <label className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={shotPool.shareUnused}
+                    onChange={(e) => setShotPool({ shareUnused: e.target.checked })}
+                  />
+                  Offer the shots not picked as downloads
+                </label>
+                <button onClick={handleSaveKiosk} className="px-6 py-3 rounded-lg bg-[#FF6B6A] text-white font-semibold">
+                  Save
+                </button>
+              </div>
+            )}
+
+            {/* Burst mode */}
+            {tab === 'burst' && kiosk && (
+              <div className="mt-6 space-y-4">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={burst.enabled}
+                    onChange={(e) => setBurst({ enabled: e.target.checked })}
+                  />
+                  Take a burst of frames with every photo and make animations
+                </label>
+                <div className="flex gap-6">
+                  {[['gif', 'Animated GIF'], ['boomerang', 'Boomerang video']].map(([output, label]) => (
+                    <label key={output} className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={burst.outputs.includes(output)}
+                        onChange={() => toggleBurstOutput(output)}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+                <div className="flex gap-6">
+                  <label className="block text-sm">
+                    Frames per photo
+                    <input
+                      type="number"
+                      min="2"
+                      max="30"
+                      value={burst.frames}
+                      onChange={(e) => setBurst({ frames: Math.round(Number(e.target.value)) })}
+                      className="block w-32 p-2 mt-1 rounded-lg border-2 border-gray-300"
+                    />
+                  </label>
+                  <label className="block text-sm">
+                    Time between frames (ms)
+                    <input
+                      type="number"
+                      min="40"
+                      max="1000"
+                      step="10"
+                      value={burst.intervalMs}
+                      onChange={(e) => setBurst({ intervalMs: Math.round(Number(e.target.value)) })}
+                      className="block w-32 p-2 mt-1 rounded-lg border-2 border-gray-300"
+                    />
+                  </label>
+                </div>
+                <p className="text-xs text-gray-500">
+                  Each burst takes {((burst.frames - 1) * burst.intervalMs / 1000).toFixed(1)}s after the photo.
+                </p>
+                <button onClick={handleSaveKiosk} className="px-6 py-3 rounded-lg bg-[#FF6B6A] text-white font-semibold">
+                  Save
+                </button>
+              </div>
+            )}
+
+            {/* Backdrops: background removal or chroma key */}
+            {tab === 'backdrops' && kiosk && (
+              <div className="mt-6 space-y-4">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={backgroundRemoval.enabled}
+                    onChange={(e) => setBackgroundRemoval({ enabled: e.target.checked })}
+                  />
+                  Let customers replace the background with a backdrop (background removal)
+                </label>
+                <label className="block text-sm">
+                  Edge feathering: {backgroundRemoval.feather}px
+                  <input
+                    type="range"
+                    min="0"
+                    max="30"
+                    value={backgroundRemoval.feather}
+                    onChange={(e) => setBackgroundRemoval({ feather: Number(e.target.value) })}
+                    className="block w-64 mt-1"
+                  />
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={chromaKey.enabled}
+                    onChange={(e) => setChromaKey({ enabled: e.target.checked })}
+                  />
+                  The booth has a green screen (chroma key instead of background removal)
+                </label>
+                {chromaKey.enabled && (
+                  <div className="flex gap-6 items-end">
+                    <label className="block text-sm">
+                      Screen color
+                      <input
+                        type="color"
+                        value={chromaKey.keyColor}
+                        onChange={(e) => setChromaKey({ keyColor: e.target.value })}
+                        className="block w-16 h-10 mt-1 rounded-lg border-2 border-gray-300"
+                      />
+                    </label>
+                    <label className="block text-sm">
+                      Tolerance: {Math.round(chromaKey.tolerance * 100)}%
+                      <input
+                        type="range"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        value={chromaKey.tolerance}
+                        onChange={(e) => setChromaKey({ tolerance: Number(e.target.value) })}
+                        className="block w-48 mt-1"
+                      />
+                    </label>
+                    <label className="block text-sm">
+                      Spill suppression: {Math.round(chromaKey.spill * 100)}%
+                      <input
+                        type="range"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        value={chromaKey.spill}
+                        onChange={(e) => setChromaKey({ spill: Number(e.target.value) })}
+                        className="block w-48 mt-1"
+                      />
+                    </label>
+                  </div>
+                )}
+                <p className="text-xs text-gray-500">
+                  {backdrops?.length > 0
+                    ? `Backdrops: ${backdrops.map(({ name }) => name).join(', ')}`
+                    : 'No backdrops yet. Add JPEG, PNG or WebP images to the backdrops folder.'}
+                </p>
+                <button onClick={handleSaveKiosk} className="px-6 py-3 rounded-lg bg-[#FF6B6A] text-white font-semibold">
+                  Save
+                </button>
+              </div>
+            )}
+
+            {/* Cash codes */}
+            {tab === 'cash' && (
+              <div className="mt-6 flex items-center gap-6">
+                <input
+                  type="number"
+                  min="0"
+                  value={cashAmount}
+                  onChange={(e) => setCashAmount(e.target.value)}
+                  placeholder="Cash taken"
+                  className="w-32 p-3 rounded-lg border-2 border-gray-300"
+                />
+                <button
+                  onClick={handleIssueCode}
+                  disabled={!(Number(cashAmount) > 0)}
+                  className="px-6 py-3 rounded-lg bg-[#FF6B6A] text-white font-semibold disabled:opacity-50"
+                >
+                  Issue Cash Code
+                </button>
+                {issued && (
+                  <div>
+                    <div className="text-4xl font-extrabold tracking-widest" style={{ color: '#D83A4A' }}>
+                      {issued.code}
+                    </div>
+                    <div className="text-sm text-gray-600">
+                      Single use, pays {issued.amount / 100} {issued.currency}, valid until {new Date(issued.expiresAt).toLocaleTimeString()}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Kiosk mode */}
+            {tab === 'kiosk' && (
+              <div className="mt-6">
+                <p className="text-gray-700">Leave full-screen kiosk mode to reach the desktop. Restart the app to return to kiosk mode.</p>
+                <button onClick={handleExitKiosk} className="mt-4 px-6 py-3 rounded-lg bg-[#FF6B6A] text-white font-semibold">
+                  Exit Kiosk Mode
+                </button>
+              </div>
+            )}
+          </>
+        )}
+
+        <button
+          onClick={() => navigate('/')}
+          className="mt-8 px-6 py-2 rounded-lg border-2 border-gray-300 text-gray-700 font-semibold hover:bg-gray-100"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default AdminScreen;
@@ -0,0 +1,173 @@
+/**
+ * AttendantScreen Component
+ *
+ * Attendant view for cash payments, opened at /attendant.
+ * After taking cash the attendant issues a single-use code for the amount
+ * taken and reads it out to the customer, who enters it on the CashPassword
+ * screen. The code only pays a session with that total.
+ *
+ * Features:
+ * - Attendant PIN entry (checked by the server against ATTENDANT_PIN)
+ * - Issue single-use cash codes for an amount, with their expiry time
+ * - Redemption log: which session redeemed a code, for how much and when
+ *
+ * @returns {JSX.Element} Attendant cash code screen
+ */
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { issueCashCode, fetchCashRedemptions } from '../utils/cashCodes';
+
+function AttendantScreen() {
+  const navigate = useNavigate();
+  const [pin, setPin] = useState('');
+  const [unlocked, setUnlocked] = useState(false);
+  const [amount, setAmount] = useState('');
+  const [issued, setIssued] = useState(null);
+  const [redemptions, setRedemptions] = useState([]);
+  const [error, setError] = useState('');
+
+  /**
+   * Load the redemption log; also used to check the PIN
+   */
+  const loadRedemptions = async () => {
+    const result = await fetchCashRedemptions(pin);
+    if (!result.success) {
+      setError(result.error || 'Could not load the redemption log.');
+      return false;
+    }
+    setRedemptions(result.redemptions);
+    setError('');
+    return true;
+  };
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    if (await loadRedemptions()) {
+      setUnlocked(true);
+    }
+  };
+
+  const handleIssue = async () => {
+    const result = await issueCashCode(pin, Number(amount));
+    if (result.success) {
+      setIssued(result);
+      setError('');
+    } else {
+      setError(result.error || 'Could not issue a code.');
+    }
+  };
+
+  const formatAmount = (amount, currency) => `${(amount / 100).toFixed(2)} ${String(currency || '').toUpperCase()}`;
+
+  return (
+    <div style={{ background: '#f6DDD8', height: '100vh', overflow: 'auto' }} className="p-6 flex items-center justify-center">
+      <div
+        className="w-full max-w-3xl rounded-2xl p-6"
+        style={{
+          background: '#f7f4E8', // Cream white background
+          border: '5px solid #FF6B6A', // Coral-pink border
+          boxShadow: '0 6px 20px rgba(0,0,0,0.06)',
+        }}
+      >
+        <h2 className="text-3xl font-bold" style={{ color: '#6B2D9B' }}>Attendant: Cash Codes</h2>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mt-4">
+            {error}
+          </div>
+        )}
+
+        {!unlocked ? (
+          // PIN entry
+          <form onSubmit={handleUnlock} className="mt-6 flex gap-3">
+            <input
+              type="password"
+              inputMode="numeric"
+              value={pin}
+              onChange={(e) => setPin(e.target.value)}
+              placeholder="Attendant PIN"
+              className="flex-1 p-3 rounded-lg border-2 border-gray-300 text-center text-xl tracking-widest"
+            />
+            <button type="submit" className="px-6 py-3 rounded-lg bg-[#FF6B6A] text-white font-semibold">
+              Unlock
+            </button>
+          </form>
+        ) : (
+          <>
+            {/* Issue a code */}
+            <div className="mt-6 flex items-center gap-6">
+              <input
+                type="number"
+                min="0"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                placeholder="Cash taken"
+                className="w-32 p-3 rounded-lg border-2 border-gray-300"
+              />
+              <button
+                onClick={handleIssue}
+                disabled={!(Number(amount) > 0)}
+                className="px-6 py-3 rounded-lg bg-[#FF6B6A] text-white font-semibold disabled:opacity-50"
+              >
+                Issue Cash Code
+              </button>
+              {issued && (
+                <div>
+                  <div className="text-4xl font-extrabold tracking-widest" style={{ color: '#D83A4A' }}>
+                    {issued.code}
+                  </div>
+                  <div className="text-sm text-gray-600">
+                    Single use, pays {formatAmount(issued.amount, issued.currency)}, valid until {new Date(issued.expiresAt).toLocaleTimeString()}
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {/* Redemption log */}
+            <div className="mt-8">
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="text-xl font-bold" style={{ color: '#6B2D9B' }}>Redeemed codes</h3>
+                <button onClick={loadRedemptions} className="px-4 py-1 rounded-lg border-2 border-gray-300 text-sm">
+                  Refresh
+                </button>
+              </div>
+              {redemptions.length === 0 ? (
+                <p className="text-gray-600">No codes redeemed yet.</p>
+              ) : (
+                <table className="w-full text-left text-sm">
+                  <thead>
+                    <tr className="border-b-2 border-rose-200">
+                      <th className="py-2">Time</th>
+                      <th>Session</th>
+                      <th>Amount</th>
+                      <th>Code</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {redemptions.map((entry) => (
+                      <tr key={`${entry.codeId}_${entry.redeemedAt}`} className="border-b border-rose-100">
+                        <td className="py-2">{new Date(entry.redeemedAt).toLocaleString()}</td>
+                        <td>{entry.sessionId}</td>
+                        <td>{formatAmount(entry.amount, entry.currency)}</td>
+                        <td>{entry.method === 'totp' ? 'Authenticator' : 'Single use'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )}
+
+        <button
+          onClick={() => navigate('/')}
+          className="mt-8 px-6 py-2 rounded-lg border-2 border-gray-300 text-gray-700 font-semibold hover:bg-gray-100"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default AttendantScreen;
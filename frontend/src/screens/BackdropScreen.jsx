@@ -0,0 +1,121 @@
+/**
+ * BackdropScreen Component
+ *
+ * Step between CameraFilter and CameraSettings where customers pick the
+ * backdrop for their session, with a live preview of it behind them. On a
+ * green screen booth the screen is keyed out; otherwise the background is
+ * removed with segmentation (see utils/backdrops.js).
+ *
+ * Skipped (to CameraSettings) when the operator offers no backdrops.
+ *
+ * @param {Object} sessionData - Current session data (camera filter for the preview)
+ * @param {Function} updateSession - Callback to update session data
+ * @returns {JSX.Element} Backdrop selection interface
+ */
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import FilteredWebcam from '../components/FilteredWebcam';
+import { FallingHearts } from '../components/Decoration';
+import { getCameraFilter } from '../utils/filters';
+import { useKioskSettings } from '../utils/kioskSettings';
+import { getCameraSettings, getVideoConstraints } from '../utils/camera';
+import { backdropUrl, backdropsEnabled, useBackdrop, useBackdropList } from '../utils/backdrops';
+
+function BackdropScreen({ sessionData, updateSession }) {
+  const navigate = useNavigate();
+  const kiosk = useKioskSettings();
+  const backdrops = useBackdropList();
+  const [selected, setSelected] = useState(sessionData?.backdrop || null);
+  const backdrop = useBackdrop(selected, kiosk);
+  const offered = kiosk && backdropsEnabled(kiosk) && backdrops?.length > 0;
+
+  // Nothing to pick (or the server is unreachable): go on without a backdrop
+  useEffect(() => {
+    if (backdrops && (backdrops.length === 0 || (kiosk && !backdropsEnabled(kiosk)))) {
+      updateSession({ backdrop: null });
+      navigate('/camera-settings', { replace: true });
+    }
+  }, [kiosk, backdrops]);
+
+  const choose = (backdropId) => {
+    updateSession({ backdrop: backdropId });
+    navigate('/camera-settings');
+  };
+
+  if (!offered) return null;
+
+  return (
+    <div style={{ background: "#f6DDD8", height: "100vh", overflow: "hidden" }} className="w-screen h-screen flex items-center justify-center overflow-hidden bg-pink-50">
+      <FallingHearts />
+      <div className="max-w-6xl w-full h-full bg-white rounded-3xl p-6 border-4 border-rose-200 flex flex-col"
+        style={{
+          height: "90%",
+          background: "#f7f4E8",
+          border: "5px solid #FF6B6A",
+          padding: 0,
+          boxShadow: "0 6px 20px rgba(0,0,0,0.06)",
+        }}
+      >
+        <h2 className="text-2xl font-bold text-center mb-2 pt-6">Choose Your Backdrop</h2>
+
+        <div className="flex-1 flex gap-4 overflow-hidden px-6">
+          {/* Preview Section - Left */}
+          <div className="flex-1 flex flex-col overflow-hidden">
+            <h3 className="font-semibold text-sm mb-1">Preview</h3>
+            <div
+              style={{
+                backgroundColor: "#f6DDD8"
+              }}
+              className="rounded-lg overflow-hidden p-1 flex-1 flex items-center justify-center">
+              <FilteredWebcam
+                audio={false}
+                screenshotFormat="image/jpeg"
+                videoConstraints={getVideoConstraints(getCameraSettings(kiosk))}
+                filterParams={getCameraFilter(sessionData)}
+                backdrop={backdrop}
+                style={{
+                  width: '80%',
+                  height: '100%',
+                  objectFit: 'contain'
+                }}
+              />
+            </div>
+
+            {/* Buttons centered below preview */}
+            <div className="flex justify-center gap-3 mt-4 pb-2">
+              <button onClick={() => navigate('/camera-filter')} className="px-6 py-2 rounded-lg border-2 text-sm hover:bg-gray-100">Back</button>
+              <button onClick={() => choose(null)} className="px-6 py-2 rounded-lg border-2 text-sm hover:bg-gray-100">Skip</button>
+              <button onClick={() => choose(selected)} className="px-6 py-2 rounded-lg bg-rose-300 font-bold text-sm hover:bg-rose-400">Apply</button>
+            </div>
+          </div>
+
+          {/* Backdrops Section - Right Side */}
+          <div className="w-64 flex flex-col gap-3">
+            <h3 className="font-semibold text-sm">Backdrops</h3>
+            <div className="flex flex-col gap-3 overflow-y-auto">
+              <button
+                onClick={() => setSelected(null)}
+                className={`flex-shrink-0 p-3 rounded-lg border-2 text-sm font-semibold transition-all ${selected === null ? 'border-rose-500 bg-rose-100' : 'border-gray-200 hover:border-gray-300'}`}
+              >
+                <div className="w-full h-16 bg-gray-200 rounded-lg flex items-center justify-center text-xs text-gray-500">Real background</div>
+                <div className="text-xs">None</div>
+              </button>
+              {backdrops.map(({ id, name }) => (
+                <button
+                  key={id}
+                  onClick={() => setSelected(id)}
+                  className={`flex-shrink-0 p-3 rounded-lg border-2 text-sm font-semibold transition-all ${selected === id ? 'border-rose-500 bg-rose-100' : 'border-gray-200 hover:border-gray-300'}`}
+                >
+                  <img src={backdropUrl(id)} alt={name} className="w-full h-16 object-cover rounded-lg" />
+                  <div className="text-xs">{name}</div>
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BackdropScreen;
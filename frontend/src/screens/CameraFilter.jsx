@@ -1,31 +1,25 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import Webcam from 'react-webcam';
+import FilteredWebcam from '../components/FilteredWebcam';
 import { FallingSparkles, FloatingBubbles, FallingHearts, ConfettiRain, TwinklingStars } from '../components/Decoration';
+import { combineFilters, toCssFilter } from 'photobooth-kiosk-filter-engine';
+import { useFilterList } from '../utils/luts';
+import { useKioskSettings, filterEnabled } from '../utils/kioskSettings';
+import { getCameraSettings, getVideoConstraints } from '../utils/camera';
 
 function CameraFilter({ updateSession }) {
   const [filter, setFilter] = useState('none');
   const [brightness, setBrightness] = useState(100);
   const navigate = useNavigate();
+  const kiosk = useKioskSettings();
 
   const apply = () => {
     updateSession({ cameraFilter: filter, brightness });
-    navigate('/camera-settings');
+    navigate('/backdrop');
   };
 
-  const filterStyles = {
-    none: 'none',
-    sepia: 'sepia(0.6)',
-    vintage: 'sepia(0.4) contrast(0.9) saturate(0.8)',
-    cool: 'hue-rotate(200deg) saturate(1.1)',
-    mono: 'grayscale(1)',
-  };
-
-  const getCombinedFilter = () => {
-    const baseFilter = filterStyles[filter];
-    const brightnessFilter = `brightness(${brightness}%)`;
-    return baseFilter === 'none' ? brightnessFilter : `${baseFilter} ${brightnessFilter}`;
-  };
+  // Filters the operator enabled in the admin panel
+  const filterOptions = filterEnabled(useFilterList(), kiosk?.enabledFilters);
 
   return (
     <div style={{ background: "#f6DDD8", height: "100vh", overflow: "hidden" }} className="w-screen h-screen flex items-center justify-center overflow-hidden bg-pink-50">
@@ -76,15 +70,15 @@ function CameraFilter({ updateSession }) {
                 backgroundColor: "#f6DDD8"
               }}
               className="rounded-lg overflow-hidden p-1 flex-1 flex items-center justify-center">
-              <Webcam
+              <FilteredWebcam
                 audio={false}
                 screenshotFormat="image/jpeg"
-                videoConstraints={{ facingMode: 'user', height: { ideal: 1280 }, width: { ideal: 720 } }}
+                videoConstraints={getVideoConstraints(getCameraSettings(kiosk))}
+                filterParams={combineFilters(filter, { brightness: brightness / 100 })}
                 style={{
                   width: '80%',
                   height: '100%',
-                  objectFit: 'contain',
-                  filter: getCombinedFilter()
+                  objectFit: 'contain'
                 }}
               />
             </div>
@@ -92,7 +86,7 @@ function CameraFilter({ updateSession }) {
             {/* Buttons centered below preview */}
             <div className="flex justify-center gap-3 mt-4 pb-2">
               <button onClick={() => navigate('/grid')} className="px-6 py-2 rounded-lg border-2 text-sm hover:bg-gray-100">Back</button>
-              <button onClick={() => navigate('/camera-settings')} className="px-6 py-2 rounded-lg border-2 text-sm hover:bg-gray-100">Skip</button>
+              <button onClick={() => navigate('/backdrop')} className="px-6 py-2 rounded-lg border-2 text-sm hover:bg-gray-100">Skip</button>
               <button onClick={apply} className="px-6 py-2 rounded-lg bg-rose-300 font-bold text-sm hover:bg-rose-400">Apply</button>
             </div>
           </div>
@@ -101,17 +95,17 @@ function CameraFilter({ updateSession }) {
           <div className="w-64 flex flex-col gap-3">
             <h3 className="font-semibold text-sm">Filters</h3>
             <div className="flex flex-col  gap-3 overflow-x-auto">
-              {Object.keys(filterStyles).map(key => (
+              {filterOptions.map(option => (
                 <button
-                  key={key}
-                  onClick={() => setFilter(key)}
-                  className={`flex-shrink-0 p-3 rounded-lg border-2 text-sm font-semibold transition-all ${filter === key ? 'border-rose-500 bg-rose-100' : 'border-gray-200 hover:border-gray-300'}`}
+                  key={option.id}
+                  onClick={() => setFilter(option.id)}
+                  className={`flex-shrink-0 p-3 rounded-lg border-2 text-sm font-semibold transition-all ${filter === option.id ? 'border-rose-500 bg-rose-100' : 'border-gray-200 hover:border-gray-300'}`}
                 >
                   <div
-                    style={{ filter: filterStyles[key] }}
+                    style={{ filter: toCssFilter(option.params) }}
                     className="w-[100%] h-16 bg-gray-900 rounded-lg "
                   />
-                  <div className="capitalize text-xs">{key}</div>
+                  <div className="capitalize text-xs">{option.name}</div>
                 </button>
               ))}
             </div>
@@ -1,7 +1,18 @@
 import React, { useRef, useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import Webcam from 'react-webcam';
+import FilteredWebcam from '../components/FilteredWebcam';
 import { FallingSparkles, FloatingBubbles, FallingHearts, ConfettiRain, TwinklingStars } from '../components/Decoration';
+import { getCameraFilter, renderFiltered } from '../utils/filters';
+import { useKioskSettings } from '../utils/kioskSettings';
+import { captureStill, getCameraSettings, getVideoConstraints } from '../utils/camera';
+import { captureBurst, getBurstSettings } from '../utils/burst';
+import { renderWithBackdrop, useBackdrop } from '../utils/backdrops';
+import { renderWithProps, useFaceProps } from '../utils/arProps';
+import { getHandsFreeSettings, useHandsFree } from '../utils/handsFree';
+import HandsFreePrompt from '../components/HandsFreePrompt';
+import ShotReview from '../components/ShotReview';
+import { replaceCell, useRetakes } from '../utils/retakes';
+import { getShotCount } from '../utils/shotPool';
 
 function CameraScreen({ sessionData, updateSession }) {
   const navigate = useNavigate();
@@ -10,27 +21,21 @@ function CameraScreen({ sessionData, updateSession }) {
   const [cameraAvailable, setCameraAvailable] = useState(true);
   const [countdown, setCountdown] = useState(null);
   const [capturedImages, setCapturedImages] = useState([]);
+  const [burstFrames, setBurstFrames] = useState([]);
+  const [bursting, setBursting] = useState(false);
   const [currentCell, setCurrentCell] = useState(0);
   const [selectedFrame, setSelectedFrame] = useState('none');
   const [applyingFilter, setApplyingFilter] = useState(false);
 
-  const filterStyles = {
-    none: 'none',
-    sepia: 'sepia(0.6)',
-    vintage: 'sepia(0.4) contrast(0.9) saturate(0.8)',
-    cool: 'hue-rotate(200deg) saturate(1.1)',
-    mono: 'grayscale(1)',
-  };
-
-  const getCombinedFilter = () => {
-    const cameraFilter = sessionData.cameraFilter || 'none';
-    const brightness = sessionData.brightness || 100;
-    const baseFilter = filterStyles[cameraFilter];
-    const brightnessFilter = `brightness(${brightness}%)`;
-    return baseFilter === 'none' ? brightnessFilter : `${baseFilter} ${brightnessFilter}`;
-  };
-
-
+  // Look and brightness from CameraFilter plus the CameraSettings adjustments
+  const filterParams = getCameraFilter(sessionData);
+  const kiosk = useKioskSettings();
+  const camera = getCameraSettings(kiosk);
+  const burstSettings = getBurstSettings(kiosk);
+  const backdrop = useBackdrop(sessionData.backdrop, kiosk); // Picked on BackdropScreen
+  const faceProps = useFaceProps(sessionData.faceProps); // Picked on CameraSettings
+  const retakes = useRetakes(kiosk, sessionData, updateSession);
+  const retaking = retakes.cell !== null;
 
   useEffect(() => {
     if (sessionData.paymentStatus !== 'completed') {
@@ -82,15 +87,26 @@ function CameraScreen({ sessionData, updateSession }) {
     setCountdown(3);
   };
 
+  // Hands-free: a smile, a raised hand or the fallback timer starts the countdown
+  const handsFreeSettings = getHandsFreeSettings(kiosk);
+  const cellCount = (sessionData.selectedGrid?.cols || 1) * (sessionData.selectedGrid?.rows || 1);
+  // With extra shots on, more shots than cells are taken and the best are picked afterwards
+  const shotCount = getShotCount(kiosk, cellCount);
+  const handsFreeActive = handsFreeSettings.enabled && cameraAvailable && countdown === null
+    && (capturedImages.length < shotCount || retaking);
+  const handsFree = useHandsFree(webcamRef, {
+    ...handsFreeSettings,
+    enabled: handsFreeActive,
+    onTrigger: startCountdown,
+  });
+
   // If autoCapture is enabled in camera settings, kick off a 5s countdown
   useEffect(() => {
     const settings = sessionData.cameraSettings;
-    const grid = sessionData.selectedGrid || { cols: 1, rows: 1 };
-    const totalCells = grid.cols * grid.rows;
-    if (settings && settings.autoCapture && capturedImages.length < totalCells) {
+    if (settings && settings.autoCapture && capturedImages.length < shotCount) {
       setCountdown(5);
     }
-  }, [sessionData.cameraSettings, capturedImages, sessionData.selectedGrid]);
+  }, [sessionData.cameraSettings, capturedImages, shotCount]);
 
   useEffect(() => {
     if (countdown === null) return;
@@ -107,63 +123,80 @@ function CameraScreen({ sessionData, updateSession }) {
     return () => clearTimeout(timer);
   }, [countdown]);
 
-  const capturePhoto = () => {
-    const imageSrc = webcamRef.current?.getScreenshot();
+  const capturePhoto = async () => {
+    let imageSrc = null;
+    try {
+      imageSrc = await captureStill(camera, webcamRef);
+    } catch (error) {
+      console.error('Capture failed:', error);
+    }
     if (!imageSrc) {
       setCountdown(null);
       return;
     }
 
-    const grid = sessionData.selectedGrid || { cols: 1, rows: 1 };
-    const totalCells = grid.cols * grid.rows;
-
-    const img = new Image();
-    img.src = imageSrc;
-    img.onload = () => {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      canvas.width = img.width;
-      canvas.height = img.height;
+    // Burst mode: frames of the moment right after the photo, for the animations
+    let frames = [];
+    if (burstSettings.enabled) {
+      setBursting(true);
+      frames = await captureBurst(webcamRef, { ...burstSettings, filterParams });
+      setBursting(false);
+    }
 
-      // Apply the filter to the canvas context
-      ctx.filter = getCombinedFilter();
+    // Backdrop and props first, so the filter applies to the whole picture
+    const withBackdrop = backdrop ? await renderWithBackdrop(imageSrc, backdrop) : imageSrc;
+    const withProps = faceProps.length > 0 ? await renderWithProps(withBackdrop, faceProps) : withBackdrop;
 
-      // Draw the image onto the canvas
-      ctx.drawImage(img, 0, 0);
+    // Get the new base64 image with the filter applied
+    const filteredImageSrc = await renderFiltered(withProps, filterParams);
 
-      // Get the new base64 image with the filter applied
-      const filteredImageSrc = canvas.toDataURL('image/jpeg', 0.95);
+    // A retake replaces its cell and goes back to the review
+    if (retaking) {
+      setCapturedImages(prev => replaceCell(prev, retakes.cell, filteredImageSrc));
+      setBurstFrames(prev => replaceCell(prev, retakes.cell, frames));
+      retakes.done();
+      setCountdown(null);
+      return;
+    }
 
-      // For multi-cell grids, capture full image for each cell
-      if (totalCells > 1) {
-        setCapturedImages(prev => [...prev, filteredImageSrc]);
-        setCurrentCell(prev => prev + 1);
-        setCountdown(null);
-        // If more cells to capture, start next countdown after a short delay
-        if (currentCell + 1 < totalCells) {
-          setTimeout(() => setCountdown(3), 1000);
-        }
-      } else {
-        // Single cell: crop if needed, but for now keep full image
-        setCapturedImages([filteredImageSrc]);
-        setCountdown(null);
+    // For multi-cell grids (or extra shots), capture full image for each shot
+    if (shotCount > 1) {
+      setCapturedImages(prev => [...prev, filteredImageSrc]);
+      setBurstFrames(prev => [...prev, frames]);
+      setCurrentCell(prev => prev + 1);
+      setCountdown(null);
+      // If more cells to capture, start next countdown after a short delay
+      // (hands-free waits for the next smile or raised hand instead)
+      if (currentCell + 1 < shotCount && !handsFreeSettings.enabled) {
+        setTimeout(() => setCountdown(3), 1000);
       }
-    };
+    } else {
+      // Single cell: crop if needed, but for now keep full image
+      setCapturedImages([filteredImageSrc]);
+      setBurstFrames([frames]);
+      setCountdown(null);
+    }
   };
 
-  const handleRetake = () => {
-    setCapturedImages([]);
-    setCurrentCell(0);
+  // Retake one photo; the others are kept
+  const handleRetake = (index) => {
     setCountdown(null);
+    retakes.start(index);
   };
 
   const handleNext = () => {
-    const grid = sessionData.selectedGrid || { cols: 1, rows: 1 };
-    const totalCells = grid.cols * grid.rows;
-    if (capturedImages.length === totalCells) {
+    if (capturedImages.length !== shotCount) return;
+
+    if (shotCount > cellCount) {
+      // The customer picks the grid's photos from the pool first
+      updateSession({ shotPool: { photos: capturedImages, bursts: burstFrames }, selectedFrame });
+      navigate('/pick-shots');
+    } else {
       updateSession({
         capturedPhotos: capturedImages,
-        selectedFrame: selectedFrame
+        burstFrames,
+        selectedFrame: selectedFrame,
+        completedStep: 'capture'
       });
       navigate('/edit');
     }
@@ -176,12 +209,12 @@ function CameraScreen({ sessionData, updateSession }) {
         <div className="text-center mb-2">
           <h2 className="text-3xl font-bold text-gray-900 mb-2">
             {(() => {
-              const grid = sessionData.selectedGrid || { cols: 1, rows: 1 };
-              const totalCells = grid.cols * grid.rows;
-              if (capturedImages.length === totalCells && totalCells > 1) {
+              if (retaking) {
+                return `Retaking Photo ${retakes.cell + 1}`;
+              } else if (capturedImages.length === shotCount && shotCount > 1) {
                 return 'Review Your Photos';
-              } else if (capturedImages.length > 0 && totalCells > 1) {
-                return `Capturing Photo ${currentCell + 1} of ${totalCells}`;
+              } else if (capturedImages.length > 0 && shotCount > 1) {
+                return `Capturing Photo ${currentCell + 1} of ${shotCount}`;
               } else if (capturedImages.length === 1) {
                 return 'Review Your Photo';
               } else {
@@ -191,11 +224,13 @@ function CameraScreen({ sessionData, updateSession }) {
           </h2>
           <p className="text-lg text-gray-600">
             {(() => {
-              const grid = sessionData.selectedGrid || { cols: 1, rows: 1 };
-              const totalCells = grid.cols * grid.rows;
-              if (capturedImages.length === totalCells && totalCells > 1) {
+              if (retaking) {
+                return 'Strike a pose and click capture when ready';
+              } else if (capturedImages.length === shotCount && retakes.left > 0) {
+                return `Retake any photo (${retakes.left} left) or click next to continue`;
+              } else if (capturedImages.length === shotCount && shotCount > 1) {
                 return 'Happy with your photos? Click next to continue';
-              } else if (capturedImages.length > 0 && totalCells > 1) {
+              } else if (capturedImages.length > 0 && shotCount > 1) {
                 return 'Pose for the next photo';
               } else if (capturedImages.length === 1) {
                 return 'Happy with your photo? Click next to continue';
@@ -212,17 +247,18 @@ function CameraScreen({ sessionData, updateSession }) {
               <div className="relative bg-black rounded-2xl overflow-hidden flex-1">
                 {(() => {
                   const grid = sessionData.selectedGrid || { cols: 1, rows: 1 };
-                  const totalCells = grid.cols * grid.rows;
-                  if (capturedImages.length === totalCells && totalCells > 1) {
-                    // Show grid of captured images
+                  if (capturedImages.length === shotCount && shotCount > 1 && !retaking) {
+                    // Show grid of captured images, each with a Retake button
                     return (
-                      <div className={`grid gap-2 p-2 ${frames[selectedFrame].style}`} style={{ gridTemplateColumns: `repeat(${grid.cols}, 1fr)`, gridTemplateRows: `repeat(${grid.rows}, 1fr)` }}>
-                        {capturedImages.map((img, index) => (
-                          <img key={index} src={img} alt={`Captured ${index + 1}`} className="w-full h-full object-cover" />
-                        ))}
-                      </div>
+                      <ShotReview
+                        photos={capturedImages}
+                        cols={shotCount > cellCount ? Math.ceil(Math.sqrt(shotCount)) : grid.cols}
+                        retakesLeft={retakes.left}
+                        onRetake={handleRetake}
+                        className={`p-2 ${frames[selectedFrame].style}`}
+                      />
                     );
-                  } else if (capturedImages.length === 1) {
+                  } else if (capturedImages.length === 1 && shotCount === 1 && !retaking) {
                     // Show single captured image
                     return (
                       <div className={frames[selectedFrame].style}>
@@ -231,23 +267,19 @@ function CameraScreen({ sessionData, updateSession }) {
                     );
                   } else {
                     // Show camera feed
-                    const videoConstraints = {
-                      width: 1280,
-                      height: 720,
-                      facingMode: 'user',
-                    };
+                    const videoConstraints = getVideoConstraints(camera);
                     return (
                       <div className={`relative h-full w-full ${frames[selectedFrame].style}`}>
                         {cameraAvailable ? (
-                          <Webcam
+                          <FilteredWebcam
                             ref={webcamRef}
                             audio={false}
                             screenshotFormat="image/jpeg"
                             videoConstraints={videoConstraints}
                             className="w-full h-auto"
-                            style={{
-                              filter: getCombinedFilter(),
-                            }}
+                            filterParams={filterParams}
+                            backdrop={backdrop}
+                            faceProps={faceProps}
                             onUserMedia={() => setCameraAvailable(true)}
                             onUserMediaError={(error) => {
                               setCameraAvailable(false);
@@ -262,7 +294,15 @@ function CameraScreen({ sessionData, updateSession }) {
                             </div>
                           </div>
                         )}
-                        {countdown !== null && (
+                        {handsFreeActive && (
+                          <HandsFreePrompt triggers={handsFreeSettings.triggers} handsFree={handsFree} />
+                        )}
+                        {bursting && (
+                          <div className="absolute top-3 left-1/2 -translate-x-1/2 px-4 py-2 rounded-full bg-black bg-opacity-60 text-white text-sm font-semibold">
+                            🎬 Keep moving!
+                          </div>
+                        )}
+                        {countdown !== null && !bursting && (
                           <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-50">
                             <div className="text-white text-9xl font-bold animate-bounce">
                               {countdown}
@@ -277,17 +317,36 @@ function CameraScreen({ sessionData, updateSession }) {
 
               <div className="mt-4 flex justify-center gap-2">
                 {(() => {
-                  const grid = sessionData.selectedGrid || { cols: 1, rows: 1 };
-                  const totalCells = grid.cols * grid.rows;
-                  if (capturedImages.length === totalCells) {
+                  if (retaking) {
                     return (
                       <>
                         <button
-                          onClick={handleRetake}
-                          className="btn-outline text-sm"
+                          onClick={retakes.cancel}
+                          disabled={countdown !== null}
+                          className="btn-outline text-sm disabled:opacity-50 disabled:cursor-not-allowed"
                         >
-                          🔄 Retake
+                          Keep Old Photo
                         </button>
+                        <button
+                          onClick={startCountdown}
+                          disabled={countdown !== null || !cameraAvailable}
+                          className="btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          📸 Retake Photo {retakes.cell + 1}
+                        </button>
+                      </>
+                    );
+                  } else if (capturedImages.length === shotCount) {
+                    return (
+                      <>
+                        {shotCount === 1 && retakes.left > 0 && (
+                          <button
+                            onClick={() => handleRetake(0)}
+                            className="btn-outline text-sm"
+                          >
+                            🔄 Retake ({retakes.left} left)
+                          </button>
+                        )}
                         <button
                           onClick={handleNext}
                           className="btn-primary text-sm"
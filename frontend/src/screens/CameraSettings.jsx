@@ -5,13 +5,20 @@
  * - Adjust brightness, contrast, saturation, and sharpness via sliders
  * - Preview adjustments in real-time on camera feed
  * - Capture multiple photos for grid layouts (one per cell)
- * - Enable auto-capture with face detection
+ * - Enable auto-capture when everyone is in frame and still
  * - View captured photos as thumbnails
  * 
  * Features:
  * - Real-time image adjustment preview
  * - Progress tracking for multi-photo grids
- * - Auto-capture with face detection
+ * - Auto-capture with on-device face detection (MediaPipe)
+ * - Hands-free countdown from a smile or a raised hand (when enabled in the admin panel)
+ * - Webcam and capture source (webcam frame or tethered DSLR still) chosen in the admin panel
+ * - Burst mode: a burst of frames after each photo for the GIF / boomerang (when enabled in the admin panel)
+ * - Virtual backdrops: the backdrop picked on BackdropScreen, in the preview and the photos
+ * - AR face props (glasses, hats, ears, masks) that follow the faces in the preview and the photos
+ * - Review after the last shot, with single-photo retakes up to the limit set in the admin panel
+ * - Extra shots to pick the best from on ShotPickerScreen (when enabled in the admin panel)
  * - Photo thumbnails gallery
  * - Camera settings persistence
  * 
@@ -21,8 +28,20 @@
  */
 import React, { useState, useRef, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import Webcam from 'react-webcam';
+import FilteredWebcam from '../components/FilteredWebcam';
 import { FallingSparkles, FloatingBubbles, FallingHearts, ConfettiRain, TwinklingStars } from '../components/Decoration';
+import { getCameraFilter, renderFiltered } from '../utils/filters';
+import { useFaceDetection } from '../utils/faceDetection';
+import { useKioskSettings } from '../utils/kioskSettings';
+import { captureStill, getCameraSettings, getVideoConstraints } from '../utils/camera';
+import { captureBurst, getBurstSettings } from '../utils/burst';
+import { backdropsEnabled, renderWithBackdrop, useBackdrop, useBackdropList } from '../utils/backdrops';
+import { getEnabledProps, renderWithProps, useFaceProps } from '../utils/arProps';
+import { getHandsFreeSettings, useHandsFree } from '../utils/handsFree';
+import HandsFreePrompt from '../components/HandsFreePrompt';
+import ShotReview from '../components/ShotReview';
+import { replaceCell, useRetakes } from '../utils/retakes';
+import { getShotCount } from '../utils/shotPool';
 
 function CameraSettings({ updateSession, sessionData }) {
   const navigate = useNavigate();
@@ -33,11 +52,25 @@ function CameraSettings({ updateSession, sessionData }) {
   const [saturation, setSaturation] = useState(1); // Color saturation (0-2)
   const [sharpness, setSharpness] = useState(0); // Sharpness level (0-5, inverted as blur)
   const [autoCapture, setAutoCapture] = useState(false); // Auto-capture toggle
-  const [faceDetected, setFaceDetected] = useState(false); // Face detection status
   const [capturedPhotos, setCapturedPhotos] = useState([]); // Array of captured photo data URLs
   const [currentPhotoIndex, setCurrentPhotoIndex] = useState(0); // Current photo index for grid layouts
+  const [countdown, setCountdown] = useState(null); // Seconds until a hands-free capture
+  const [burstFrames, setBurstFrames] = useState([]); // Burst frames per captured photo (burst mode)
+  const [bursting, setBursting] = useState(false); // Whether a burst is being taken
+  const [capturing, setCapturing] = useState(false); // Whether a capture is in progress
+  const capturingRef = useRef(false); // Same, read synchronously so a double tap cannot start a second capture
   const webcamRef = useRef(null); // Reference to webcam component
-  const canvasRef = useRef(null); // Reference to canvas for face detection
+  const kiosk = useKioskSettings();
+  const camera = getCameraSettings(kiosk); // Webcam and capture source chosen in the admin panel
+  const burstSettings = getBurstSettings(kiosk);
+  const backdrop = useBackdrop(sessionData?.backdrop, kiosk);
+  // Back goes to the backdrop step only when it is not skipped
+  const backdrops = useBackdropList();
+  const previousStep = backdropsEnabled(kiosk) && backdrops?.length > 0 ? '/backdrop' : '/camera-filter';
+  const propOptions = getEnabledProps(kiosk);
+  const pickedProps = (sessionData?.faceProps || []).filter((id) => propOptions.some((prop) => prop.id === id));
+  const faceProps = useFaceProps(pickedProps);
+  const retakes = useRetakes(kiosk, sessionData, updateSession);
 
   /**
    * Calculate total number of cells needed based on selected grid layout
@@ -56,6 +89,8 @@ function CameraSettings({ updateSession, sessionData }) {
       if (grid === '2x4-vertical-2') return 2;
       if (grid === '4x6-4cut') return 4;
       if (grid === '5x7-6cut') return 6;
+      if (grid === '2x6-strip-3') return 3;
+      if (grid === '2x6-strip-4') return 4;
       return 1;
     }
     // New format: object with cols and rows
@@ -67,11 +102,18 @@ function CameraSettings({ updateSession, sessionData }) {
     if (grid.id === '2x4-vertical-2') return 2;
     if (grid.id === '4x6-4cut') return 4;
     if (grid.id === '5x7-6cut') return 6;
+    if (grid.id === '2x6-strip-3') return 3;
+    if (grid.id === '2x6-strip-4') return 4;
     return 1;
   };
 
   const totalCells = getGridCellCount();
-  const isComplete = capturedPhotos.length === totalCells;
+  // With extra shots on, more shots than cells are taken and the best are picked afterwards
+  const shotCount = getShotCount(kiosk, totalCells);
+  const retaking = retakes.cell !== null;
+  const isComplete = capturedPhotos.length === shotCount && !retaking;
+  // With retakes allowed, the photos are reviewed before editing
+  const reviewing = isComplete && retakes.limit > 0;
 
   // Debug: log grid info when component mounts or grid changes
   useEffect(() => {
@@ -83,140 +125,154 @@ function CameraSettings({ updateSession, sessionData }) {
     });
   }, [sessionData?.selectedGrid, totalCells]);
 
-  // Simple face detection using canvas-based approach
-  useEffect(() => {
-    const detectFace = async () => {
-      if (!webcamRef.current) return;
-
-      const interval = setInterval(async () => {
-        try {
-          const imageSrc = webcamRef.current?.getScreenshot();
-          if (!imageSrc) return;
-
-          const img = new Image();
-          img.src = imageSrc;
-          img.onload = () => {
-            const canvas = canvasRef.current || document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            canvas.width = img.width;
-            canvas.height = img.height;
-            ctx.drawImage(img, 0, 0);
-
-            // Simple brightness-based face detection
-            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            const data = imageData.data;
-            let facePixels = 0;
-
-            for (let i = 0; i < data.length; i += 4) {
-              const r = data[i];
-              const g = data[i + 1];
-              const b = data[i + 2];
-              // Detect skin tone range (simplified)
-              if (r > 95 && g > 40 && b > 20 && r > g && r > b) {
-                facePixels++;
-              }
-            }
-
-            const faceRatio = facePixels / (canvas.width * canvas.height);
-            setFaceDetected(faceRatio > 0.05);
-          };
-        } catch (err) {
-          // Silently handle detection errors
-        }
-      }, 500);
-
-      return () => clearInterval(interval);
-    };
-
-    if (autoCapture && !isComplete) {
-      detectFace();
-    }
-  }, [autoCapture, isComplete]);
-
   const apply = () => {
     updateSession({ cameraSettings: { brightness: parseFloat(brightness), contrast: parseFloat(contrast), saturation: parseFloat(saturation), sharpness: parseFloat(sharpness), autoCapture } });
     navigate('/camera-filter');
   };
 
-  // Get camera filter from session data (set in CameraFilter.jsx)
-  const getCameraFilter = () => {
-    const filterStyles = {
-      none: 'none',
-      sepia: 'sepia(0.6)',
-      vintage: 'sepia(0.4) contrast(0.9) saturate(0.8)',
-      cool: 'hue-rotate(200deg) saturate(1.1)',
-      mono: 'grayscale(1)',
-    };
-    const cameraFilter = sessionData?.cameraFilter || 'none';
-    const cameraBrightness = sessionData?.brightness || 100;
-    const baseFilter = filterStyles[cameraFilter];
-    // Convert percentage brightness to multiplier (100% = 1.0)
-    const cameraBrightnessMultiplier = cameraBrightness / 100;
-    // Combine with camera settings brightness (multiply them)
-    const combinedBrightness = cameraBrightnessMultiplier * parseFloat(brightness);
-
-    // Build filter string with base filter and combined brightness
-    let filterParts = [];
-    if (baseFilter !== 'none') {
-      filterParts.push(baseFilter);
+  // Camera filter from session data (set in CameraFilter.jsx) combined with the sliders,
+  // used for both the preview and the capture
+  const filterParams = getCameraFilter(sessionData, {
+    brightness: parseFloat(brightness),
+    contrast: parseFloat(contrast),
+    saturation: parseFloat(saturation),
+  });
+
+  // Burst mode: frames of the moment right after the photo, for the animations
+  const takeBurst = async () => {
+    setBursting(true);
+    try {
+      return await captureBurst(webcamRef, { ...burstSettings, filterParams });
+    } finally {
+      setBursting(false);
     }
-    filterParts.push(`brightness(${combinedBrightness})`);
-    filterParts.push(`contrast(${contrast})`);
-    filterParts.push(`saturate(${saturation})`);
+  };
 
-    return filterParts.join(' ');
+  // Props are kept in the session, so they stay on for every photo
+  const toggleProp = (id) => {
+    updateSession({
+      faceProps: pickedProps.includes(id) ? pickedProps.filter((picked) => picked !== id) : [...pickedProps, id],
+    });
   };
 
-  // Combine camera filter with camera settings for preview and capture
-  const getCombinedFilter = () => {
-    return getCameraFilter();
+  const finishCapture = (photos, bursts) => {
+    if (shotCount > totalCells) {
+      // The customer picks the grid's photos from the pool first
+      updateSession({ shotPool: { photos, bursts } });
+      navigate('/pick-shots');
+      return;
+    }
+
+    updateSession({ capturedPhotos: photos, burstFrames: bursts, completedStep: 'capture' });
+    // Small delay to show completion, then navigate
+    setTimeout(() => {
+      navigate('/edit');
+    }, 500);
   };
 
   const handleCapture = async () => {
+    if (capturingRef.current) return;
+    capturingRef.current = true;
+    setCapturing(true);
+
     const settings = { brightness: parseFloat(brightness), contrast: parseFloat(contrast), saturation: parseFloat(saturation), sharpness: parseFloat(sharpness), autoCapture };
     updateSession({ cameraSettings: settings });
 
     try {
-      const imageSrc = webcamRef.current?.getScreenshot();
+      const imageSrc = await captureStill(camera, webcamRef);
       if (!imageSrc) return;
+      const frames = burstSettings.enabled ? await takeBurst() : [];
 
-      const img = new Image();
-      img.src = imageSrc;
-      img.onload = () => {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        const w = img.width;
-        const h = img.height;
-
-        canvas.width = w;
-        canvas.height = h;
-        // Apply both camera filter and camera settings
-        ctx.filter = getCombinedFilter();
-        ctx.drawImage(img, 0, 0);
-
-        const photoData = canvas.toDataURL('image/jpeg', 0.95);
-        const newPhotos = [...capturedPhotos, photoData];
-        setCapturedPhotos(newPhotos);
-
-        // Update photo index to reflect next photo to capture
-        const nextIndex = newPhotos.length;
-        setCurrentPhotoIndex(nextIndex);
-
-        // If all photos captured, save and proceed
-        if (newPhotos.length === totalCells) {
-          updateSession({ capturedPhotos: newPhotos });
-          // Small delay to show completion, then navigate
-          setTimeout(() => {
-            navigate('/edit');
-          }, 500);
-        }
-      };
+      // Backdrop and props first, so the filter applies to the whole picture
+      const withBackdrop = backdrop ? await renderWithBackdrop(imageSrc, backdrop) : imageSrc;
+      const withProps = faceProps.length > 0 ? await renderWithProps(withBackdrop, faceProps) : withBackdrop;
+
+      // Apply both camera filter and camera settings
+      const photoData = await renderFiltered(withProps, filterParams);
+
+      // A retake replaces its cell and goes back to the review
+      if (retaking) {
+        setCapturedPhotos((prev) => replaceCell(prev, retakes.cell, photoData));
+        setBurstFrames((prev) => replaceCell(prev, retakes.cell, frames));
+        retakes.done();
+        return;
+      }
+
+      setCapturedPhotos((prev) => [...prev, photoData]);
+      // The whole burst is added at once, after it is taken
+      setBurstFrames((prev) => [...prev, frames]);
+
+      // Update photo index to reflect next photo to capture
+      setCurrentPhotoIndex((index) => index + 1);
     } catch (err) {
       console.error('Capture failed', err);
+    } finally {
+      capturingRef.current = false;
+      setCapturing(false);
     }
   };
 
-  const filter = getCombinedFilter();
+  // If all photos captured, save and proceed (or review them first)
+  useEffect(() => {
+    if (isComplete && retakes.limit === 0) {
+      finishCapture(capturedPhotos, burstFrames);
+    }
+  }, [isComplete]);
+
+
+  // Auto-capture: faces are only detected while it is on
+  const { faces, status: framing, loading: detectorLoading, error: detectorError } = useFaceDetection(webcamRef, {
+    enabled: autoCapture && !isComplete,
+  });
+  // Cleared after each auto-capture; set again once the group moves, so every photo is a new pose
+  const autoCaptureArmed = useRef(true);
+
+  useEffect(() => {
+    if (!autoCapture || isComplete) return;
+    if (!framing.ready) {
+      autoCaptureArmed.current = true;
+      return;
+    }
+    if (autoCaptureArmed.current) {
+      autoCaptureArmed.current = false;
+      handleCapture();
+    }
+  }, [autoCapture, isComplete, framing.ready]);
+
+  // Hands-free: a smile, a raised hand or the fallback timer starts a countdown
+  const handsFreeSettings = getHandsFreeSettings(kiosk);
+  const handsFreeActive = handsFreeSettings.enabled && !autoCapture && !isComplete && countdown === null;
+  const handsFree = useHandsFree(webcamRef, {
+    ...handsFreeSettings,
+    enabled: handsFreeActive,
+    onTrigger: () => setCountdown(3),
+  });
+
+  useEffect(() => {
+    if (countdown === null) return;
+
+    if (countdown === 0) {
+      handleCapture().finally(() => setCountdown(null));
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      setCountdown(countdown - 1);
+    }, 1000);
+
+    return () => clearTimeout(timer);
+  }, [countdown]);
+
+  const autoCaptureMessage = () => {
+    if (detectorError) return `Face detection unavailable: ${detectorError}`;
+    if (detectorLoading) return 'Starting face detection...';
+    if (framing.ready && !autoCaptureArmed.current) return 'Strike a new pose!';
+    const count = `${faces.length} face${faces.length !== 1 ? 's' : ''} in frame`;
+    if (framing.reason === 'no_faces') return 'Step into the frame';
+    if (framing.reason === 'out_of_frame') return `${count} - make sure everyone is fully in the picture`;
+    if (framing.reason === 'moving') return `${count} - hold still...`;
+    return `${count} - capturing!`;
+  };
 
   return (
     <div style={{ background: "#f6DDD8", height: "100vh", overflow: "hidden" }} className="w-screen h-screen flex items-center justify-center overflow-hidden">
@@ -231,15 +287,17 @@ function CameraSettings({ updateSession, sessionData }) {
         }}
         className="max-w-4xl w-full h-full bg-white rounded-2xl border-4 border-rose-200 flex flex-col">
         <h2 className="text-2xl font-bold mb-2 text-center">
-          Camera Settings - Photo {capturedPhotos.length + 1} of {totalCells}
-          {capturedPhotos.length === totalCells && <span className="text-green-600 ml-2">✓ Complete!</span>}
+          {reviewing && 'Review Your Photos'}
+          {retaking && `Retake Photo ${retakes.cell + 1} of ${shotCount}`}
+          {!reviewing && !retaking && `Camera Settings - Photo ${Math.min(capturedPhotos.length + 1, shotCount)} of ${shotCount}`}
+          {isComplete && !reviewing && <span className="text-green-600 ml-2">✓ Complete!</span>}
         </h2>
 
         {/* Progress bar */}
         <div className="w-full bg-gray-200 rounded-full h-2 mb-1">
           <div
             className="bg-rose-500 h-2 rounded-full transition-all"
-            style={{ width: `${(capturedPhotos.length / totalCells) * 100}%` }}
+            style={{ width: `${(capturedPhotos.length / shotCount) * 100}%` }}
           />
         </div>
 
@@ -260,13 +318,32 @@ function CameraSettings({ updateSession, sessionData }) {
               </label>
             </div> */}
 
+            {/* AR face props picker */}
+            {propOptions.length > 0 && (
+              <div>
+                <h4 className="font-semibold text-sm mb-2">Face Props</h4>
+                <div className="grid grid-cols-3 gap-2">
+                  {propOptions.map(({ id, name, url }) => (
+                    <button
+                      key={id}
+                      onClick={() => toggleProp(id)}
+                      title={name}
+                      className={`p-1 rounded-lg border-2 bg-white ${pickedProps.includes(id) ? 'border-rose-500' : 'border-transparent'}`}
+                    >
+                      <img src={url} alt={name} className="w-full h-12 object-contain" />
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Show captured photos thumbnails */}
             {capturedPhotos.length > 0 && (
               <div className="mt-4">
-                <h4 className="font-semibold text-sm mb-2">Captured ({capturedPhotos.length}/{totalCells})</h4>
+                <h4 className="font-semibold text-sm mb-2">Captured ({capturedPhotos.length}/{shotCount})</h4>
                 <div className="grid grid-cols-3 gap-2">
                   {capturedPhotos.map((photo, idx) => (
-                    <div key={idx} className="border-2 border-rose-300 rounded-lg overflow-hidden">
+                    <div key={idx} className={`border-2 rounded-lg overflow-hidden ${retakes.cell === idx ? 'border-rose-600 opacity-50' : 'border-rose-300'}`}>
                       <img src={photo} alt={`Photo ${idx + 1}`} className="w-full h-auto" />
                     </div>
                   ))}
@@ -277,25 +354,63 @@ function CameraSettings({ updateSession, sessionData }) {
 
           <div className="flex flex-col">
             <h3 className="font-semibold text-sm mb-1">Preview</h3>
-            <div className="bg-gray-900 rounded-lg overflow-hidden p-1 flex-1 flex items-center justify-center">
-              <Webcam
+            <div className="relative bg-gray-900 rounded-lg overflow-hidden p-1 flex-1 flex items-center justify-center">
+              <FilteredWebcam
                 ref={webcamRef}
                 audio={false}
                 screenshotFormat="image/jpeg"
-                videoConstraints={{
-                  facingMode: 'user',
-                  height: { ideal: 1280 },
-                  width: { ideal: 720 }
-                }}
-                style={{ width: '100%', height: '100%', objectFit: 'contain', filter: filter }}
+                videoConstraints={getVideoConstraints(camera)}
+                filterParams={filterParams}
+                backdrop={backdrop}
+                faceProps={faceProps}
+                style={{ width: '100%', height: '100%', objectFit: 'contain' }}
               />
+              {handsFreeActive && (
+                <HandsFreePrompt triggers={handsFreeSettings.triggers} handsFree={handsFree} />
+              )}
+              {bursting && (
+                <div className="absolute top-3 left-1/2 -translate-x-1/2 px-4 py-2 rounded-full bg-black bg-opacity-60 text-white text-sm font-semibold">
+                  🎬 Keep moving!
+                </div>
+              )}
+              {countdown !== null && !bursting && (
+                <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-50">
+                  <div className="text-white text-9xl font-bold animate-bounce">
+                    {countdown}
+                  </div>
+                </div>
+              )}
+              {/* Over the live view, so the camera keeps running for a retake */}
+              {reviewing && (
+                <div className="absolute inset-0 bg-gray-900 p-2 overflow-y-auto">
+                  <ShotReview
+                    photos={capturedPhotos}
+                    cols={shotCount > totalCells ? Math.ceil(Math.sqrt(shotCount)) : sessionData?.selectedGrid?.cols || Math.ceil(Math.sqrt(totalCells))}
+                    retakesLeft={retakes.left}
+                    onRetake={retakes.start}
+                  />
+                </div>
+              )}
             </div>
             <p className="text-xs text-gray-600 mt-1">Real-time adjustments will apply.</p>
 
-            {/* Capture status message */}
+            {/* Auto-capture once everyone is in frame and still */}
             {!isComplete && (
+              <div className="mt-2 flex items-center justify-between text-xs">
+                <label className="inline-flex items-center">
+                  <input type="checkbox" checked={autoCapture} onChange={(e) => setAutoCapture(e.target.checked)} className="mr-2" />
+                  Auto-Capture
+                </label>
+                {autoCapture && <span className="text-gray-700">{autoCaptureMessage()}</span>}
+              </div>
+            )}
+
+            {/* Capture status message */}
+            {!isComplete && !retaking && (
               <div className="mt-2 p-2 bg-blue-50 border border-blue-200 rounded text-xs text-center">
-                {totalCells > 1 ? (
+                {shotCount > totalCells ? (
+                  <>📸 Capture {shotCount - capturedPhotos.length} more shot{shotCount - capturedPhotos.length !== 1 ? 's' : ''}, then pick the best {totalCells} for the grid</>
+                ) : totalCells > 1 ? (
                   <>📸 Capture {totalCells - capturedPhotos.length} more photo{totalCells - capturedPhotos.length !== 1 ? 's' : ''} to complete the grid</>
                 ) : (
                   <>📸 Capture your photo</>
@@ -306,28 +421,52 @@ function CameraSettings({ updateSession, sessionData }) {
         </div>
 
         <div className="flex justify-between gap-2">
-          <button onClick={() => {
-            if (capturedPhotos.length > 0) {
-              const updatedPhotos = capturedPhotos.slice(0, -1);
-              setCapturedPhotos(updatedPhotos);
-              setCurrentPhotoIndex(updatedPhotos.length);
-            } else {
-              navigate('/camera-filter');
-            }
-          }} className="px-3 rounded-lg border-2 text-sm m-2 hover:bg-gray-100">
-            {capturedPhotos.length > 0 ? 'Remove Last' : 'Back'}
-          </button>
+          {reviewing ? (
+            <span className="px-3 text-sm m-2 self-center text-gray-700">
+              {retakes.left > 0
+                ? `${retakes.left} retake${retakes.left !== 1 ? 's' : ''} left - tap Retake on a photo`
+                : 'No retakes left'}
+            </span>
+          ) : retaking ? (
+            <button onClick={retakes.cancel} className="px-3 rounded-lg border-2 text-sm m-2 hover:bg-gray-100">
+              Keep Old Photo
+            </button>
+          ) : (
+            <button onClick={() => {
+              if (capturedPhotos.length > 0) {
+                const updatedPhotos = capturedPhotos.slice(0, -1);
+                setCapturedPhotos(updatedPhotos);
+                setBurstFrames((prev) => prev.slice(0, -1));
+                setCurrentPhotoIndex(updatedPhotos.length);
+              } else {
+                navigate(previousStep);
+              }
+            }} className="px-3 rounded-lg border-2 text-sm m-2 hover:bg-gray-100">
+              {capturedPhotos.length > 0 ? 'Remove Last' : 'Back'}
+            </button>
+          )}
           <div className="flex gap-2 m-2">
-            {!isComplete && (
+            {!isComplete && !retaking && (
               <button onClick={apply} className="px-3 py-1 rounded-lg bg-rose-300 font-bold text-xs hover:bg-rose-400">Skip Capture</button>
             )}
-            <button
-              onClick={handleCapture}
-              disabled={isComplete}
-              className={`px-4 py-2 rounded-lg font-bold text-white text-sm ${isComplete ? 'bg-gray-400 cursor-not-allowed' : 'bg-rose-500 hover:bg-rose-600 shadow-lg'}`}
-            >
-              {isComplete ? 'Complete ✓' : `📸 Capture Photo ${capturedPhotos.length + 1}/${totalCells}`}
-            </button>
+            {reviewing ? (
+              <button
+                onClick={() => finishCapture(capturedPhotos, burstFrames)}
+                className="px-4 py-2 rounded-lg font-bold text-white text-sm bg-rose-500 hover:bg-rose-600 shadow-lg"
+              >
+                Looks Good! Next →
+              </button>
+            ) : (
+              <button
+                onClick={handleCapture}
+                disabled={isComplete || countdown !== null || bursting || capturing}
+                className={`px-4 py-2 rounded-lg font-bold text-white text-sm ${isComplete ? 'bg-gray-400 cursor-not-allowed' : 'bg-rose-500 hover:bg-rose-600 shadow-lg'}`}
+              >
+                {isComplete && 'Complete ✓'}
+                {retaking && `📸 Retake Photo ${retakes.cell + 1}`}
+                {!isComplete && !retaking && `📸 Capture Photo ${capturedPhotos.length + 1}/${shotCount}`}
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -1,21 +1,61 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Delete } from 'lucide-react';
 import { FallingSparkles, FloatingBubbles, FallingHearts, ConfettiRain, TwinklingStars } from '../components/Decoration';
+import { redeemCashCode, getCashCodeStatus } from '../utils/cashCodes';
 
 
-function CashPassword({ updateSession }) {
+function CashPassword({ sessionData, updateSession }) {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  const [lockedUntil, setLockedUntil] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
   const navigate = useNavigate();
 
-  const handleSubmit = (e) => {
+  // Show the lockout straight away if code entry is already locked
+  useEffect(() => {
+    getCashCodeStatus(sessionData?.sessionId).then((status) => {
+      if (status?.locked) {
+        setLockedUntil(status.lockedUntil);
+        setError('Too many wrong codes. Please ask the attendant.');
+      }
+    });
+  }, []);
+
+  // Unlock the keypad once the lockout has passed
+  useEffect(() => {
+    if (!lockedUntil) return;
+    const timer = setTimeout(() => {
+      setLockedUntil(null);
+      setError('');
+    }, Math.max(0, Date.parse(lockedUntil) - Date.now()));
+    return () => clearTimeout(timer);
+  }, [lockedUntil]);
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    if (password === '123456') {
-      updateSession({ paymentStatus: 'completed', amountPaid: 200 });
-      navigate('/grid');
+    if (!password || submitting || lockedUntil) return;
+
+    setSubmitting(true);
+    const result = await redeemCashCode({
+      sessionId: sessionData?.sessionId,
+      code: password,
+      gridId: sessionData?.selectedGrid?.id,
+      addOns: sessionData?.addOns,
+    });
+    setSubmitting(false);
+    setPassword('');
+
+    if (result.paid) {
+      updateSession({ paymentStatus: 'completed', amountPaid: result.amount / 100 });
+      navigate('/camera-filter');
+    } else if (result.lockedUntil) {
+      setLockedUntil(result.lockedUntil);
+      setError(result.error);
+    } else if (result.attemptsLeft !== undefined) {
+      setError(`${result.error}. ${result.attemptsLeft} attempt${result.attemptsLeft === 1 ? '' : 's'} left.`);
     } else {
-      setError('Incorrect password. Please try again.');
+      setError(result.error || 'Could not check the code. Please try again.');
     }
   };
 
@@ -50,15 +90,15 @@ function CashPassword({ updateSession }) {
       >
 
         <div className=" rounded-2xl shadow-xl p-3 max-w-md w-full">
-          <h2 className="text-3xl font-bold text-gray-800 ">Enter Cash Password</h2>
-          <p className="text-gray-600 mb-6">Ask the attendant for the password</p>
+          <h2 className="text-3xl font-bold text-gray-800 ">Enter Cash Code</h2>
+          <p className="text-gray-600 mb-6">Pay the attendant and ask for your code</p>
 
           <form onSubmit={handleSubmit}>
             <input
               type="password"
               value={password}
               onChange={(e) => setPassword(e.target.value)}
-              placeholder="Enter password"
+              placeholder="Enter code"
               className="w-full p-4 rounded-lg border-2 border-gray-300 focus:border-blue-500 focus:outline-none text-center text-2xl tracking-widest"
               readOnly
             />
@@ -66,6 +106,7 @@ function CashPassword({ updateSession }) {
             {error && (
               <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mt-4">
                 {error}
+                {lockedUntil && ` Try again after ${new Date(lockedUntil).toLocaleTimeString()}.`}
               </div>
             )}
 
@@ -76,6 +117,7 @@ function CashPassword({ updateSession }) {
                   key={index}
                   type="button"
                   onClick={() => handleKeypadClick(btn)}
+                  disabled={Boolean(lockedUntil)}
                   className={`p-4 rounded-lg font-semibold text-xl transition-all ${btn === 'backspace'
                     ? 'col-span-2 bg-red-500 hover:bg-red-600 text-white flex items-center justify-center gap-2'
                     : 'bg-blue-500 hover:bg-blue-600 text-white active:scale-95'
@@ -117,6 +159,7 @@ function CashPassword({ updateSession }) {
               </button>
               <button
                 type="submit"
+                disabled={submitting || Boolean(lockedUntil)}
                 className="flex-1 px-6 py-3 rounded-lg bg-[#FF6B6A] hover:bg-red-500 text-white font-semibold transition-colors"
               >
                 Continue
@@ -28,6 +28,7 @@ import React, { useRef, useEffect, useState } from 'react';
 import { FallingSparkles, FloatingBubbles, FallingHearts, ConfettiRain, TwinklingStars } from '../components/Decoration';
 import { useNavigate } from 'react-router-dom';
 import { createGridComposite } from '../utils/imageComposite';
+import { drawFiltered } from '../utils/filters';
 
 function EditScreen({ sessionData, updateSession }) {
   const navigate = useNavigate();
@@ -76,40 +77,12 @@ function EditScreen({ sessionData, updateSession }) {
     const canvas = canvasRef.current;
     if (!canvas) return;
 
-    const ctx = canvas.getContext('2d');
     const img = new Image();
     img.src = currentPhoto;
 
+    // The camera filter is already in the captured photo; only the edits are applied here
     img.onload = () => {
-      canvas.width = img.width;
-      canvas.height = img.height;
-
-      // Apply camera filters first
-      const cameraFilter = sessionData.cameraFilter || 'none';
-      const brightness = sessionData.brightness || 100;
-      const filterStyles = {
-        none: '',
-        sepia: 'sepia(0.6)',
-        vintage: 'sepia(0.4) contrast(0.9) saturate(0.8)',
-        cool: 'hue-rotate(200deg) saturate(1.1)',
-        mono: 'grayscale(1)',
-      };
-      const baseFilter = filterStyles[cameraFilter];
-      const brightnessFilter = `brightness(${brightness}%)`;
-      const cameraFilters = baseFilter === '' ? brightnessFilter : `${baseFilter} ${brightnessFilter}`;
-
-      ctx.filter = `
-        ${cameraFilters}
-        brightness(${filters.brightness})
-        contrast(${filters.contrast})
-        saturate(${filters.saturation})
-        grayscale(${filters.grayscale})
-        blur(${filters.blur}px)
-      `;
-
-      ctx.drawImage(img, 0, 0);
-      ctx.filter = 'none';
-
+      drawFiltered(canvas, img, filters);
     };
   };
 
@@ -208,28 +181,15 @@ function EditScreen({ sessionData, updateSession }) {
   };
 
   const saveCurrentPhoto = async () => {
-    const canvas = canvasRef.current;
     const tempCanvas = document.createElement('canvas');
     const tempCtx = tempCanvas.getContext('2d');
 
-    tempCanvas.width = canvas.width;
-    tempCanvas.height = canvas.height;
-
-    tempCtx.filter = `
-      brightness(${filters.brightness})
-      contrast(${filters.contrast})
-      saturate(${filters.saturation})
-      grayscale(${filters.grayscale})
-      blur(${filters.blur}px)
-    `;
-
     const img = new Image();
     img.src = currentPhoto;
 
     await new Promise((resolve) => {
       img.onload = () => {
-        tempCtx.drawImage(img, 0, 0);
-        tempCtx.filter = 'none';
+        drawFiltered(tempCanvas, img, filters);
 
         currentStickers.forEach(sticker => {
           tempCtx.save();
@@ -285,7 +245,8 @@ function EditScreen({ sessionData, updateSession }) {
     updateSession({
       editedPhotos: finalPhotos,
       compositeImage: compositeImage || finalPhotos[0], // Fallback to first photo if no composite
-      selectedGrid: grid // Store grid info for page size configuration
+      selectedGrid: grid, // Store grid info for page size configuration
+      completedStep: 'edit'
     });
 
     // Navigate to frame selection instead of share
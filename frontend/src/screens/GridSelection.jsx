@@ -2,12 +2,15 @@
  * GridSelection Component
  * 
  * Allows users to select their preferred photo grid layout.
- * Displays visual previews of each grid option (SINGLE, V-2 CUT, 4 CUT, 6 CUT).
+ * Displays visual previews of each grid option (SINGLE, V-2 CUT, 4 CUT, 6 CUT, STRIP 3, STRIP 4).
  * 
  * Features:
  * - Visual grid preview cards showing layout structure
- * - Four grid options: Single (1x1), V-2 Cut (1x2), 4 Cut (2x2), 6 Cut (3x2)
+ * - Grid options: Single (1x1), V-2 Cut (1x2), 4 Cut (2x2), 6 Cut (3x2), 2x6 photo strips
  * - Interactive selection with visual feedback
+ * - Price of each grid from the pricing settings
+ * - Once paid, the grid is locked to the one that was paid for
+ * - Only the grids enabled in the admin panel are offered
  * - Decorative bear character with camera
  * - Scattered hearts for aesthetic
  * 
@@ -16,45 +19,61 @@
  * - 2x4 Vertical 2 Cut: 2 photos, 1x2 grid
  * - 4x6 4 Cut: 4 photos, 2x2 grid
  * - 5x7 6 Cut: 6 photos, 3x2 grid
+ * - 2x6 Strip 3 / Strip 4: 3 or 4 photos in a vertical strip, printed twice on a 4x6 sheet
  * 
+ * @param {Object} sessionData - Current session data (payment status, selected grid)
  * @param {Function} updateSession - Callback to save selected grid to session
  * @returns {JSX.Element} Grid selection screen with visual previews
  */
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { FallingSparkles, FloatingBubbles, FallingHearts, ConfettiRain, TwinklingStars } from '../components/Decoration';
+import { usePricing, formatPrice } from '../utils/pricing';
+import { useKioskSettings, filterEnabled } from '../utils/kioskSettings';
 
 
-function GridSelection({ updateSession }) {
+function GridSelection({ sessionData, updateSession }) {
   const navigate = useNavigate();
+  const { pricing, error: pricingError } = usePricing();
+  const kiosk = useKioskSettings();
+  const isPaid = sessionData?.paymentStatus === 'completed';
   // Currently selected grid option ID
-  const [selected, setSelected] = useState('4x6-single');
+  const [selected, setSelected] = useState(sessionData?.selectedGrid?.id || '5x5-single');
 
-  // Available grid layouts with their properties
-  const grids = [
+  // Grid layouts with their properties
+  const allGrids = [
     { id: '5x5-single', name: 'SINGLE', desc: 'Single photo', cols: 1, rows: 1 },
     { id: '2x4-vertical-2', name: 'V-2 CUT', desc: '2 vertical photos', cols: 2, rows: 1 },
     { id: '4x6-4cut', name: '4 CUT', desc: '4 grid cells', cols: 2, rows: 2 },
     { id: '5x7-6cut', name: '6 CUT', desc: '6 grid cells', cols: 3, rows: 2 },
+    { id: '2x6-strip-3', name: 'STRIP 3', desc: 'Two 3-frame photo strips', cols: 1, rows: 3, layout: 'strip' },
+    { id: '2x6-strip-4', name: 'STRIP 4', desc: 'Two 4-frame photo strips', cols: 1, rows: 4, layout: 'strip' },
   ];
+  // Grids the operator enabled in the admin panel; a paid session keeps its grid
+  const grids = isPaid ? allGrids : filterEnabled(allGrids, kiosk?.enabledGrids);
+  // The default grid may be disabled; fall back to the first enabled one
+  const current = grids.some(g => g.id === selected) ? selected : grids[0].id;
 
   /**
    * Handle Continue button click
-   * Saves selected grid to session and navigates to camera filter screen
+   * Saves selected grid to session and navigates to payment,
+   * or straight to the camera filter screen if the session is already paid
    */
   const handleContinue = () => {
-    const gridData = grids.find(g => g.id === selected);
-    updateSession({ selectedGrid: gridData });
-    navigate('/camera-filter');
+    const gridData = grids.find(g => g.id === current);
+    updateSession({ selectedGrid: gridData, completedStep: 'grid' });
+    navigate(isPaid ? '/camera-filter' : '/payment');
   };
 
   /**
    * Render visual grid preview based on grid dimensions
    * Creates a visual representation of the grid layout
+   * Strip layouts show both printed strips side by side
    */
   const renderGridPreview = (grid) => {
     const cells = [];
-    const totalCells = grid.cols * grid.rows;
+    const previewCols = grid.layout === 'strip' ? 2 : grid.cols;
+    const totalCells = previewCols * grid.rows;
 
     for (let i = 0; i < totalCells; i++) {
       cells.push(
@@ -74,7 +93,7 @@ function GridSelection({ updateSession }) {
       <div
         className="grid gap-1 p-2"
         style={{
-          gridTemplateColumns: `repeat(${grid.cols}, 1fr)`,
+          gridTemplateColumns: `repeat(${previewCols}, 1fr)`,
           gridTemplateRows: `repeat(${grid.rows}, 1fr)`,
           width: '100%',
           height: '100%',
@@ -114,13 +133,15 @@ function GridSelection({ updateSession }) {
             <button
               key={grid.id}
               onClick={() => setSelected(grid.id)}
-              className={`relative rounded-2xl border-4 p-4 transition-all flex flex-col items-center ${selected === grid.id
+              disabled={isPaid && grid.id !== current}
+              className={`relative rounded-2xl border-4 p-4 transition-all flex flex-col items-center ${current === grid.id
                 ? 'border-rose-400 bg-rose-50 shadow-lg scale-105'
                 : 'border-gray-200 hover:border-rose-300 hover:bg-rose-50/50'
                 }`}
               style={{
-                background: selected === grid.id ? '#FFF0F5' : '#FFF7EE',
+                background: current === grid.id ? '#FFF0F5' : '#FFF7EE',
                 height: '100%', // Ensure buttons fit the height of the grid container
+                opacity: isPaid && grid.id !== current ? 0.5 : 1,
               }}
             >
               {/* Visual grid preview: Shows layout structure */}
@@ -132,21 +153,35 @@ function GridSelection({ updateSession }) {
               <div
                 className="font-bold text-xl"
                 style={{
-                  color: selected === grid.id ? '#D83A4A' : '#6B2D9B',
+                  color: current === grid.id ? '#D83A4A' : '#6B2D9B',
                 }}
               >
                 {grid.name}
               </div>
+
+              {/* Grid price from the pricing settings */}
+              {pricing && grid.id in pricing.grids && (
+                <div className="font-semibold text-lg" style={{ color: '#9E619C' }}>
+                  {formatPrice(pricing.grids[grid.id], pricing.currency)}
+                </div>
+              )}
             </button>
           ))}
         </div>
 
+        {pricingError && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mx-3">
+            {pricingError}
+          </div>
+        )}
+
         {/* Navigation buttons at bottom */}
         <div className="flex justify-between m-3 gap-3">
-          {/* Back button: Returns to payment screen */}
+          {/* Back button: Returns to welcome screen (not once paid, that would start a new session) */}
           <button
-            onClick={() => navigate('/payment')}
-            className="px-6 py-3 rounded-lg border-2 border-gray-300 text-gray-700 font-semibold hover:bg-gray-100 transition-all"
+            onClick={() => navigate('/')}
+            disabled={isPaid}
+            className="px-6 py-3 rounded-lg border-2 border-gray-300 text-gray-700 font-semibold hover:bg-gray-100 transition-all disabled:opacity-50"
           >
             Back
           </button>
@@ -1,41 +1,57 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { FallingSparkles, FloatingBubbles, FallingHearts, ConfettiRain, TwinklingStars } from '../components/Decoration';
+import { startRazorpayPayment } from '../utils/razorpay';
+import { usePricing, getSessionTotal, formatPrice } from '../utils/pricing';
 
-const Page2 = ({ updateSession }) => {
+const Page2 = ({ sessionData, updateSession }) => {
   const navigate = useNavigate();
-  const PRICE = 200;
+  const { pricing, error: pricingError } = usePricing();
+  const [addOns, setAddOns] = useState(sessionData?.addOns || {});
+  const [paymentError, setPaymentError] = useState('');
+  const gridId = sessionData?.selectedGrid?.id;
+  const total = getSessionTotal(pricing, gridId, addOns);
 
-  const openRazorpay = () => {
-    const options = {
-      key: "rzp_test_RimfJf1PyS9dtx",
-      amount: PRICE * 100,
-      currency: "INR",
-      name: "Your App",
-      description: "UPI QR Payment",
-      image: "/images/logo.png",
+  // The price depends on the grid, so it has to be chosen first
+  useEffect(() => {
+    if (!gridId) navigate('/grid');
+  }, [gridId, navigate]);
+
+  const changeAddOn = (addOnId, delta) => {
+    const { maxQuantity } = pricing.addOns[addOnId];
+    setAddOns(prev => ({
+      ...prev,
+      [addOnId]: Math.min(maxQuantity, Math.max(0, (prev[addOnId] || 0) + delta)),
+    }));
+  };
 
-      handler: function (response) {
-        // Payment Success Callback
+  const payCash = () => {
+    if (total === null) return;
+    updateSession({ addOns, amountDue: total });
+    navigate('/cash-password');
+  };
+
+  const openRazorpay = () => {
+    if (total === null) return;
+    setPaymentError('');
+    updateSession({ addOns, amountDue: total });
+    startRazorpayPayment({
+      sessionId: sessionData?.sessionId,
+      gridId,
+      addOns,
+      onPaid: (result) => {
+        // Payment verified by the backend
         if (updateSession) {
           updateSession({
             paymentStatus: "completed",
-            amountPaid: PRICE,
-            paymentId: response.razorpay_payment_id,
+            amountPaid: result.amount / 100,
+            paymentId: result.paymentId,
           });
         }
-        navigate("/grid");
+        navigate("/camera-filter");
       },
-
-      theme: { color: "#F48B9A" },
-
-      // Enable UPI + QR payment
-      method: { upi: true },
-      upi: { type: "qr" },
-    };
-
-    const rzp = new window.Razorpay(options);
-    rzp.open();
+      onError: setPaymentError,
+    });
   };
 
   return (
@@ -62,9 +78,30 @@ const Page2 = ({ updateSession }) => {
                 padding: "20px 30px"
               }
             }
-          >PAY 200 TO START</p>
+          >PAY {total === null ? '...' : formatPrice(total, pricing.currency)} TO START</p>
+
+          {/* Add-ons bought with the session */}
+          {pricing && (
+            <div className="flex space-x-10 items-center" style={{ zIndex: 1 }}>
+              {Object.entries(pricing.addOns).map(([addOnId, addOn]) => (
+                <div key={addOnId} className="flex items-center space-x-3" style={{ color: "#6B2D9B", fontWeight: 700, fontSize: 22 }}>
+                  <span>{addOn.name} (+{formatPrice(addOn.price, pricing.currency)})</span>
+                  <button
+                    onClick={() => changeAddOn(addOnId, -1)}
+                    className="w-10 h-10 rounded-full border-2 border-rose-300 bg-white"
+                  >−</button>
+                  <span>{addOns[addOnId] || 0}</span>
+                  <button
+                    onClick={() => changeAddOn(addOnId, 1)}
+                    className="w-10 h-10 rounded-full border-2 border-rose-300 bg-white"
+                  >+</button>
+                </div>
+              ))}
+            </div>
+          )}
+
           <div className=" flex space-x-40 items-center pt-6">
-            <div className=" flex flex-col items-center space-y-6 cursor-pointer" onClick={() => navigate('/cash-password')}>
+            <div className=" flex flex-col items-center space-y-6 cursor-pointer" onClick={payCash}>
               <div className="w-32 h-26   flex items-center justify-center  text-3xl">
 
 
@@ -81,6 +118,18 @@ const Page2 = ({ updateSession }) => {
               <p className="text-red-500 font-extrabold text-4xl">ONLINE</p>
             </div>
           </div>
+          {(paymentError || pricingError) && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mt-6">
+              {paymentError || pricingError}
+            </div>
+          )}
+          <button
+            onClick={() => navigate('/grid')}
+            className="mt-6 px-6 py-2 rounded-lg border-2 border-gray-300 text-gray-700 font-semibold hover:bg-gray-100"
+            style={{ zIndex: 1 }}
+          >
+            Change grid
+          </button>
           {/* Scattered decorative hearts for whimsical aesthetic */}
           <img src="/images/heart1-r.png" alt="heart" style={{ position: "absolute", top: 140, left: 50, width: 36 }} />
           <img src="/images/heart2.png" alt="heart" style={{ position: "absolute", top: 200, left: 80, width: 28 }} />
@@ -40,43 +40,38 @@
 // export default PaymentQR;
 
 
-import React from "react";
+import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
+import { startRazorpayPayment } from "../utils/razorpay";
+import { usePricing, getSessionTotal, formatPrice } from "../utils/pricing";
 
-function PaymentQR({ updateSession }) {
+function PaymentQR({ sessionData, updateSession }) {
   const navigate = useNavigate();
-  const PRICE = 200;
+  const { pricing } = usePricing();
+  const [paymentError, setPaymentError] = useState("");
+  const gridId = sessionData?.selectedGrid?.id;
+  const addOns = sessionData?.addOns || {};
+  const total = getSessionTotal(pricing, gridId, addOns);
 
   const openRazorpay = () => {
-    const options = {
-      key: "rzp_test_RimfJf1PyS9dtx",
-      amount: PRICE * 100,
-      currency: "INR",
-      name: "Your App",
-      description: "UPI QR Payment",
-      image: "/images/logo.png",
-
-      handler: function (response) {
-        // Payment Success Callback
+    setPaymentError("");
+    startRazorpayPayment({
+      sessionId: sessionData?.sessionId,
+      gridId,
+      addOns,
+      onPaid: (result) => {
+        // Payment verified by the backend
         if (updateSession) {
           updateSession({
             paymentStatus: "completed",
-            amountPaid: PRICE,
-            paymentId: response.razorpay_payment_id,
+            amountPaid: result.amount / 100,
+            paymentId: result.paymentId,
           });
         }
-        navigate("/grid");
+        navigate("/camera-filter");
       },
-
-      theme: { color: "#F48B9A" },
-
-      // Enable UPI + QR payment
-      method: { upi: true },
-      upi: { type: "qr" },
-    };
-
-    const rzp = new window.Razorpay(options);
-    rzp.open();
+      onError: setPaymentError,
+    });
   };
 
   return (
@@ -101,7 +96,7 @@ function PaymentQR({ updateSession }) {
             marginBottom: 12,
           }}
         >
-          Scan & Pay {PRICE}
+          Scan & Pay {total === null ? "..." : formatPrice(total, pricing.currency)}
         </h3>
 
         {/* Optional Static QR for UI */}
@@ -119,6 +114,12 @@ function PaymentQR({ updateSession }) {
           Press the button below to open Razorpay UPI QR.
         </p>
 
+        {paymentError && (
+          <p style={{ marginBottom: 12, color: "#D83A4A", fontWeight: 600 }}>
+            {paymentError}
+          </p>
+        )}
+
         <div style={{ display: "flex", justifyContent: "center", gap: 12 }}>
           <button
             onClick={() => navigate("/payment")}
@@ -5,7 +5,7 @@
  * Users can choose between Cash payment or Online (Razorpay) payment.
  * 
  * Features:
- * - Displays payment amount (200)
+ * - Displays the session price from the pricing settings
  * - Cash payment option with money icon
  * - Online payment option with QR code icon - opens Razorpay directly
  * - Decorative teddy bears at corners
@@ -14,14 +14,20 @@
  * @param {Function} updateSession - Callback to update session data
  * @returns {JSX.Element} Payment selection screen
  */
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { startRazorpayPayment } from '../utils/razorpay';
+import { usePricing, getSessionTotal, formatPrice } from '../utils/pricing';
 
 function PaymentScreen({ sessionData, updateSession }) {
   const navigate = useNavigate();
+  const [paymentError, setPaymentError] = useState('');
 
-  // Fixed price for photo session
-  const PRICE = 200;
+  // Price of the selected grid and add-ons
+  const { pricing } = usePricing();
+  const gridId = sessionData?.selectedGrid?.id;
+  const addOns = sessionData?.addOns || {};
+  const total = getSessionTotal(pricing, gridId, addOns);
 
   // Load Razorpay script on component mount
   useEffect(() => {
@@ -35,12 +41,31 @@ function PaymentScreen({ sessionData, updateSession }) {
 
   /**
    * Handle Cash Payment
-   * Updates session with completed payment status and navigates to grid selection
+   * The customer pays the attendant and enters the code they are given; the
+   * session is only marked paid once the backend accepts the code
    */
   const handlePayCash = () => {
-    updateSession({ paymentStatus: 'completed', amountPaid: PRICE });
-    // Small delay for better UX before navigation
-    setTimeout(() => navigate('/grid'), 400);
+    if (total === null) return;
+    updateSession({ addOns, amountDue: total });
+    navigate('/cash-password');
+  };
+
+  /**
+   * Handle Online Payment
+   * Opens Razorpay Checkout; the backend prices and verifies the payment
+   */
+  const openRazorpay = () => {
+    setPaymentError('');
+    startRazorpayPayment({
+      sessionId: sessionData?.sessionId,
+      gridId,
+      addOns,
+      onPaid: (result) => {
+        updateSession({ paymentStatus: 'completed', amountPaid: result.amount / 100, paymentId: result.paymentId });
+        navigate('/camera-filter');
+      },
+      onError: setPaymentError,
+    });
   };
 
   return (
@@ -58,7 +83,7 @@ function PaymentScreen({ sessionData, updateSession }) {
       >
         {/* Main heading: Payment amount */}
         <h2 className="text-center" style={{ color: '#6B2D9B', fontSize: 48, fontWeight: 800 }}>
-          PAY {PRICE} TO START
+          PAY {total === null ? '...' : formatPrice(total, pricing.currency)} TO START
         </h2>
 
         {/* Payment options: Cash and Online side by side */}
@@ -66,7 +91,7 @@ function PaymentScreen({ sessionData, updateSession }) {
           {/* Cash Payment Option */}
           <div className="flex flex-col items-center cursor-pointer" onClick={handlePayCash}>
             {/* Money icon: Stack of banknotes */}
-            <img src="/images/cash_icon.png" alt="cash" style={{ width: 140, height: 140, objectFit: 'contain' }} />
+            <img src="/images/cash.png" alt="cash" style={{ width: 140, height: 140, objectFit: 'contain' }} />
             {/* Payment option label */}
             <div style={{ color: '#E05A57', fontSize: 28, fontWeight: 800, marginTop: 12 }}>CASH</div>
           </div>
@@ -80,6 +105,10 @@ function PaymentScreen({ sessionData, updateSession }) {
           </div>
         </div>
 
+        {paymentError && (
+          <p className="text-center" style={{ color: '#D83A4A', fontWeight: 600, marginTop: 16 }}>{paymentError}</p>
+        )}
+
         {/* Decorative teddy bears at bottom corners */}
         {/* Left bear: Blowing a kiss with heart */}
         <img src="/images/teddy_kiss.png" alt="teddy left" style={{ position: 'absolute', left: 8, bottom: -8, width: 140 }} />
@@ -9,11 +9,13 @@
  * 
  * Features:
  * - Composite image preview (grid layout or single photo)
- * - Print functionality with status feedback
+ * - Print functionality with live print queue status
  * - Download functionality with QR code generation
+ * - Animated GIF / boomerang QR codes from burst captures (burst mode)
+ * - QR codes for the shots not picked for the grid (shot pool, when the operator offers them)
  * - Server-side photo saving and URL generation
  * - Navigation to start new session
- * - Auto-redirect to thank you page after 10 seconds
+ * - Auto-redirect to thank you page after 10 seconds (counted once the animations and extra shots are ready)
  * 
  * @param {Object} sessionData - Current session data including edited photos and composite
  * @param {Function} updateSession - Callback to update session data
@@ -25,11 +27,22 @@ import { QRCodeSVG } from 'qrcode.react';
 import { FallingSparkles, FloatingBubbles, FallingHearts, ConfettiRain, TwinklingStars } from '../components/Decoration';
 import { detectPrinters, getDefaultPrinter, getStoredPrinter, saveSelectedPrinter } from '../utils/printerDetection';
 import { getPageSizeFromGrid } from '../utils/imageComposite';
+import { logEvent } from '../utils/events';
+import { fetchKioskSettings } from '../utils/kioskSettings';
+import { createAnimations, getBurstSettings } from '../utils/burst';
+import { saveUnusedShots } from '../utils/shotPool';
+
+const ANIMATION_LABELS = {
+  gif: 'GIF',
+  boomerang: 'Boomerang',
+};
 
 function ShareScreen({ sessionData, updateSession }) {
   const navigate = useNavigate();
   // Print status: 'idle', 'printing', 'success', or 'error'
   const [printStatus, setPrintStatus] = useState('idle');
+  // Print queue job for the current print request
+  const [printJob, setPrintJob] = useState(null);
   // Array of saved photo filenames from server
   const [savedFilenames, setSavedFilenames] = useState([]);
   // Array of download URLs for QR codes
@@ -44,6 +57,14 @@ function ShareScreen({ sessionData, updateSession }) {
   const [selectedPrinter, setSelectedPrinter] = useState(null);
   // Page size configuration
   const [pageSizeConfig, setPageSizeConfig] = useState(null);
+  // Saved animations from burst captures: [{ type, filename }]
+  const [animations, setAnimations] = useState([]);
+  const burstFrames = sessionData.burstFrames || [];
+  const [preparingAnimations, setPreparingAnimations] = useState(() => burstFrames.some((frames) => frames?.length > 0));
+  // Saved filenames of the shots not picked for the grid (shot pool)
+  const [extraShots, setExtraShots] = useState([]);
+  const [savingExtraShots, setSavingExtraShots] = useState(false);
+  const unusedPhotos = sessionData.unusedPhotos || [];
 
   // Get edited photos: Support both legacy single photo and new multi-photo format
   const editedPhotos = sessionData.editedPhotos || (sessionData.editedPhoto ? [sessionData.editedPhoto] : []);
@@ -56,7 +77,13 @@ function ShareScreen({ sessionData, updateSession }) {
 
   // Auto-redirect to thank you page after 10 seconds
   useEffect(() => {
+    // Customers get the full 10 seconds to scan the animation and extra shot QR codes
+    if (preparingAnimations || savingExtraShots) return;
+    setCountdown(10);
+
     const redirectTimer = setTimeout(() => {
+      // Session is finished; it is no longer offered for resume
+      updateSession({ completedStep: 'share' });
       navigate('/thankyou');
     }, 10000); // 10 seconds
 
@@ -76,7 +103,45 @@ function ShareScreen({ sessionData, updateSession }) {
       clearTimeout(redirectTimer);
       clearInterval(countdownInterval);
     };
-  }, [navigate]);
+  }, [navigate, updateSession, preparingAnimations, savingExtraShots]);
+
+  // Build and save the animations of burst captures
+  useEffect(() => {
+    if (!preparingAnimations) return undefined;
+
+    let cancelled = false;
+    const prepare = async () => {
+      try {
+        const burst = getBurstSettings(await fetchKioskSettings());
+        const saved = await createAnimations(sessionData.sessionId, burstFrames, burst);
+        if (!cancelled) setAnimations(saved);
+      } catch (error) {
+        console.error('Error preparing animations:', error);
+      } finally {
+        // Without animations the share screen still works, and must still time out
+        if (!cancelled) setPreparingAnimations(false);
+      }
+    };
+    prepare();
+
+    return () => { cancelled = true; };
+    // Once per visit
+  }, []);
+
+  // Save the unused shots once the composite is saved (save-photo names files by the millisecond)
+  useEffect(() => {
+    if (!savedFilenames[0] || unusedPhotos.length === 0 || extraShots.length > 0) return undefined;
+
+    let cancelled = false;
+    setSavingExtraShots(true);
+    saveUnusedShots(sessionData.sessionId, unusedPhotos).then((filenames) => {
+      if (cancelled) return;
+      setExtraShots(filenames);
+      setSavingExtraShots(false);
+    });
+
+    return () => { cancelled = true; };
+  }, [savedFilenames[0]]);
 
   // Auto-detect printers on component mount
   useEffect(() => {
@@ -99,6 +164,30 @@ function ShareScreen({ sessionData, updateSession }) {
     initializePrinters();
   }, []);
 
+  // Poll the print queue until the current job is done, failed or cancelled
+  useEffect(() => {
+    if (!printJob || ['done', 'failed', 'cancelled'].includes(printJob.status)) return;
+
+    const pollInterval = setInterval(async () => {
+      try {
+        const response = await fetch(`http://localhost:3001/api/print-jobs/${printJob.id}`);
+        const data = await response.json();
+        if (!data.success) return;
+
+        setPrintJob(data.job);
+        if (data.job.status === 'done') {
+          setPrintStatus('success');
+        } else if (data.job.status === 'failed' || data.job.status === 'cancelled') {
+          setPrintStatus('error');
+        }
+      } catch (error) {
+        console.error('Error polling print job:', error);
+      }
+    }, 1500);
+
+    return () => clearInterval(pollInterval);
+  }, [printJob?.id, printJob?.status]);
+
   // Auto-configure page size based on grid
   useEffect(() => {
     const grid = sessionData.selectedGrid;
@@ -131,6 +220,7 @@ function ShareScreen({ sessionData, updateSession }) {
    * 
    * @param {string} photoData - Base64 encoded image data
    * @param {number} index - Photo index for multi-photo sessions
+   * @returns {Promise<string|null>} Saved filename, or null if saving failed
    */
   const savePhoto = async (photoData, index) => {
     try {
@@ -159,16 +249,19 @@ function ShareScreen({ sessionData, updateSession }) {
           updated[index] = `http://localhost:3001/api/photos/${data.filename}`;
           return updated;
         });
+        return data.filename;
       }
+      return null;
     } catch (error) {
       console.error('Error saving photo:', error);
+      return null;
     }
   };
 
   /**
    * Handle Print button click
-   * Sends print request to backend API with saved photo filename, printer, and page size
-   * Updates print status to provide user feedback
+   * Queues a print job with the saved photo filename, printer, and page size
+   * The job status is then polled from the print queue
    */
   const handlePrint = async () => {
     // Set status to printing for user feedback
@@ -179,15 +272,12 @@ function ShareScreen({ sessionData, updateSession }) {
       const imageToPrint = compositeImage || editedPhotos[0];
 
       // Ensure photo is saved to server before printing
-      if (savedFilenames.length === 0 || !savedFilenames[0]) {
-        await savePhoto(imageToPrint, 0);
-        // Wait for save to complete before sending print request
-        await new Promise(resolve => setTimeout(resolve, 500));
+      // Use the filename returned by savePhoto, since state updates are not visible yet
+      const filename = savedFilenames[0] || await savePhoto(imageToPrint, 0);
+      if (!filename) {
+        throw new Error('Photo could not be saved for printing');
       }
 
-      // Get filename for printing
-      const filename = savedFilenames[0];
-
       // Get grid for page size configuration
       const grid = sessionData.selectedGrid || { cols: 1, rows: 1, id: '4x6-single' };
 
@@ -212,15 +302,46 @@ function ShareScreen({ sessionData, updateSession }) {
 
       const data = await response.json();
 
-      setTimeout(() => {
-        setPrintStatus(data.success ? 'success' : 'error');
-      }, 2000);
+      if (data.success) {
+        setPrintJob(data.job);
+      } else {
+        setPrintStatus('error');
+      }
     } catch (error) {
       console.error('Error printing photo:', error);
       setPrintStatus('error');
     }
   };
 
+  /**
+   * Handle Retry Print button click
+   * Queues a reprint of the failed job with the same file, printer and page size
+   */
+  const handleReprint = async () => {
+    if (!printJob) {
+      handlePrint();
+      return;
+    }
+
+    setPrintStatus('printing');
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/print-jobs/${printJob.id}/reprint`, {
+        method: 'POST',
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setPrintJob(data.job);
+      } else {
+        setPrintStatus('error');
+      }
+    } catch (error) {
+      console.error('Error reprinting photo:', error);
+      setPrintStatus('error');
+    }
+  };
+
   /**
    * Handle Download button click
    * Triggers browser download of the composite image
@@ -235,6 +356,7 @@ function ShareScreen({ sessionData, updateSession }) {
     link.href = imageToDownload;
     link.download = `photobooth_${sessionData.sessionId}_composite.jpg`;
     link.click();
+    logEvent('download', sessionData.sessionId, { via: 'kiosk' });
   };
 
   /**
@@ -248,6 +370,7 @@ function ShareScreen({ sessionData, updateSession }) {
       sessionId: null,
       capturedPhotos: null,
       capturedPhoto: null,
+      unusedPhotos: null,
       editedPhotos: null,
       editedPhoto: null,
       paymentStatus: 'pending',
@@ -353,7 +476,13 @@ function ShareScreen({ sessionData, updateSession }) {
               {printStatus === 'printing' && (
                 <div className="text-center py-4">
                   <div className="animate-spin text-4xl mb-2">⚙️</div>
-                  <p className="text-lg font-semibold">Printing...</p>
+                  <p className="text-lg font-semibold">
+                    {printJob?.status === 'queued' && printJob.attempts === 0 ? 'Waiting for printer...' : 'Printing...'}
+                  </p>
+                  {/* Retry feedback: the queue retries failed attempts automatically */}
+                  {printJob?.error && printJob.status === 'queued' && (
+                    <p className="text-xs text-gray-600">Retrying (attempt {printJob.attempts + 1})</p>
+                  )}
                 </div>
               )}
 
@@ -369,7 +498,13 @@ function ShareScreen({ sessionData, updateSession }) {
                 <div className="text-center py-2 animate-fade-in">
                   <div className="text-3xl mb-1">❌</div>
                   <p className="text-sm font-semibold text-red-600">Failed</p>
-                  <p className="text-xs text-gray-600">Try download</p>
+                  <p className="text-xs text-gray-600">{printJob?.error || 'Try download'}</p>
+                  <button
+                    onClick={handleReprint}
+                    className="mt-2 text-xs py-1 px-3 rounded-lg bg-rose-300 font-bold hover:bg-rose-400"
+                  >
+                    Retry Print
+                  </button>
                 </div>
               )}
             </div>
@@ -406,6 +541,50 @@ function ShareScreen({ sessionData, updateSession }) {
                 </div>
               )}
 
+              {/* Animations: smaller QR codes next to the composite */}
+              {preparingAnimations && (
+                <p className="text-center text-xs text-gray-600 mb-2">🎬 Making your animation...</p>
+              )}
+              {animations.length > 0 && (
+                <div className="flex justify-center gap-3 mb-2">
+                  {animations.map(({ type, filename }) => (
+                    <div key={filename} className="text-center">
+                      <div className="bg-white p-1 rounded-lg shadow">
+                        <QRCodeSVG
+                          value={`http://localhost:3001/api/photos/${filename}`}
+                          size={80}
+                          level="M"
+                          includeMargin={true}
+                        />
+                      </div>
+                      <p className="text-xs text-gray-600 mt-1">{ANIMATION_LABELS[type] || type}</p>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {/* Extra shots: the ones not picked for the grid */}
+              {savingExtraShots && (
+                <p className="text-center text-xs text-gray-600 mb-2">📷 Saving your extra shots...</p>
+              )}
+              {extraShots.length > 0 && (
+                <div className="flex justify-center gap-3 mb-2 overflow-x-auto">
+                  {extraShots.map((filename, index) => (
+                    <div key={filename} className="text-center flex-shrink-0">
+                      <div className="bg-white p-1 rounded-lg shadow">
+                        <QRCodeSVG
+                          value={`http://localhost:3001/api/photos/${filename}`}
+                          size={64}
+                          level="M"
+                          includeMargin={true}
+                        />
+                      </div>
+                      <p className="text-xs text-gray-600 mt-1">Extra {index + 1}</p>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {/* Direct download button */}
               <button
                 onClick={handleDownload}
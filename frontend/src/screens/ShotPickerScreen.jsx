@@ -0,0 +1,213 @@
+/**
+ * ShotPickerScreen Component
+ *
+ * Step between CameraSettings and EditScreen when the capture takes extra
+ * shots (kiosk settings shotPool). Customers drag their favourite shots
+ * onto the grid's cells, in the order they want them printed; tapping a
+ * shot and then a cell works too. The cells start with the first shots.
+ *
+ * Features:
+ * - Drag and drop with mouse or touch (pointer events)
+ * - Dropping a shot that is already in a cell swaps the two cells
+ * - Unused shots are kept for the share screen when the operator offers them
+ *
+ * @param {Object} sessionData - Current session data (shotPool from CameraSettings, selected grid)
+ * @param {Function} updateSession - Callback to update session data
+ * @returns {JSX.Element} Shot picker interface
+ */
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FallingHearts } from '../components/Decoration';
+import { useKioskSettings } from '../utils/kioskSettings';
+import { getShotPoolSettings, pickShots, placeShot } from '../utils/shotPool';
+
+// Pointer movement (px) that turns a tap into a drag
+const DRAG_THRESHOLD = 10;
+
+function ShotPickerScreen({ sessionData, updateSession }) {
+  const navigate = useNavigate();
+  const kiosk = useKioskSettings();
+  const pool = sessionData?.shotPool;
+  const grid = sessionData?.selectedGrid?.cols ? sessionData.selectedGrid : { cols: 1, rows: 1 };
+  const cellCount = grid.cols * grid.rows;
+  const initialCells = () => Array.from({ length: cellCount }, (_, index) => index);
+
+  const [cells, setCells] = useState(initialCells);
+  // Shot tapped in the pool, waiting for a tap on a cell
+  const [selected, setSelected] = useState(null);
+  // Shot following the pointer while dragging: { shot, x, y }
+  const [ghost, setGhost] = useState(null);
+  const dragRef = useRef(null);
+  const selectedRef = useRef(null);
+  selectedRef.current = selected;
+
+  // Nothing to pick from (e.g. the pool was already used): back to the camera
+  useEffect(() => {
+    if (!pool || pool.photos.length < cellCount) {
+      navigate('/camera-settings', { replace: true });
+    }
+  }, [pool, cellCount]);
+
+  // Listen on the window, so a drag keeps going outside the shot it started on
+  useEffect(() => {
+    const handleMove = (e) => {
+      const drag = dragRef.current;
+      if (!drag) return;
+      if (!drag.moved && Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < DRAG_THRESHOLD) return;
+      drag.moved = true;
+      setGhost({ shot: drag.shot, x: e.clientX, y: e.clientY });
+    };
+
+    const handleUp = (e) => {
+      const drag = dragRef.current;
+      if (!drag) return;
+      dragRef.current = null;
+      setGhost(null);
+
+      if (drag.moved) {
+        const target = document.elementFromPoint(e.clientX, e.clientY)?.closest('[data-cell]');
+        if (target) setCells((prev) => placeShot(prev, Number(target.dataset.cell), drag.shot));
+        return;
+      }
+
+      // A tap: pick a shot from the pool, then tap the cell it goes in
+      if (drag.cell === null) {
+        setSelected((prev) => (prev === drag.shot ? null : drag.shot));
+      } else if (selectedRef.current !== null) {
+        const shot = selectedRef.current;
+        setCells((prev) => placeShot(prev, drag.cell, shot));
+        setSelected(null);
+      }
+    };
+
+    const handleCancel = () => {
+      dragRef.current = null;
+      setGhost(null);
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    window.addEventListener('pointercancel', handleCancel);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('pointercancel', handleCancel);
+    };
+  }, []);
+
+  const startDrag = (e, shot, cell = null) => {
+    e.preventDefault();
+    dragRef.current = { shot, cell, startX: e.clientX, startY: e.clientY, moved: false };
+  };
+
+  const handleReset = () => {
+    setCells(initialCells());
+    setSelected(null);
+  };
+
+  const handleNext = () => {
+    const { photos, bursts, unused } = pickShots(pool, cells);
+    updateSession({
+      capturedPhotos: photos,
+      burstFrames: bursts,
+      unusedPhotos: getShotPoolSettings(kiosk).shareUnused ? unused : [],
+      shotPool: null,
+      completedStep: 'capture',
+    });
+    navigate('/edit');
+  };
+
+  if (!pool || pool.photos.length < cellCount) return null;
+
+  return (
+    <div style={{ background: "#f6DDD8", height: "100vh", overflow: "hidden" }} className="w-screen h-screen flex items-center justify-center overflow-hidden bg-pink-50">
+      <FallingHearts />
+      <div className="max-w-6xl w-full h-full bg-white rounded-3xl p-6 border-4 border-rose-200 flex flex-col"
+        style={{
+          height: "90%",
+          background: "#f7f4E8",
+          border: "5px solid #FF6B6A",
+          padding: 0,
+          boxShadow: "0 6px 20px rgba(0,0,0,0.06)",
+        }}
+      >
+        <h2 className="text-2xl font-bold text-center pt-6">Pick Your Best Shots</h2>
+        <p className="text-sm text-gray-600 text-center mb-2">
+          Drag a shot onto a spot in your photo, or tap a shot and then the spot
+        </p>
+
+        <div className="flex-1 flex gap-4 overflow-hidden px-6">
+          {/* Grid cells - Left */}
+          <div className="flex-1 flex flex-col overflow-hidden">
+            <h3 className="font-semibold text-sm mb-1">Your Photo</h3>
+            <div className="rounded-lg p-2 flex-1 overflow-y-auto" style={{ backgroundColor: "#f6DDD8" }}>
+              <div className="grid gap-2" style={{ gridTemplateColumns: `repeat(${grid.cols}, 1fr)` }}>
+                {cells.map((shot, cell) => (
+                  <div
+                    key={cell}
+                    data-cell={cell}
+                    onPointerDown={(e) => startDrag(e, shot, cell)}
+                    className={`relative rounded-lg overflow-hidden border-4 bg-black cursor-grab ${selected !== null ? 'border-rose-400 animate-pulse' : 'border-white'}`}
+                    style={{ touchAction: 'none' }}
+                  >
+                    <img src={pool.photos[shot]} alt={`Spot ${cell + 1}`} className="w-full h-auto pointer-events-none" draggable={false} />
+                    <span className="absolute top-1 left-1 px-2 rounded-full bg-rose-500 text-white text-xs font-bold">
+                      {cell + 1}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex justify-center gap-3 mt-4 pb-2">
+              <button onClick={handleReset} className="px-6 py-2 rounded-lg border-2 text-sm hover:bg-gray-100">Reset</button>
+              <button onClick={handleNext} className="px-6 py-2 rounded-lg bg-rose-300 font-bold text-sm hover:bg-rose-400">Next: Edit →</button>
+            </div>
+          </div>
+
+          {/* All shots - Right Side */}
+          <div className="w-72 flex flex-col gap-2 overflow-hidden">
+            <h3 className="font-semibold text-sm">All Shots ({pool.photos.length})</h3>
+            <div className="grid grid-cols-2 gap-2 overflow-y-auto pb-2">
+              {pool.photos.map((photo, shot) => {
+                const cell = cells.indexOf(shot);
+                return (
+                  <div
+                    key={shot}
+                    onPointerDown={(e) => startDrag(e, shot)}
+                    className={`relative rounded-lg overflow-hidden border-2 cursor-grab ${selected === shot ? 'border-rose-500 ring-2 ring-rose-300' : 'border-gray-200'}`}
+                    style={{ touchAction: 'none' }}
+                  >
+                    <img
+                      src={photo}
+                      alt={`Shot ${shot + 1}`}
+                      className={`w-full h-auto pointer-events-none ${cell === -1 ? 'opacity-60' : ''}`}
+                      draggable={false}
+                    />
+                    {cell !== -1 && (
+                      <span className="absolute top-1 left-1 px-2 rounded-full bg-rose-500 text-white text-xs font-bold">
+                        {cell + 1}
+                      </span>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Dragged shot */}
+      {ghost && (
+        <img
+          src={pool.photos[ghost.shot]}
+          alt=""
+          className="fixed w-32 rounded-lg shadow-2xl pointer-events-none opacity-90"
+          style={{ left: ghost.x, top: ghost.y, transform: 'translate(-50%, -50%)', zIndex: 50 }}
+        />
+      )}
+    </div>
+  );
+}
+
+export default ShotPickerScreen;
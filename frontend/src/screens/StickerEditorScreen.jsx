@@ -206,7 +206,8 @@ function StickerEditorScreen({ sessionData, updateSession }) {
             // Update the compositeImage in session (not a separate stickeredImage)
             updateSession({
                 compositeImage: finalImage, // This updates the main composite image
-                stickers: stickers // Save sticker data for reference
+                stickers: stickers, // Save sticker data for reference
+                completedStep: 'stickers'
             });
 
             navigate('/share');
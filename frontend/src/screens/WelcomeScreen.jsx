@@ -8,36 +8,85 @@
  * - Brand identity display with "soso clicks" logo and camera icon
  * - Decorative elements (hearts, flower, teddy bears) for playful aesthetic
  * - Initializes new photo session with unique session ID
- * - Navigates to payment screen when Start button is clicked
+ * - Navigates to grid selection when Start button is clicked
+ * - Offers to resume an unfinished paid session after a crash or reload
+ * - Hidden top-left corner gesture (5 taps) opens the operator admin panel
  * 
  * @param {Function} updateSession - Callback to update session data in parent component
+ * @param {Function} resumeSession - Callback to continue a session restored from its record
  * @returns {JSX.Element} Welcome screen UI
  */
-import React, { useEffect } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { FallingSparkles, FloatingBubbles, FallingHearts, ConfettiRain, TwinklingStars } from '../components/Decoration';
+import AdminGesture from '../components/AdminGesture';
+import { findResumableSession, restoreSessionData, getResumeRoute, endSessionRecord } from '../utils/sessionRecord';
+import { logEvent } from '../utils/events';
 
-function WelcomeScreen({ updateSession }) {
+function WelcomeScreen({ updateSession, resumeSession }) {
   const navigate = useNavigate();
+  // Unfinished paid session found on startup
+  const [resumable, setResumable] = useState(null);
+  const [resuming, setResuming] = useState(false);
+  const [resumeError, setResumeError] = useState('');
+  const sessionIdRef = useRef(null);
 
   // Initialize a new photo session with unique ID when component mounts
   // This ensures each user session has a unique identifier for photo storage
   useEffect(() => {
     const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    updateSession({ sessionId, paymentStatus: 'pending' });
+    sessionIdRef.current = sessionId;
+    // Face props are picked once and kept for every photo, so the next customer starts without them
+    // (the same goes for the previous customer's unused shots and retakes)
+    updateSession({ sessionId, paymentStatus: 'pending', faceProps: [], unusedPhotos: [], retakesUsed: 0 });
   }, [updateSession]);
 
+  // Look for a paid session that was interrupted (crash or reload)
+  useEffect(() => {
+    let cancelled = false;
+    findResumableSession().then((record) => {
+      if (!cancelled) setResumable(record);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  /**
+   * Restore the interrupted session with its photos and continue after its last completed step
+   */
+  const handleResume = async () => {
+    setResuming(true);
+    setResumeError('');
+    try {
+      resumeSession(await restoreSessionData(resumable));
+      navigate(getResumeRoute(resumable));
+    } catch (error) {
+      console.error('Error resuming session:', error);
+      setResumeError('Could not restore the session. Please ask the attendant.');
+      setResuming(false);
+    }
+  };
+
+  /**
+   * Discard the interrupted session so it is not offered again
+   */
+  const handleDiscard = async () => {
+    await endSessionRecord(resumable.sessionId);
+    setResumable(null);
+  };
+
   /**
    * Handle Start button click
-   * Navigates user to the payment screen to begin the photo session process
+   * Navigates user to grid selection; the price depends on the chosen grid
    */
   const handleStart = () => {
-    navigate('/payment');
+    logEvent('session_start', sessionIdRef.current);
+    navigate('/grid');
   };
 
   return (
     /* Main container with pink background matching SoSo Clicks theme */
     <div style={{ background: "#f6DDD8", height: "100vh", overflow: "hidden" }} className="flex items-center justify-center">
+      <AdminGesture />
       {/* Content panel with cream background and coral-pink border */}
       {/* <FallingHearts /> */}
       <div
@@ -163,6 +212,39 @@ function WelcomeScreen({ updateSession }) {
             />
           ))}
         </div> */}
+
+        {/* Resume prompt for an interrupted paid session */}
+        {resumable && (
+          <div className="absolute inset-0 flex items-center justify-center rounded-3xl" style={{ background: "rgba(0,0,0,0.35)", zIndex: 10 }}>
+            <div className="rounded-2xl p-8 text-center" style={{ background: "#f7f4E8", border: "5px solid #FF6B6A", maxWidth: 520 }}>
+              <h2 style={{ color: "#6B2D9B", fontSize: 32, fontWeight: 800 }}>Welcome back!</h2>
+              <p className="mt-2 text-gray-700" style={{ fontSize: 20 }}>
+                A paid session was interrupted. Continue where it left off?
+              </p>
+              {resumeError && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mt-4">
+                  {resumeError}
+                </div>
+              )}
+              <div className="flex justify-center gap-4 mt-6">
+                <button
+                  onClick={handleDiscard}
+                  disabled={resuming}
+                  className="px-6 py-3 rounded-lg border-2 border-gray-300 text-gray-700 font-semibold hover:bg-gray-100"
+                >
+                  Start New
+                </button>
+                <button
+                  onClick={handleResume}
+                  disabled={resuming}
+                  className="px-6 py-3 rounded-lg bg-[#FF6B6A] text-white font-bold hover:bg-red-500"
+                >
+                  {resuming ? 'Restoring...' : 'Resume Session'}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
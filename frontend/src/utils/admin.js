@@ -0,0 +1,106 @@
+/**
+ * Admin panel helpers
+ *
+ * Every call sends the admin PIN, which the settings API checks against
+ * ADMIN_PIN before changing settings or returning reports.
+ */
+
+const API_URL = 'http://localhost:3001/api';
+
+const request = async (pin, path, { method = 'GET', body } = {}) => {
+  try {
+    const response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-admin-pin': pin,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    return await response.json();
+  } catch (error) {
+    console.error(`Error calling ${path}:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Sessions and revenue for a day; also used to check the PIN
+ * @param {string} pin - Admin PIN
+ * @param {string} date - 'YYYY-MM-DD', defaults to today
+ * @returns {Promise<Object>} { success, sessions, sessionCount, paidCount, revenue, currency, error }
+ */
+export const fetchAdminSummary = (pin, date) =>
+  request(pin, `/admin/summary${date ? `?date=${encodeURIComponent(date)}` : ''}`);
+
+/**
+ * Save the pricing table
+ * @param {string} pin - Admin PIN
+ * @param {Object} pricing - { currency, grids, addOns }
+ * @returns {Promise<Object>} { success, pricing, error }
+ */
+export const savePricing = (pin, pricing) =>
+  request(pin, '/settings/pricing', { method: 'PUT', body: pricing });
+
+/**
+ * Save the kiosk settings
+ * @param {string} pin - Admin PIN
+ * @param {Object} kiosk - { enabledGrids, enabledFilters, enabledFrames, printerName }
+ * @returns {Promise<Object>} { success, kiosk, error }
+ */
+export const saveKioskSettings = (pin, kiosk) =>
+  request(pin, '/settings/kiosk', { method: 'PUT', body: kiosk });
+
+/**
+ * Leave kiosk mode (Electron only; the main process checks the PIN with the API)
+ * @param {string} pin - Admin PIN
+ * @returns {Promise<Object>} { success, error }
+ */
+export const exitKioskMode = async (pin) => {
+  if (!window.electron?.exitKiosk) {
+    return { success: false, error: 'Kiosk mode can only be exited in the kiosk app' };
+  }
+  return window.electron.exitKiosk(pin);
+};
+
+const reportQuery = ({ period, from, to }, format) => new URLSearchParams(
+  Object.entries({ period, from, to, format }).filter(([, value]) => value)
+).toString();
+
+/**
+ * Daily or weekly sales and usage report
+ * @param {string} pin - Admin PIN
+ * @param {Object} params - { period ('daily' | 'weekly'), from, to } with dates as 'YYYY-MM-DD'
+ * @returns {Promise<Object>} { success, rows, error }
+ */
+export const fetchReport = (pin, params) =>
+  request(pin, `/reports?${reportQuery(params)}`);
+
+/**
+ * Download the report as a CSV file
+ * @param {string} pin - Admin PIN
+ * @param {Object} params - Same as fetchReport
+ * @returns {Promise<Object>} { success, error }
+ */
+export const downloadReportCsv = async (pin, params) => {
+  try {
+    const response = await fetch(`${API_URL}/reports?${reportQuery(params, 'csv')}`, {
+      headers: { 'x-admin-pin': pin },
+    });
+    if (!response.ok) {
+      return await response.json();
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `report_${params.period}_${params.from}_${params.to}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+    return { success: true };
+  } catch (error) {
+    console.error('Error downloading report:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,175 @@
+/**
+ * AR face props
+ *
+ * Glasses, hats, ears and masks that follow the customers' faces in the
+ * camera preview and are drawn into the captured photo. The props are PNGs
+ * in src/props, listed in src/props/manifest.json:
+ *
+ *   { id, name, image (file in src/props), anchor, width, offsetY, pivotY }
+ *
+ * anchor is the face point the prop sits on: eyes, forehead, nose, upperLip,
+ * mouth or chin. width is the prop's width in face widths. offsetY moves it
+ * along the face, in face heights (negative = up). pivotY is the point of
+ * the image placed on the anchor, from 0 (top edge) to 1 (bottom edge);
+ * default 0.5. Props turn with the head (the tilt of the eye line).
+ *
+ * The admin panel can limit which props customers see (kiosk settings
+ * enabledProps; null = all, an empty list = none).
+ */
+import { useEffect, useState } from 'react';
+import manifest from '../props/manifest.json';
+import { detectFaceLandmarks } from './faceMesh';
+
+const IMAGE_URLS = import.meta.glob('../props/*.png', { eager: true, query: '?url', import: 'default' });
+
+// Face Mesh landmarks each anchor is the middle of
+const ANCHORS = {
+  eyes: [33, 263],
+  forehead: [10],
+  nose: [1],
+  upperLip: [164, 0],
+  mouth: [13, 14],
+  chin: [152],
+};
+
+/**
+ * All props in the manifest, with their image URLs
+ * Entries with an unknown anchor or a missing image are left out
+ */
+export const AR_PROPS = manifest.props
+  .map((prop) => ({ pivotY: 0.5, offsetY: 0, ...prop, url: IMAGE_URLS[`../props/${prop.image}`] }))
+  .filter((prop) => {
+    const usable = ANCHORS[prop.anchor] && prop.url && prop.width > 0;
+    if (!usable) console.error(`AR prop ${prop.id} is missing its image or has an unknown anchor`);
+    return usable;
+  });
+
+/**
+ * Props the operator enabled in the admin panel
+ * @param {Object|null} kiosk - Kiosk settings
+ * @returns {Array<Object>}
+ */
+export const getEnabledProps = (kiosk) => (Array.isArray(kiosk?.enabledProps)
+  ? AR_PROPS.filter((prop) => kiosk.enabledProps.includes(prop.id))
+  : AR_PROPS);
+
+const images = new Map();
+
+/**
+ * Load a prop image (once per prop)
+ * @param {Object} prop - Entry of AR_PROPS
+ * @returns {Promise<HTMLImageElement>}
+ */
+const loadPropImage = (prop) => {
+  if (!images.has(prop.id)) {
+    images.set(prop.id, new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => {
+        images.delete(prop.id);
+        reject(new Error(`Could not load AR prop ${prop.id}`));
+      };
+      img.src = prop.url;
+    }));
+  }
+  return images.get(prop.id);
+};
+
+/**
+ * Draw props on every face
+ *
+ * @param {CanvasRenderingContext2D} ctx - Context of the picture the faces were found in
+ * @param {Array<Array<Object>>} faces - Landmarks per face, from detectFaceLandmarks
+ * @param {Array<Object>} props - Loaded props ({ ...prop, image }), from useFaceProps
+ */
+export const drawFaceProps = (ctx, faces, props) => {
+  const { width, height } = ctx.canvas;
+  const point = (landmark) => ({ x: landmark.x * width, y: landmark.y * height });
+  const middle = (landmarks, ids) => ({
+    x: ids.reduce((sum, id) => sum + landmarks[id].x, 0) / ids.length * width,
+    y: ids.reduce((sum, id) => sum + landmarks[id].y, 0) / ids.length * height,
+  });
+
+  faces.forEach((landmarks) => {
+    const rightEye = point(landmarks[33]);
+    const leftEye = point(landmarks[263]);
+    const angle = Math.atan2(leftEye.y - rightEye.y, leftEye.x - rightEye.x);
+    const faceWidth = Math.hypot(
+      (landmarks[454].x - landmarks[234].x) * width,
+      (landmarks[454].y - landmarks[234].y) * height
+    );
+    const faceHeight = Math.hypot(
+      (landmarks[152].x - landmarks[10].x) * width,
+      (landmarks[152].y - landmarks[10].y) * height
+    );
+
+    props.forEach(({ image, anchor, width: propWidth, offsetY, pivotY }) => {
+      const { x, y } = middle(landmarks, ANCHORS[anchor]);
+      const drawWidth = propWidth * faceWidth;
+      const drawHeight = drawWidth * image.height / image.width;
+      const shift = offsetY * faceHeight;
+
+      ctx.save();
+      // Down the face is (-sin, cos) of the eye line's angle
+      ctx.translate(x - Math.sin(angle) * shift, y + Math.cos(angle) * shift);
+      ctx.rotate(angle);
+      ctx.drawImage(image, -drawWidth / 2, -pivotY * drawHeight, drawWidth, drawHeight);
+      ctx.restore();
+    });
+  });
+};
+
+/**
+ * Put props on the faces of a captured photo
+ * The faces are found again in the full photo, so the props sit exactly
+ * @param {string} src - Image URL or data URL
+ * @param {Array<Object>} props - Loaded props, from useFaceProps
+ * @returns {Promise<string>} JPEG data URL
+ */
+export const renderWithProps = async (src, props) => {
+  const img = await new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = reject;
+    image.src = src;
+  });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = img.width;
+  canvas.height = img.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0);
+  drawFaceProps(ctx, await detectFaceLandmarks(canvas), props);
+  return canvas.toDataURL('image/jpeg', 0.95);
+};
+
+/**
+ * The props picked for a session, ready to draw
+ * @param {Array<string>|undefined} propIds - Ids picked on CameraSettings
+ * @returns {Array<Object>} Loaded props ({ ...prop, image }), in manifest order; empty while loading
+ */
+export const useFaceProps = (propIds) => {
+  const [loaded, setLoaded] = useState([]);
+  const key = (propIds || []).join(',');
+
+  useEffect(() => {
+    const picked = AR_PROPS.filter((prop) => key.split(',').includes(prop.id));
+    if (picked.length === 0) {
+      setLoaded([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    Promise.all(picked.map(async (prop) => ({ ...prop, image: await loadPropImage(prop) })))
+      .then((props) => {
+        if (!cancelled) setLoaded(props);
+      })
+      .catch((error) => {
+        console.error(error);
+        if (!cancelled) setLoaded([]);
+      });
+    return () => { cancelled = true; };
+  }, [key]);
+
+  return loaded;
+};
@@ -0,0 +1,229 @@
+/**
+ * Virtual backdrop helpers
+ *
+ * Put the people in a photo in front of a backdrop image the operator
+ * dropped into the server's backdrop directory. Booths with a green screen
+ * key it out (chromaKey.js); without one, the people are found with on-device
+ * segmentation. Applied to the live preview (FilteredWebcam) and at capture
+ * time, before the filter, so captured photos need no further processing.
+ */
+import { useEffect, useMemo, useState } from 'react';
+import { segmentPerson } from './segmentation';
+import { applyChromaKey, getChromaKeySettings } from './chromaKey';
+
+const API_URL = 'http://localhost:3001/api';
+
+// Same defaults as the server (kioskSettings.js), for settings saved before backdrops existed
+export const DEFAULT_BACKGROUND_REMOVAL = {
+  enabled: false,
+  feather: 6,
+};
+
+// Feather is set for a photo this wide and scaled with the image
+const FEATHER_REFERENCE_WIDTH = 1280;
+
+/**
+ * Background removal settings from the kiosk settings, with defaults
+ * @param {Object|null} kiosk - Kiosk settings
+ * @returns {Object} { enabled, feather }
+ */
+export const getBackgroundRemovalSettings = (kiosk) => ({ ...DEFAULT_BACKGROUND_REMOVAL, ...kiosk?.backgroundRemoval });
+
+/**
+ * Whether customers are offered backdrops (background removal or a green screen)
+ * @param {Object|null} kiosk - Kiosk settings
+ * @returns {boolean}
+ */
+export const backdropsEnabled = (kiosk) => getBackgroundRemovalSettings(kiosk).enabled
+  || getChromaKeySettings(kiosk).enabled;
+
+/**
+ * URL of a backdrop image
+ * @param {string} id - Backdrop id
+ * @returns {string}
+ */
+export const backdropUrl = (id) => `${API_URL}/backdrops/${encodeURIComponent(id)}`;
+
+/**
+ * Fetch the backdrops the operator added
+ * @returns {Promise<Array>} [{ id, name }], empty on failure
+ */
+export const fetchBackdrops = async () => {
+  try {
+    const response = await fetch(`${API_URL}/backdrops`);
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error);
+    return data.backdrops;
+  } catch (error) {
+    console.error('Error fetching backdrops:', error);
+    return [];
+  }
+};
+
+const images = new Map();
+
+/**
+ * Load a backdrop image (once per id)
+ * CORS mode keeps canvases the backdrop is drawn on exportable
+ * @param {string} id - Backdrop id
+ * @returns {Promise<HTMLImageElement>}
+ */
+export const loadBackdropImage = (id) => {
+  if (!images.has(id)) {
+    images.set(id, new Promise((resolve, reject) => {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      img.onload = () => resolve(img);
+      img.onerror = () => {
+        images.delete(id);
+        reject(new Error(`Could not load backdrop ${id}`));
+      };
+      img.src = backdropUrl(id);
+    }));
+  }
+  return images.get(id);
+};
+
+/**
+ * Draw an image over a canvas, cropped to fill it (like object-fit: cover)
+ */
+const drawCover = (ctx, image, width, height) => {
+  const scale = Math.max(width / image.width, height / image.height);
+  const drawWidth = image.width * scale;
+  const drawHeight = image.height * scale;
+  ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+};
+
+/**
+ * The people in a picture, on a transparent canvas, found with segmentation
+ * The mask is softened at the edges by the feather setting
+ */
+const cutOutBySegmentation = async (canvas, feather) => {
+  const { width, height } = canvas;
+  const mask = await segmentPerson(canvas);
+
+  const person = document.createElement('canvas');
+  person.width = width;
+  person.height = height;
+  const ctx = person.getContext('2d');
+  const blur = feather * width / FEATHER_REFERENCE_WIDTH;
+  ctx.filter = blur > 0 ? `blur(${blur}px)` : 'none';
+  ctx.drawImage(mask, 0, 0, width, height);
+  ctx.filter = 'none';
+  ctx.globalCompositeOperation = 'source-in';
+  ctx.drawImage(canvas, 0, 0);
+  return person;
+};
+
+/**
+ * The people in a picture, on a transparent canvas, with the green screen keyed out
+ */
+const cutOutByChromaKey = (canvas, chromaKey) => {
+  const person = document.createElement('canvas');
+  person.width = canvas.width;
+  person.height = canvas.height;
+  const ctx = person.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(canvas, 0, 0);
+  const imageData = ctx.getImageData(0, 0, person.width, person.height);
+  applyChromaKey(imageData, chromaKey);
+  ctx.putImageData(imageData, 0, 0);
+  return person;
+};
+
+/**
+ * Replace the background of the image on a canvas with a backdrop, in place
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas holding the photo or preview frame
+ * @param {Object} backdrop - { image (HTMLImageElement), feather, chromaKey }, from useBackdrop
+ * @returns {Promise<void>}
+ */
+export const applyBackdrop = async (canvas, { image, feather, chromaKey }) => {
+  const { width, height } = canvas;
+  const person = chromaKey
+    ? cutOutByChromaKey(canvas, chromaKey)
+    : await cutOutBySegmentation(canvas, feather);
+
+  const ctx = canvas.getContext('2d');
+  drawCover(ctx, image, width, height);
+  ctx.drawImage(person, 0, 0);
+};
+
+/**
+ * Put the people of a captured photo in front of a backdrop
+ * @param {string} src - Image URL or data URL
+ * @param {Object} backdrop - From useBackdrop
+ * @returns {Promise<string>} JPEG data URL
+ */
+export const renderWithBackdrop = async (src, backdrop) => {
+  const img = await new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = reject;
+    image.src = src;
+  });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = img.width;
+  canvas.height = img.height;
+  canvas.getContext('2d').drawImage(img, 0, 0);
+  await applyBackdrop(canvas, backdrop);
+  return canvas.toDataURL('image/jpeg', 0.95);
+};
+
+/**
+ * The backdrops the operator added, loaded once for a screen
+ * @returns {Array|null} [{ id, name }], or null while loading
+ */
+export const useBackdropList = () => {
+  const [backdrops, setBackdrops] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchBackdrops().then((list) => {
+      if (!cancelled) setBackdrops(list);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  return backdrops;
+};
+
+/**
+ * The backdrop of a session, ready to apply
+ * @param {string|null} backdropId - Backdrop picked for the session
+ * @param {Object|null} kiosk - Kiosk settings
+ * @returns {Object|null} { id, image, feather, chromaKey }, or null without a backdrop (or while it loads);
+ *   chromaKey is the key settings on a green screen booth, null to use segmentation
+ */
+export const useBackdrop = (backdropId, kiosk) => {
+  const [loaded, setLoaded] = useState(null);
+  const enabled = backdropsEnabled(kiosk);
+  const { feather } = getBackgroundRemovalSettings(kiosk);
+  const chromaKey = getChromaKeySettings(kiosk);
+  const { keyColor, tolerance, spill } = chromaKey;
+
+  useEffect(() => {
+    if (!backdropId || !enabled) {
+      setLoaded(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    loadBackdropImage(backdropId)
+      .then((image) => {
+        if (!cancelled) setLoaded({ id: backdropId, image });
+      })
+      .catch((error) => {
+        console.error(error);
+        if (!cancelled) setLoaded(null);
+      });
+    return () => { cancelled = true; };
+  }, [backdropId, enabled]);
+
+  return useMemo(
+    () => (loaded && loaded.id === backdropId
+      ? { ...loaded, feather, chromaKey: chromaKey.enabled ? { keyColor, tolerance, spill } : null }
+      : null),
+    [loaded, backdropId, feather, chromaKey.enabled, keyColor, tolerance, spill]
+  );
+};
@@ -0,0 +1,202 @@
+/**
+ * Burst capture and animations
+ *
+ * With burst mode on (admin panel, kiosk settings burst), every photo is
+ * followed by a burst of small frames from the live view. On the share
+ * screen the bursts become an animated GIF, a boomerang video (each burst
+ * played forward then backward), or both; they are saved through the photos
+ * API and offered as download QR codes next to the composite.
+ *
+ * Frames stay in the session in memory only, so a resumed session has no
+ * animations.
+ */
+import { GIFEncoder, applyPalette, quantize } from 'gifenc';
+import { drawFiltered } from './filters';
+
+const API_URL = 'http://localhost:3001/api';
+
+// Same defaults as the server (kioskSettings.js), for settings saved before burst mode existed
+export const DEFAULT_BURST = {
+  enabled: false,
+  frames: 8,
+  intervalMs: 120,
+  outputs: ['gif', 'boomerang'],
+};
+
+// Longest side of burst frames; animations are for phones, not prints
+const FRAME_SIZE = 480;
+
+// Video types to record boomerangs in, best first (MP4 plays everywhere, WebM where MP4 recording is unsupported)
+const VIDEO_TYPES = ['video/mp4', 'video/webm;codecs=vp9', 'video/webm'];
+
+// Short boomerangs play through several times, so the video is not over in a blink
+const BOOMERANG_MIN_MS = 3000;
+
+/**
+ * Burst settings from the kiosk settings, with defaults
+ * @param {Object|null} kiosk - Kiosk settings
+ * @returns {Object} { enabled, frames, intervalMs, outputs }
+ */
+export const getBurstSettings = (kiosk) => ({ ...DEFAULT_BURST, ...kiosk?.burst });
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = reject;
+  img.src = src;
+});
+
+/**
+ * Take a burst of frames from the live view
+ * Frames are grabbed first and filtered afterwards, so the filter does not
+ * slow down the burst
+ *
+ * @param {Object} webcamRef - Ref to a react-webcam instance
+ * @param {Object} options - { frames, intervalMs, filterParams }
+ * @returns {Promise<Array<string>>} JPEG data URLs, oldest first (empty without a video)
+ */
+export const captureBurst = async (webcamRef, { frames, intervalMs, filterParams }) => {
+  const grabbed = [];
+  for (let i = 0; i < frames; i++) {
+    const video = webcamRef.current?.video;
+    if (!video || video.readyState < 2 || !video.videoWidth) break;
+
+    const scale = Math.min(1, FRAME_SIZE / Math.max(video.videoWidth, video.videoHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+    grabbed.push({ canvas, scale });
+
+    if (i < frames - 1) await sleep(intervalMs);
+  }
+
+  return grabbed.map(({ canvas: frame, scale }) => {
+    const canvas = document.createElement('canvas');
+    drawFiltered(canvas, frame, { ...filterParams, blur: (filterParams?.blur || 0) * scale });
+    return canvas.toDataURL('image/jpeg', 0.85);
+  });
+};
+
+/**
+ * Build an animated GIF that plays the bursts one after another and loops
+ * @param {Array<Array<string>>} bursts - Frames per photo
+ * @param {number} delayMs - Time each frame is shown
+ * @returns {Promise<Blob>} image/gif
+ */
+export const buildGif = async (bursts, delayMs) => {
+  const images = await Promise.all(bursts.flat().map(loadImage));
+  const { width, height } = images[0];
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  const gif = GIFEncoder();
+  images.forEach((image) => {
+    // Frames of another shape (e.g. a camera switch mid-session) are fitted to the first
+    ctx.drawImage(image, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+    const palette = quantize(data, 256);
+    gif.writeFrame(applyPalette(data, palette), width, height, { palette, delay: delayMs });
+  });
+  gif.finish();
+  return new Blob([gif.bytes()], { type: 'image/gif' });
+};
+
+/**
+ * Record a boomerang video: each burst forward then backward, repeated to last at least BOOMERANG_MIN_MS
+ * Recording runs in real time, so this takes as long as the video
+ * @param {Array<Array<string>>} bursts - Frames per photo
+ * @param {number} delayMs - Time each frame is shown
+ * @returns {Promise<Blob|null>} video/mp4 or video/webm, or null if the browser cannot record video
+ */
+export const buildBoomerang = async (bursts, delayMs) => {
+  const mimeType = typeof MediaRecorder !== 'undefined'
+    && VIDEO_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+  if (!mimeType) return null;
+
+  const images = await Promise.all(bursts.map((burst) => Promise.all(burst.map(loadImage))));
+  const sequence = images.flatMap((burst) => [...burst, ...burst.slice(1, -1).reverse()]);
+  const { width, height } = images[0][0];
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(sequence[0], 0, 0, width, height);
+
+  const stream = canvas.captureStream(Math.ceil(1000 / delayMs));
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  const stopped = new Promise((resolve) => {
+    recorder.onstop = resolve;
+  });
+
+  const loops = Math.max(1, Math.ceil(BOOMERANG_MIN_MS / (sequence.length * delayMs)));
+  recorder.start();
+  for (let loop = 0; loop < loops; loop++) {
+    for (const image of sequence) {
+      ctx.drawImage(image, 0, 0, width, height);
+      await sleep(delayMs);
+    }
+  }
+  recorder.stop();
+  await stopped;
+  stream.getTracks().forEach((track) => track.stop());
+
+  return new Blob(chunks, { type: mimeType.split(';')[0] });
+};
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/**
+ * Save an animation through the photos API
+ * @param {string} sessionId
+ * @param {Blob} blob - image/gif, video/mp4 or video/webm
+ * @returns {Promise<string>} Saved filename (download at /api/photos/<filename>)
+ * @throws {Error} If the server rejects the animation
+ */
+export const saveAnimation = async (sessionId, blob) => {
+  const response = await fetch(`${API_URL}/save-animation`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId, data: await blobToDataUrl(blob) }),
+  });
+  const data = await response.json();
+  if (!data.success) throw new Error(data.error || 'Could not save the animation');
+  return data.filename;
+};
+
+/**
+ * Build and save the animations of a session
+ * @param {string} sessionId
+ * @param {Array<Array<string>>} bursts - Frames per photo
+ * @param {Object} burst - Burst settings: { outputs, intervalMs }
+ * @returns {Promise<Array<Object>>} [{ type ('gif' | 'boomerang'), filename }], for the outputs that could be built
+ */
+export const createAnimations = async (sessionId, bursts, { outputs, intervalMs }) => {
+  const usable = bursts.filter((frames) => frames?.length > 0);
+  if (usable.length === 0) return [];
+
+  const builders = { gif: buildGif, boomerang: buildBoomerang };
+  const animations = [];
+  for (const type of outputs) {
+    try {
+      const blob = await builders[type]?.(usable, intervalMs);
+      if (blob) animations.push({ type, filename: await saveAnimation(sessionId, blob) });
+    } catch (error) {
+      console.error(`Error creating the ${type} animation:`, error);
+    }
+  }
+  return animations;
+};
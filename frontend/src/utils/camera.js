@@ -0,0 +1,244 @@
+/**
+ * Camera helpers
+ *
+ * Which camera the booth uses and how photos are taken. The operator picks
+ * the webcam (when several USB cameras are attached), its resolution and
+ * frame rate in the admin panel (kiosk settings, camera). The webcam always
+ * provides the live view; stills come from a capture source:
+ * - webcam: a photo at the webcam's full resolution (ImageCapture.takePhoto,
+ *   or a frame of a max-resolution copy of the live view track), falling
+ *   back to a frame of the live view
+ * - dslr: a full-resolution still from a tethered camera, through the
+ *   server's camera bridge
+ */
+const API_URL = 'http://localhost:3001/api';
+
+// Same defaults as the server (kioskSettings.js), for settings saved before camera settings existed
+export const DEFAULT_CAMERA = {
+  deviceId: null,
+  width: 1280,
+  height: 720,
+  frameRate: 30,
+  source: 'webcam',
+  fullResolution: true,
+};
+
+export const RESOLUTION_PRESETS = [
+  { label: '640 x 480', width: 640, height: 480 },
+  { label: '1280 x 720 (HD)', width: 1280, height: 720 },
+  { label: '1920 x 1080 (Full HD)', width: 1920, height: 1080 },
+  { label: '2560 x 1440 (QHD)', width: 2560, height: 1440 },
+  { label: '3840 x 2160 (4K)', width: 3840, height: 2160 },
+];
+
+export const FRAME_RATES = [15, 24, 30, 60];
+
+// Longest side of DSLR stills; full resolution is far more than a print needs
+const DSLR_MAX_SIZE = 3600;
+
+// Some webcam drivers never answer takePhoto; fall back rather than hang the capture
+const PHOTO_TIMEOUT_MS = 5000;
+
+/**
+ * Camera settings from the kiosk settings, with defaults
+ * @param {Object|null} kiosk - Kiosk settings
+ * @returns {Object} { deviceId, width, height, frameRate, source, fullResolution }
+ */
+export const getCameraSettings = (kiosk) => ({ ...DEFAULT_CAMERA, ...kiosk?.camera });
+
+/**
+ * react-webcam videoConstraints for the camera settings
+ * Without a chosen device the front-facing camera is used
+ * @param {Object} camera - From getCameraSettings
+ * @returns {Object} MediaTrackConstraints
+ */
+export const getVideoConstraints = (camera) => ({
+  ...(camera.deviceId ? { deviceId: { exact: camera.deviceId } } : { facingMode: 'user' }),
+  width: { ideal: camera.width },
+  height: { ideal: camera.height },
+  frameRate: { ideal: camera.frameRate },
+});
+
+/**
+ * List the video inputs attached to the kiosk
+ * Browsers hide device names until camera access is granted, so access is
+ * requested first when the names are missing
+ * @returns {Promise<Array>} [{ deviceId, label }]
+ */
+export const listCameras = async () => {
+  const videoInputs = async () => (await navigator.mediaDevices.enumerateDevices())
+    .filter((device) => device.kind === 'videoinput');
+
+  let devices = await videoInputs();
+  if (devices.some((device) => !device.label)) {
+    const stream = await navigator.mediaDevices.getUserMedia({ video: true });
+    stream.getTracks().forEach((track) => track.stop());
+    devices = await videoInputs();
+  }
+
+  return devices.map((device, i) => ({
+    deviceId: device.deviceId,
+    label: device.label || `Camera ${i + 1}`,
+  }));
+};
+
+/**
+ * Fetch the camera bridge status
+ * @returns {Promise<Object>} { driver, connected, camera, error }
+ */
+export const fetchBridgeStatus = async () => {
+  try {
+    const response = await fetch(`${API_URL}/camera/bridge`);
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error);
+    return data;
+  } catch (error) {
+    console.error('Error fetching camera bridge status:', error);
+    return { driver: null, connected: false, camera: null, error: error.message };
+  }
+};
+
+const withTimeout = (promise, message) => {
+  let timer = null;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), PHOTO_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Take a photo with ImageCapture at the largest size the camera offers
+ */
+const takePhoto = async (track) => {
+  const imageCapture = new window.ImageCapture(track);
+  const { imageWidth, imageHeight } = await imageCapture.getPhotoCapabilities();
+  const blob = await imageCapture.takePhoto(imageWidth?.max && imageHeight?.max
+    ? { imageWidth: imageWidth.max, imageHeight: imageHeight.max }
+    : undefined);
+  return createImageBitmap(blob);
+};
+
+/**
+ * Raise a track to the largest resolution the camera offers and grab a frame
+ */
+const grabMaxResolutionFrame = async (track) => {
+  const { width, height } = track.getCapabilities?.() || {};
+  if (!width?.max || !height?.max) return null;
+  await track.applyConstraints({ width: { ideal: width.max }, height: { ideal: height.max } });
+
+  if (window.ImageCapture) {
+    return new window.ImageCapture(track).grabFrame();
+  }
+
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.srcObject = new MediaStream([track]);
+  try {
+    await video.play();
+    return await createImageBitmap(video);
+  } finally {
+    video.srcObject = null;
+  }
+};
+
+/**
+ * Take a still at the webcam's full resolution
+ *
+ * The live view keeps its own (smaller) stream: the still is taken from a
+ * clone of the live view's track, which the browser can run at a higher
+ * resolution, and is stopped afterwards. The still is cropped to the live
+ * view's aspect ratio, so it shows what the customer saw.
+ *
+ * @param {HTMLVideoElement} video - The live view (react-webcam's video)
+ * @returns {Promise<string|null>} JPEG data URL, or null when the camera
+ *   offers nothing larger than the live view
+ */
+export const captureFullResolution = async (video) => {
+  const track = video?.srcObject?.getVideoTracks?.()[0];
+  if (!track || track.readyState !== 'live' || !video.videoWidth) return null;
+
+  const captureTrack = track.clone();
+  let frame = null;
+  try {
+    if (window.ImageCapture) {
+      try {
+        frame = await withTimeout(takePhoto(captureTrack), 'takePhoto timed out');
+      } catch (error) {
+        console.warn('takePhoto failed, using a max-resolution frame instead:', error);
+      }
+    }
+    if (!frame) {
+      frame = await withTimeout(grabMaxResolutionFrame(captureTrack), 'Max-resolution frame timed out');
+    }
+    if (!frame) return null;
+
+    // Center crop to the live view's aspect ratio
+    const aspect = video.videoWidth / video.videoHeight;
+    const width = Math.round(Math.min(frame.width, frame.height * aspect));
+    const height = Math.round(width / aspect);
+    if (width <= video.videoWidth) return null;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(
+      frame,
+      (frame.width - width) / 2, (frame.height - height) / 2, width, height,
+      0, 0, width, height
+    );
+    return canvas.toDataURL('image/jpeg', 0.95);
+  } finally {
+    frame?.close?.();
+    captureTrack.stop();
+  }
+};
+
+const captureSources = {
+  webcam: async (webcamRef, camera) => {
+    if (camera.fullResolution) {
+      try {
+        const photo = await captureFullResolution(webcamRef.current?.video);
+        if (photo) return photo;
+      } catch (error) {
+        console.warn('Full-resolution capture failed, using the live view frame:', error);
+      }
+    }
+    return webcamRef.current?.getScreenshot() || null;
+  },
+
+  dslr: async () => {
+    const response = await fetch(`${API_URL}/camera/capture`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ maxSize: DSLR_MAX_SIZE }),
+    });
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error || 'Camera capture failed');
+    return data.imageData;
+  },
+};
+
+/**
+ * Register (or replace) a capture source
+ * @param {string} name - Source name, as stored in the camera settings
+ * @param {Function} capture - async (webcamRef, camera) => image data URL, or null when no frame is available
+ */
+export const registerCaptureSource = (name, capture) => {
+  captureSources[name] = capture;
+};
+
+/**
+ * Take a still with the capture source of the camera settings
+ * @param {Object} camera - From getCameraSettings
+ * @param {Object} webcamRef - Ref to the live view's react-webcam instance
+ * @returns {Promise<string|null>} Image data URL, or null when no frame is available
+ * @throws {Error} If the source is unknown or the capture fails
+ */
+export const captureStill = async (camera, webcamRef) => {
+  const capture = captureSources[camera.source];
+  if (!capture) {
+    throw new Error(`Unknown capture source "${camera.source}"`);
+  }
+  return capture(webcamRef, camera);
+};
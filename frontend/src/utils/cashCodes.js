@@ -0,0 +1,87 @@
+/**
+ * Cash code helpers
+ *
+ * The attendant takes the cash and issues a code from the attendant view
+ * (or reads one from their authenticator app); the customer enters it on
+ * the CashPassword screen and the backend marks the session paid.
+ */
+
+/**
+ * Redeem a cash code for the session
+ * @param {Object} params - { sessionId, code, gridId, addOns }
+ * @returns {Promise<Object>} { success, paid, amount, currency, error, attemptsLeft, lockedUntil }
+ */
+export const redeemCashCode = async ({ sessionId, code, gridId, addOns }) => {
+  try {
+    const response = await fetch('http://localhost:3001/api/cash-codes/redeem', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ sessionId, code, gridId, addOns }),
+    });
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error redeeming cash code:', error);
+    return { success: false, paid: false, error: 'Could not check the code. Please try again.' };
+  }
+};
+
+/**
+ * Get the lockout state of cash code entry for the session
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>} { locked, lockedUntil, attemptsLeft } or null on failure
+ */
+export const getCashCodeStatus = async (sessionId) => {
+  try {
+    const response = await fetch(`http://localhost:3001/api/cash-codes/status?sessionId=${encodeURIComponent(sessionId)}`);
+    const data = await response.json();
+    return data.success ? data : null;
+  } catch (error) {
+    console.error('Error fetching cash code status:', error);
+    return null;
+  }
+};
+
+/**
+ * Issue a single-use cash code for the cash taken (attendant only)
+ * @param {string} pin - Attendant PIN
+ * @param {number} amount - Cash taken, in the major currency unit (the total shown on the kiosk)
+ * @returns {Promise<Object>} { success, code, amount (smallest currency unit), currency, expiresAt, error }
+ */
+export const issueCashCode = async (pin, amount) => {
+  try {
+    const response = await fetch('http://localhost:3001/api/cash-codes', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-attendant-pin': pin,
+      },
+      body: JSON.stringify({ amount }),
+    });
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error issuing cash code:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Fetch the cash redemption log (attendant only)
+ * @param {string} pin - Attendant PIN
+ * @returns {Promise<Object>} { success, redemptions, error }
+ */
+export const fetchCashRedemptions = async (pin) => {
+  try {
+    const response = await fetch('http://localhost:3001/api/cash-codes/redemptions', {
+      headers: { 'x-attendant-pin': pin },
+    });
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching cash redemptions:', error);
+    return { success: false, error: error.message };
+  }
+};
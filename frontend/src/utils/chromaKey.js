@@ -0,0 +1,71 @@
+/**
+ * Chroma key (green screen)
+ *
+ * For booths with a physical green (or blue) screen: pixels close to the
+ * screen's color become transparent, so the backdrop shows through. Colors
+ * are compared in the CbCr (chroma) plane, so shadows and creases on the
+ * screen key out like the lit parts. Spill suppression removes the screen's
+ * color cast from hair and edges by taking the key's chroma out of every
+ * pixel, keeping its brightness.
+ */
+
+// Same defaults as the server (kioskSettings.js), for settings saved before chroma key existed
+export const DEFAULT_CHROMA_KEY = {
+  enabled: false,
+  keyColor: '#00b140',
+  tolerance: 0.5,
+  spill: 0.6,
+};
+
+// Width of the soft edge past the tolerance, on the same scale (key = 0, gray = 1)
+const EDGE_SOFTNESS = 0.2;
+
+/**
+ * Chroma key settings from the kiosk settings, with defaults
+ * @param {Object|null} kiosk - Kiosk settings
+ * @returns {Object} { enabled, keyColor, tolerance, spill }
+ */
+export const getChromaKeySettings = (kiosk) => ({ ...DEFAULT_CHROMA_KEY, ...kiosk?.chromaKey });
+
+const toChroma = (r, g, b) => [
+  -0.168736 * r - 0.331264 * g + 0.5 * b,
+  0.5 * r - 0.418688 * g - 0.081312 * b,
+];
+
+/**
+ * Key out the screen's color in an RGBA pixel buffer, in place
+ *
+ * @param {Object} pixels - { data, width, height } (e.g. ImageData)
+ * @param {Object} settings - { keyColor ('#rrggbb'), tolerance, spill }
+ */
+export const applyChromaKey = ({ data }, { keyColor, tolerance, spill }) => {
+  const key = parseInt(keyColor.slice(1), 16);
+  const [keyCb, keyCr] = toChroma((key >> 16) & 255, (key >> 8) & 255, key & 255);
+  const keyLength = Math.hypot(keyCb, keyCr);
+  // A gray key has no chroma to tell the screen from the people
+  if (keyLength < 1) return;
+  const unitCb = keyCb / keyLength;
+  const unitCr = keyCr / keyLength;
+
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    const y = 0.299 * r + 0.587 * g + 0.114 * b;
+    let [cb, cr] = toChroma(r, g, b);
+
+    // 0 at the key color, 1 for gray and further for other colors
+    const distance = Math.hypot(cb - keyCb, cr - keyCr) / keyLength;
+    const opacity = Math.min(1, Math.max(0, (distance - tolerance) / EDGE_SOFTNESS));
+
+    const cast = cb * unitCb + cr * unitCr;
+    if (cast > 0 && spill > 0) {
+      cb -= unitCb * cast * spill;
+      cr -= unitCr * cast * spill;
+      data[i] = y + 1.402 * cr;
+      data[i + 1] = y - 0.344136 * cb - 0.714136 * cr;
+      data[i + 2] = y + 1.772 * cb;
+    }
+    data[i + 3] = Math.round(data[i + 3] * opacity);
+  }
+};
@@ -0,0 +1,46 @@
+/**
+ * Flow event helpers
+ *
+ * The kiosk logs what customers do (start, grid, capture count, frame,
+ * download) to the event log the sales and usage reports are built from.
+ * Payments and prints are logged by the server itself.
+ */
+
+/**
+ * Log a flow event; failures are only reported to the console
+ * @param {string} type - 'session_start' | 'grid' | 'capture' | 'frame' | 'download'
+ * @param {string} sessionId
+ * @param {Object} data - Event details, e.g. { gridId }
+ */
+export const logEvent = async (type, sessionId, data = {}) => {
+  try {
+    await fetch('http://localhost:3001/api/events', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ type, sessionId, data }),
+    });
+  } catch (error) {
+    console.error(`Error logging ${type} event:`, error);
+  }
+};
+
+/**
+ * Map a session state update to the flow events it completes
+ * @param {Object} data - Partial session data passed to updateSession
+ * @returns {Array<Object>} [{ type, data }]
+ */
+export const toSessionEvents = (data) => {
+  const events = [];
+  if (data.completedStep === 'grid' && data.selectedGrid) {
+    events.push({ type: 'grid', data: { gridId: data.selectedGrid.id } });
+  }
+  if (data.completedStep === 'capture' && Array.isArray(data.capturedPhotos)) {
+    events.push({ type: 'capture', data: { count: data.capturedPhotos.length } });
+  }
+  if (data.completedStep === 'frame' && data.selectedFrame) {
+    events.push({ type: 'frame', data: { frameId: data.selectedFrame.id || data.selectedFrame } });
+  }
+  return events;
+};
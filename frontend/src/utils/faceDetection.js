@@ -0,0 +1,165 @@
+/**
+ * Face detection helpers
+ *
+ * On-device face detection (MediaPipe BlazeFace, short range) for the camera
+ * screens. Reports the faces in each frame as bounding boxes, and whether the
+ * group is ready for an auto-capture: everyone fully in frame and holding
+ * still.
+ *
+ * Boxes are normalized to the frame: { x, y, width, height } from 0 to 1,
+ * with x, y the top-left corner.
+ */
+import { useEffect, useState } from 'react';
+import { createQueue, createSolution, sendImage } from './mediapipe';
+import scriptUrl from '@mediapipe/face_detection/face_detection.js?url';
+import graphUrl from '@mediapipe/face_detection/face_detection_short.binarypb?url';
+import modelUrl from '@mediapipe/face_detection/face_detection_short_range.tflite?url';
+import simdLoaderUrl from '@mediapipe/face_detection/face_detection_solution_simd_wasm_bin.js?url';
+import simdWasmUrl from '@mediapipe/face_detection/face_detection_solution_simd_wasm_bin.wasm?url';
+import loaderUrl from '@mediapipe/face_detection/face_detection_solution_wasm_bin.js?url';
+import wasmUrl from '@mediapipe/face_detection/face_detection_solution_wasm_bin.wasm?url';
+
+export const FRAMING_DEFAULTS = {
+  minFaces: 1, // Faces needed before capturing
+  edgeMargin: 0.02, // Faces closer than this to an edge count as cut off
+  maxMovement: 0.03, // Largest movement of a face center that still counts as still
+  holdMs: 1000, // How long the group must hold still
+};
+
+let detector = null;
+
+/**
+ * Load the face detector (once; later calls share it)
+ * @returns {Promise<Object>} Initialized MediaPipe FaceDetection
+ */
+const getDetector = () => {
+  if (!detector) {
+    detector = createSolution({
+      scriptUrl,
+      className: 'FaceDetection',
+      files: {
+        'face_detection_short.binarypb': graphUrl,
+        'face_detection_short_range.tflite': modelUrl,
+        'face_detection_solution_simd_wasm_bin.js': simdLoaderUrl,
+        'face_detection_solution_simd_wasm_bin.wasm': simdWasmUrl,
+        'face_detection_solution_wasm_bin.js': loaderUrl,
+        'face_detection_solution_wasm_bin.wasm': wasmUrl,
+      },
+      options: { model: 'short', minDetectionConfidence: 0.6 },
+    }).catch((error) => {
+      detector = null;
+      throw error;
+    });
+  }
+  return detector;
+};
+
+// The detector is shared by every detection loop, e.g. a screen that is unmounting and the next one
+const enqueue = createQueue();
+
+/**
+ * Detect the faces in an image or video frame
+ * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} image
+ * @returns {Promise<Array<Object>>} Faces, left to right: [{ x, y, width, height }]
+ */
+export const detectFaces = async (image) => {
+  const results = await enqueue(async () => sendImage(await getDetector(), image));
+  return (results?.detections || [])
+    .map(({ boundingBox: { xCenter, yCenter, width, height } }) => ({
+      x: xCenter - width / 2,
+      y: yCenter - height / 2,
+      width,
+      height,
+    }))
+    .sort((a, b) => a.x - b.x);
+};
+
+const center = (face) => [face.x + face.width / 2, face.y + face.height / 2];
+
+/**
+ * Whether the group is ready for an auto-capture
+ *
+ * @param {Array<Object>} history - Recent detections, oldest first: [{ at (ms), faces }]
+ * @param {Object} options - See FRAMING_DEFAULTS
+ * @returns {Object} { ready, faceCount, reason } with reason one of
+ *   'no_faces', 'out_of_frame', 'moving' or 'ready'
+ */
+export const framingStatus = (history, options = {}) => {
+  const { minFaces, edgeMargin, maxMovement, holdMs } = { ...FRAMING_DEFAULTS, ...options };
+  const latest = history[history.length - 1];
+  const faces = latest?.faces || [];
+  const status = (reason) => ({ ready: reason === 'ready', faceCount: faces.length, reason });
+
+  if (faces.length < minFaces) return status('no_faces');
+
+  const inFrame = faces.every((face) => face.x >= edgeMargin && face.y >= edgeMargin
+    && face.x + face.width <= 1 - edgeMargin && face.y + face.height <= 1 - edgeMargin);
+  if (!inFrame) return status('out_of_frame');
+
+  // The window must reach back holdMs, with the same faces in every frame
+  const recent = history.filter((entry) => latest.at - entry.at <= holdMs);
+  if (latest.at - recent[0].at < holdMs * 0.8) return status('moving');
+
+  const still = recent.every((entry) => entry.faces.length === faces.length
+    && entry.faces.every((face, i) => {
+      const [x, y] = center(face);
+      const [latestX, latestY] = center(faces[i]);
+      return Math.hypot(x - latestX, y - latestY) <= maxMovement;
+    }));
+  return status(still ? 'ready' : 'moving');
+};
+
+/**
+ * Run face detection on a webcam preview while enabled
+ *
+ * @param {Object} webcamRef - Ref to a react-webcam instance
+ * @param {Object} options - { enabled, interval (ms between detections), framing (see FRAMING_DEFAULTS) }
+ * @returns {Object} { faces, status (framingStatus), loading, error }
+ */
+export const useFaceDetection = (webcamRef, { enabled = true, interval = 200, framing } = {}) => {
+  const [state, setState] = useState({ faces: [], status: framingStatus([]), loading: false, error: null });
+
+  useEffect(() => {
+    if (!enabled) {
+      setState({ faces: [], status: framingStatus([]), loading: false, error: null });
+      return undefined;
+    }
+
+    let cancelled = false;
+    let timer = null;
+    const history = [];
+    setState((current) => ({ ...current, loading: true, error: null }));
+
+    const tick = async () => {
+      try {
+        const video = webcamRef.current?.video;
+        if (video && video.readyState >= 2) {
+          const faces = await detectFaces(video);
+          if (cancelled) return;
+
+          const at = performance.now();
+          history.push({ at, faces });
+          // Keep a little more than the hold window
+          while (history.length > 1 && at - history[0].at > (framing?.holdMs || FRAMING_DEFAULTS.holdMs) * 2) {
+            history.shift();
+          }
+          setState({ faces, status: framingStatus(history, framing), loading: false, error: null });
+        }
+      } catch (error) {
+        if (cancelled) return;
+        console.error('Face detection failed:', error);
+        setState({ faces: [], status: framingStatus([]), loading: false, error: error.message });
+        return;
+      }
+      if (!cancelled) timer = setTimeout(tick, interval);
+    };
+    tick();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [enabled, interval, webcamRef]);
+
+  return state;
+};
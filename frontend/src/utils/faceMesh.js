@@ -0,0 +1,59 @@
+/**
+ * Face landmark helpers
+ *
+ * On-device MediaPipe Face Mesh, shared by the hands-free smile trigger and
+ * the AR face props: one solution for the app, with requests queued so the
+ * two never send images at the same time. Landmarks are the 468 Face Mesh
+ * points, normalized to the image ({ x, y } from 0 to 1, z relative depth).
+ */
+import { createQueue, createSolution, sendImage } from './mediapipe';
+import scriptUrl from '@mediapipe/face_mesh/face_mesh.js?url';
+import graphUrl from '@mediapipe/face_mesh/face_mesh.binarypb?url';
+import assetsLoaderUrl from '@mediapipe/face_mesh/face_mesh_solution_packed_assets_loader.js?url';
+import assetsUrl from '@mediapipe/face_mesh/face_mesh_solution_packed_assets.data?url';
+import simdLoaderUrl from '@mediapipe/face_mesh/face_mesh_solution_simd_wasm_bin.js?url';
+import simdWasmUrl from '@mediapipe/face_mesh/face_mesh_solution_simd_wasm_bin.wasm?url';
+import loaderUrl from '@mediapipe/face_mesh/face_mesh_solution_wasm_bin.js?url';
+import wasmUrl from '@mediapipe/face_mesh/face_mesh_solution_wasm_bin.wasm?url';
+
+let faceMesh = null;
+
+/**
+ * Load Face Mesh (once; later calls share it)
+ * @returns {Promise<Object>} Initialized MediaPipe FaceMesh
+ */
+const getFaceMesh = () => {
+  if (!faceMesh) {
+    faceMesh = createSolution({
+      scriptUrl,
+      className: 'FaceMesh',
+      files: {
+        'face_mesh.binarypb': graphUrl,
+        'face_mesh_solution_packed_assets_loader.js': assetsLoaderUrl,
+        'face_mesh_solution_packed_assets.data': assetsUrl,
+        'face_mesh_solution_simd_wasm_bin.js': simdLoaderUrl,
+        'face_mesh_solution_simd_wasm_bin.wasm': simdWasmUrl,
+        'face_mesh_solution_wasm_bin.js': loaderUrl,
+        'face_mesh_solution_wasm_bin.wasm': wasmUrl,
+      },
+      options: { maxNumFaces: 4, refineLandmarks: false, minDetectionConfidence: 0.5, minTrackingConfidence: 0.5 },
+    }).catch((error) => {
+      faceMesh = null;
+      throw error;
+    });
+  }
+  return faceMesh;
+};
+
+const enqueue = createQueue();
+
+/**
+ * Find the faces in an image
+ * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} image
+ * @returns {Promise<Array<Array<Object>>>} Landmarks of each face (empty without faces)
+ */
+export const detectFaceLandmarks = (image) => enqueue(async () => sendImage(
+  await getFaceMesh(),
+  image,
+  ({ multiFaceLandmarks }) => multiFaceLandmarks || []
+));
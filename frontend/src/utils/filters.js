@@ -0,0 +1,63 @@
+/**
+ * Kiosk filter helpers
+ *
+ * Builds the filter of a session from the filter engine: the color effect
+ * picked on CameraFilter, its brightness slider and the CameraSettings
+ * adjustments. Previews use the CSS form; captures and edits are rendered
+ * through the engine's pixel renderer, so they match the preview.
+ */
+import { combineFilters, applyFilterToPixels, getFilter } from 'photobooth-kiosk-filter-engine';
+
+/**
+ * Filter applied while capturing
+ * A filter that is not registered (a LUT that has not loaded or was removed) falls back to none
+ * @param {Object} sessionData - Session data (cameraFilter, brightness in percent)
+ * @param {Object} cameraSettings - { brightness, contrast, saturation } multipliers; defaults to the session's
+ * @returns {Object} Filter parameters
+ */
+export const getCameraFilter = (sessionData, cameraSettings = sessionData?.cameraSettings) => combineFilters(
+  getFilter(sessionData?.cameraFilter) ? sessionData.cameraFilter : 'none',
+  { brightness: (Number(sessionData?.brightness) || 100) / 100 },
+  cameraSettings && {
+    brightness: cameraSettings.brightness ?? 1,
+    contrast: cameraSettings.contrast ?? 1,
+    saturation: cameraSettings.saturation ?? 1,
+  }
+);
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = reject;
+  img.src = src;
+});
+
+/**
+ * Draw an image onto a canvas (resized to the image) with a filter applied
+ * @param {HTMLCanvasElement} canvas
+ * @param {HTMLImageElement|HTMLCanvasElement} image
+ * @param {Object} params - Filter parameters
+ */
+export const drawFiltered = (canvas, image, params) => {
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  applyFilterToPixels({ data: imageData.data, width: imageData.width, height: imageData.height, channels: 4 }, params);
+  ctx.putImageData(imageData, 0, 0);
+};
+
+/**
+ * Render an image with a filter applied
+ * @param {string} src - Image URL or data URL
+ * @param {Object} params - Filter parameters
+ * @param {number} quality - JPEG quality (0-1)
+ * @returns {Promise<string>} JPEG data URL
+ */
+export const renderFiltered = async (src, params, quality = 0.95) => {
+  const canvas = document.createElement('canvas');
+  drawFiltered(canvas, await loadImage(src), params);
+  return canvas.toDataURL('image/jpeg', quality);
+};
@@ -0,0 +1,221 @@
+/**
+ * Hands-free capture helpers
+ *
+ * Starts the capture countdown without touching the screen: when a customer
+ * smiles or raises an open hand, or after a fallback timer. Runs on-device
+ * with MediaPipe Face Mesh (smiles) and Hands (raised hands); the operator
+ * sets the triggers, sensitivity and fallback timer in the admin panel
+ * (kiosk settings, handsFree).
+ *
+ * Scores are from 0 to 1. A trigger fires when its score stays at or above
+ * the threshold for the sensitivity for HOLD_DETECTIONS detections in a row.
+ */
+import { useEffect, useRef, useState } from 'react';
+import { createQueue, createSolution, sendImage } from './mediapipe';
+import { detectFaceLandmarks } from './faceMesh';
+import handsScriptUrl from '@mediapipe/hands/hands.js?url';
+import handsGraphUrl from '@mediapipe/hands/hands.binarypb?url';
+import handsAssetsLoaderUrl from '@mediapipe/hands/hands_solution_packed_assets_loader.js?url';
+import handsAssetsUrl from '@mediapipe/hands/hands_solution_packed_assets.data?url';
+import handsModelUrl from '@mediapipe/hands/hand_landmark_lite.tflite?url';
+import handsSimdLoaderUrl from '@mediapipe/hands/hands_solution_simd_wasm_bin.js?url';
+import handsSimdWasmUrl from '@mediapipe/hands/hands_solution_simd_wasm_bin.wasm?url';
+import handsLoaderUrl from '@mediapipe/hands/hands_solution_wasm_bin.js?url';
+import handsWasmUrl from '@mediapipe/hands/hands_solution_wasm_bin.wasm?url';
+
+// Same defaults as the server (kioskSettings.js), for settings saved before hands-free existed
+export const DEFAULT_HANDS_FREE = {
+  enabled: false,
+  triggers: ['smile', 'hand'],
+  sensitivity: 0.5,
+  fallbackSeconds: 10,
+};
+
+export const HOLD_DETECTIONS = 3;
+
+/**
+ * Hands-free settings from the kiosk settings, with defaults
+ * @param {Object|null} kiosk - Kiosk settings
+ * @returns {Object} { enabled, triggers, sensitivity, fallbackSeconds }
+ */
+export const getHandsFreeSettings = (kiosk) => ({ ...DEFAULT_HANDS_FREE, ...kiosk?.handsFree });
+
+/**
+ * Score a trigger must reach: 0.9 at sensitivity 0, 0.3 at sensitivity 1
+ * @param {number} sensitivity - 0 to 1
+ * @returns {number}
+ */
+export const triggerThreshold = (sensitivity) => 0.9 - 0.6 * Math.min(1, Math.max(0, sensitivity));
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * How much a face smiles, from its Face Mesh landmarks: a wide mouth with
+ * the corners raised above the middle of the lips
+ *
+ * @param {Array<Object>} landmarks - 468 normalized landmarks { x, y, z }
+ * @returns {number} 0 (neutral) to 1 (broad smile)
+ */
+export const smileScore = (landmarks) => {
+  const faceWidth = distance(landmarks[234], landmarks[454]);
+  const faceHeight = distance(landmarks[10], landmarks[152]);
+  if (!faceWidth || !faceHeight) return 0;
+
+  // Mouth corners 61 / 291, lip centers 13 / 14
+  const mouthWidth = distance(landmarks[61], landmarks[291]) / faceWidth;
+  const lipCenter = (landmarks[13].y + landmarks[14].y) / 2;
+  const cornerLift = (lipCenter - (landmarks[61].y + landmarks[291].y) / 2) / faceHeight;
+
+  return clamp01((mouthWidth - 0.38) / 0.1) * 0.6 + clamp01(cornerLift / 0.04) * 0.4;
+};
+
+/**
+ * How clearly a hand is raised, from its Hands landmarks: the hand is
+ * upright (fingers above the wrist) with the fingers stretched out
+ *
+ * @param {Array<Object>} landmarks - 21 normalized landmarks { x, y, z }
+ * @returns {number} 0 (not raised) to 1 (open hand held up)
+ */
+export const raisedHandScore = (landmarks) => {
+  const wrist = landmarks[0];
+  const upright = landmarks[12].y < wrist.y;
+  if (!upright) return 0;
+
+  // A finger is extended when its tip is above its middle joint
+  const fingers = [[8, 6], [12, 10], [16, 14], [20, 18]];
+  const extended = fingers.filter(([tip, joint]) => landmarks[tip].y < landmarks[joint].y).length;
+  return extended / fingers.length;
+};
+
+let hands = null;
+
+/**
+ * Load the hand detector (once; later calls share it)
+ * Smiles use the shared Face Mesh (faceMesh.js)
+ */
+const getHands = () => {
+  if (!hands) {
+    hands = createSolution({
+      scriptUrl: handsScriptUrl,
+      className: 'Hands',
+      files: {
+        'hands.binarypb': handsGraphUrl,
+        'hands_solution_packed_assets_loader.js': handsAssetsLoaderUrl,
+        'hands_solution_packed_assets.data': handsAssetsUrl,
+        'hand_landmark_lite.tflite': handsModelUrl,
+        'hands_solution_simd_wasm_bin.js': handsSimdLoaderUrl,
+        'hands_solution_simd_wasm_bin.wasm': handsSimdWasmUrl,
+        'hands_solution_wasm_bin.js': handsLoaderUrl,
+        'hands_solution_wasm_bin.wasm': handsWasmUrl,
+      },
+      options: { maxNumHands: 4, modelComplexity: 0, minDetectionConfidence: 0.6, minTrackingConfidence: 0.5 },
+    }).catch((error) => {
+      hands = null;
+      throw error;
+    });
+  }
+  return hands;
+};
+
+// Hands is shared too; a trigger loop that was just stopped can still have a frame in flight
+const enqueue = createQueue();
+
+/**
+ * Best score of a trigger in a video frame (the most smiling face, the most raised hand)
+ * @param {string} trigger - 'smile' or 'hand'
+ * @param {HTMLVideoElement} video
+ * @returns {Promise<number>} 0 to 1
+ */
+export const scoreTrigger = async (trigger, video) => {
+  if (trigger === 'smile') {
+    const faces = await detectFaceLandmarks(video);
+    return Math.max(0, ...faces.map(smileScore));
+  }
+  const results = await enqueue(async () => sendImage(await getHands(), video));
+  return Math.max(0, ...(results?.multiHandLandmarks || []).map(raisedHandScore));
+};
+
+/**
+ * Wait for a smile, a raised hand or the fallback timer while enabled, then
+ * call onTrigger once. Turning enabled off and on again (e.g. around the
+ * countdown) starts a new wait.
+ *
+ * @param {Object} webcamRef - Ref to a react-webcam instance
+ * @param {Object} options - { enabled, triggers, sensitivity, fallbackSeconds, onTrigger(reason) }
+ *   with reason 'smile', 'hand' or 'timer'
+ * @returns {Object} { scores ({ smile, hand }), secondsLeft (null without a fallback), loading, error }
+ */
+export const useHandsFree = (webcamRef, { enabled, triggers, sensitivity, fallbackSeconds, onTrigger }) => {
+  const [state, setState] = useState({ scores: {}, secondsLeft: null, loading: false, error: null });
+  const onTriggerRef = useRef(onTrigger);
+  onTriggerRef.current = onTrigger;
+  const triggerKey = (triggers || []).join(',');
+
+  useEffect(() => {
+    if (!enabled) {
+      setState({ scores: {}, secondsLeft: null, loading: false, error: null });
+      return undefined;
+    }
+
+    let cancelled = false;
+    let timer = null;
+    let error = null;
+    const startedAt = performance.now();
+    const threshold = triggerThreshold(sensitivity);
+    const active = triggerKey ? triggerKey.split(',') : [];
+    const streaks = {};
+    setState({ scores: {}, secondsLeft: fallbackSeconds || null, loading: active.length > 0, error: null });
+
+    const fire = (reason) => {
+      cancelled = true;
+      onTriggerRef.current?.(reason);
+    };
+
+    const tick = async () => {
+      const scores = {};
+      const video = webcamRef.current?.video;
+      if (!error && video && video.readyState >= 2) {
+        try {
+          for (const trigger of active) {
+            scores[trigger] = await scoreTrigger(trigger, video);
+            streaks[trigger] = scores[trigger] >= threshold ? (streaks[trigger] || 0) + 1 : 0;
+          }
+        } catch (detectionError) {
+          // Keep counting down, so the fallback timer still starts the countdown
+          console.error('Hands-free detection failed:', detectionError);
+          error = detectionError.message;
+        }
+      }
+      if (cancelled) return;
+
+      const detected = active.find((trigger) => streaks[trigger] >= HOLD_DETECTIONS);
+      if (detected) {
+        fire(detected);
+        return;
+      }
+
+      const elapsed = (performance.now() - startedAt) / 1000;
+      if (fallbackSeconds > 0 && elapsed >= fallbackSeconds) {
+        fire('timer');
+        return;
+      }
+
+      setState({
+        scores,
+        secondsLeft: fallbackSeconds > 0 ? Math.ceil(fallbackSeconds - elapsed) : null,
+        loading: !error && active.length > 0 && Object.keys(scores).length === 0,
+        error,
+      });
+      timer = setTimeout(tick, 150);
+    };
+    tick();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [enabled, triggerKey, sensitivity, fallbackSeconds, webcamRef]);
+
+  return state;
+};
@@ -18,7 +18,10 @@ export function getPageSizeFromGrid(grid) {
     '4x6-single': { widthInches: 4, heightInches: 6, pageSize: '4x6' },
     '2x4-vertical-2': { widthInches: 2, heightInches: 4, pageSize: '2x4' },
     '4x6-4cut': { widthInches: 4, heightInches: 6, pageSize: '4x6' },
-    '5x7-6cut': { widthInches: 5, heightInches: 7, pageSize: '5x7' }
+    '5x7-6cut': { widthInches: 5, heightInches: 7, pageSize: '5x7' },
+    // Photo strips: two 2x6 strips side by side on one 4x6 sheet
+    '2x6-strip-3': { widthInches: 4, heightInches: 6, pageSize: '4x6' },
+    '2x6-strip-4': { widthInches: 4, heightInches: 6, pageSize: '4x6' }
   };
 
   // If exact match found, use it
@@ -76,6 +79,8 @@ export function getPageSizeFromGrid(grid) {
  *   [1] [3]
  *   [2] [4]
  * 
+ * Strip grids ({ layout: 'strip' }) are delegated to createStripComposite
+ * 
  * @param {string[]} photos - Array of base64 image data URLs
  * @param {Object} grid - Grid configuration { cols: number, rows: number, id: string }
  * @param {number} dpi - Print resolution (default 300 DPI)
@@ -98,6 +103,11 @@ export async function createGridComposite(photos, grid, dpi = 300, marginPercent
     throw new Error(`Expected ${totalCells} photos, got ${photos.length}`);
   }
 
+  // Strip layouts have their own fixed geometry
+  if (grid.layout === 'strip') {
+    return createStripComposite(photos, grid, dpi);
+  }
+
   // Auto-configure page size based on grid
   const pageConfig = getPageSizeFromGrid(grid);
 
@@ -231,4 +241,112 @@ export async function createGridComposite(photos, grid, dpi = 300, marginPercent
     console.error('Error creating composite:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Loads an image from a data URL or path
+ *
+ * @param {string} src - Image source
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    img.src = src;
+  });
+}
+
+/**
+ * Creates a classic photo-strip composite: two identical 2x6 strips side by side
+ * on a 4x6 sheet with a dashed cut line between them, so one print yields two strips
+ *
+ * Frames are stacked top to bottom and center-cropped to fill their slot.
+ * A blank footer is left at the bottom of each strip.
+ *
+ * Layout (3 frames):
+ *   [1] ┊ [1]
+ *   [2] ┊ [2]
+ *   [3] ┊ [3]
+ *   ___ ┊ ___
+ *
+ * @param {string[]} photos - Array of base64 image data URLs, one per frame
+ * @param {Object} grid - Strip grid configuration { rows: number, id: string, layout: 'strip' }
+ * @param {number} dpi - Print resolution (default 300 DPI)
+ * @returns {Promise<string>} Base64 data URL of the 4x6 composite image
+ */
+export async function createStripComposite(photos, grid, dpi = 300) {
+  if (!photos || photos.length === 0) {
+    throw new Error('No photos provided');
+  }
+
+  const pageConfig = getPageSizeFromGrid(grid);
+  const stripCount = 2;
+
+  // Strip geometry in inches
+  const stripWidth = pageConfig.widthInches / stripCount;
+  const stripHeight = pageConfig.heightInches;
+  const margin = 0.1;
+  const footerHeight = photos.length <= 3 ? 0.6 : 0.4;
+  const frameWidth = stripWidth - margin * 2;
+  const frameHeight = (stripHeight - footerHeight - margin * (photos.length + 1)) / photos.length;
+
+  try {
+    const images = await Promise.all(photos.map(loadImage));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(pageConfig.widthInches * dpi);
+    canvas.height = Math.round(pageConfig.heightInches * dpi);
+    const ctx = canvas.getContext('2d');
+
+    // Fill background with white
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const frameWidthPx = Math.round(frameWidth * dpi);
+    const frameHeightPx = Math.round(frameHeight * dpi);
+    const frameAspect = frameWidthPx / frameHeightPx;
+
+    for (let strip = 0; strip < stripCount; strip++) {
+      const stripX = strip * stripWidth * dpi;
+
+      images.forEach((img, index) => {
+        const frameX = Math.round(stripX + margin * dpi);
+        const frameY = Math.round((margin + index * (frameHeight + margin)) * dpi);
+
+        // Center-crop the source to the frame aspect ratio (cover)
+        const imgAspect = img.width / img.height;
+        let sx = 0;
+        let sy = 0;
+        let sw = img.width;
+        let sh = img.height;
+
+        if (imgAspect > frameAspect) {
+          sw = img.height * frameAspect;
+          sx = (img.width - sw) / 2;
+        } else {
+          sh = img.width / frameAspect;
+          sy = (img.height - sh) / 2;
+        }
+
+        ctx.drawImage(img, sx, sy, sw, sh, frameX, frameY, frameWidthPx, frameHeightPx);
+      });
+    }
+
+    // Dashed cut line between the strips
+    const cutX = Math.round(stripWidth * dpi) + 0.5;
+    ctx.strokeStyle = '#BBBBBB';
+    ctx.lineWidth = Math.max(1, Math.round(dpi / 150));
+    ctx.setLineDash([Math.round(dpi / 20), Math.round(dpi / 20)]);
+    ctx.beginPath();
+    ctx.moveTo(cutX, 0);
+    ctx.lineTo(cutX, canvas.height);
+    ctx.stroke();
+
+    return canvas.toDataURL('image/jpeg', 0.95);
+  } catch (error) {
+    console.error('Error creating strip composite:', error);
+    throw error;
+  }
+}
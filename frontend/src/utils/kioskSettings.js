@@ -0,0 +1,55 @@
+/**
+ * Kiosk settings helpers
+ *
+ * The operator picks which grids, filters and frames customers are offered
+ * in the admin panel; the screens read the same settings from the settings
+ * API. A null list means everything is enabled.
+ */
+import { useEffect, useState } from 'react';
+
+/**
+ * Fetch the kiosk settings
+ * @returns {Promise<Object|null>} { enabledGrids, enabledFilters, enabledFrames, printerName } or null on failure
+ */
+export const fetchKioskSettings = async () => {
+  try {
+    const response = await fetch('http://localhost:3001/api/settings/kiosk');
+    const data = await response.json();
+    return data.success ? data.kiosk : null;
+  } catch (error) {
+    console.error('Error fetching kiosk settings:', error);
+    return null;
+  }
+};
+
+/**
+ * Keep only the options the operator enabled
+ * @param {Array<Object>} options - Options with an id
+ * @param {Array<string>|null} enabledIds - Enabled ids, or null for all
+ * @returns {Array<Object>}
+ */
+export const filterEnabled = (options, enabledIds) => {
+  if (!Array.isArray(enabledIds)) return options;
+  const enabled = options.filter((option) => enabledIds.includes(option.id));
+  // Never leave a screen without options if the settings name ids that no longer exist
+  return enabled.length > 0 ? enabled : options;
+};
+
+/**
+ * Load the kiosk settings once for a screen
+ * Until they load (or if they cannot be loaded) everything is enabled
+ * @returns {Object|null} Kiosk settings
+ */
+export const useKioskSettings = () => {
+  const [kiosk, setKiosk] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchKioskSettings().then((result) => {
+      if (!cancelled) setKiosk(result);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  return kiosk;
+};
@@ -0,0 +1,64 @@
+/**
+ * LUT filter helpers
+ *
+ * Operators drop .cube color grades into the server's LUT directory; the
+ * kiosk fetches them from the LUT API and registers them with the filter
+ * engine, next to the built-in filters.
+ */
+import { useEffect, useState } from 'react';
+import { listFilters, parseCubeLut, registerFilter } from 'photobooth-kiosk-filter-engine';
+
+const API_URL = 'http://localhost:3001/api';
+
+let loading = null;
+
+/**
+ * Fetch the LUTs and register them as filters (once; later calls share the result)
+ * @param {Object} options - { reload: true } to fetch again, e.g. after files were added
+ * @returns {Promise<Array>} Registered LUT filters
+ */
+export const loadLutFilters = ({ reload = false } = {}) => {
+  if (loading && !reload) return loading;
+
+  loading = (async () => {
+    try {
+      const response = await fetch(`${API_URL}/luts`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error);
+
+      const registered = [];
+      for (const { id, name, error } of data.luts) {
+        if (error) {
+          console.warn(`Skipping LUT ${id}: ${error}`);
+          continue;
+        }
+        const text = await (await fetch(`${API_URL}/luts/${encodeURIComponent(id)}`)).text();
+        registered.push(registerFilter({ id, name, lut: parseCubeLut(text) }));
+      }
+      return registered;
+    } catch (error) {
+      console.error('Error loading LUT filters:', error);
+      loading = null;
+      return [];
+    }
+  })();
+  return loading;
+};
+
+/**
+ * All filters, including LUT filters once they have loaded
+ * @returns {Array<Object>} Registered filters
+ */
+export const useFilterList = () => {
+  const [filters, setFilters] = useState(listFilters);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadLutFilters().then(() => {
+      if (!cancelled) setFilters(listFilters());
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  return filters;
+};
@@ -0,0 +1,101 @@
+/**
+ * MediaPipe solution loader
+ *
+ * The MediaPipe solution packages ship their models and WebAssembly with
+ * them, so detection runs offline in the renderer. Their scripts are
+ * closure-compiled globals rather than ES modules, so each script is added
+ * to the page once and its class read from window; the files it asks for
+ * (graph, model, wasm) are served from the app's own assets.
+ */
+
+const scripts = new Map();
+
+/**
+ * Add a script to the page once
+ * @param {string} url - Script URL
+ * @returns {Promise<void>}
+ */
+const loadScript = (url) => {
+  if (!scripts.has(url)) {
+    scripts.set(url, new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = url;
+      script.crossOrigin = 'anonymous';
+      script.onload = () => resolve();
+      script.onerror = () => {
+        scripts.delete(url);
+        reject(new Error(`Could not load ${url}`));
+      };
+      document.head.appendChild(script);
+    }));
+  }
+  return scripts.get(url);
+};
+
+/**
+ * Create and initialize a MediaPipe solution
+ *
+ * @param {Object} options
+ * @param {string} options.scriptUrl - URL of the solution script (e.g. face_detection.js?url)
+ * @param {string} options.className - Class the script defines on window (e.g. 'FaceDetection')
+ * @param {Object} options.files - File name -> URL of every file the solution loads
+ * @param {Object} options.options - Solution options (setOptions)
+ * @returns {Promise<Object>} Initialized solution
+ * @throws {Error} If the script cannot be loaded or asks for a file that is not bundled
+ */
+export const createSolution = async ({ scriptUrl, className, files, options }) => {
+  await loadScript(scriptUrl);
+  const Solution = window[className];
+  if (!Solution) {
+    throw new Error(`${className} is not available`);
+  }
+
+  const solution = new Solution({
+    locateFile: (file) => {
+      if (!files[file]) {
+        throw new Error(`${className} file ${file} is not bundled`);
+      }
+      return files[file];
+    },
+  });
+  solution.setOptions(options);
+  await solution.initialize();
+  return solution;
+};
+
+/**
+ * Queue for the requests to one solution: tasks run one at a time, in order
+ * A solution handles one image at a time and sendImage replaces its results
+ * callback, so two requests sent at the same time would get each other's results.
+ *
+ * @returns {Function} (task) => Promise of what the task returns
+ */
+export const createQueue = () => {
+  let queue = Promise.resolve();
+  return (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+};
+
+/**
+ * Run one image through a solution and return its results
+ * (solutions report results through a callback during send)
+ *
+ * Images in the results (e.g. segmentation masks) are only valid inside the
+ * callback; pass read to copy what is needed out of them there.
+ *
+ * @param {Object} solution - From createSolution
+ * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} image
+ * @param {Function} read - (results) => value to return; defaults to the results
+ * @returns {Promise<*>} Solution results, or what read returned
+ */
+export const sendImage = async (solution, image, read = (results) => results) => {
+  let results = null;
+  solution.onResults((latest) => {
+    results = read(latest);
+  });
+  await solution.send({ image });
+  return results;
+};
@@ -0,0 +1,84 @@
+/**
+ * Session pricing helpers
+ *
+ * The pricing table is served by the settings API and keyed by the grid ids
+ * in GridSelection. Amounts are in the major unit of the table's currency
+ * (rupees for INR); the backend recomputes the total from the same table
+ * when it creates the Razorpay order or Stripe session.
+ */
+import { useEffect, useState } from 'react';
+
+/**
+ * Fetch the pricing table
+ * @returns {Promise<Object|null>} { currency, grids, addOns } or null on failure
+ */
+export const fetchPricing = async () => {
+  try {
+    const response = await fetch('http://localhost:3001/api/settings/pricing');
+    const data = await response.json();
+    return data.success ? data.pricing : null;
+  } catch (error) {
+    console.error('Error fetching pricing:', error);
+    return null;
+  }
+};
+
+/**
+ * Format a price for display, e.g. ₹250 or $12.50
+ * @param {number} amount - Amount in the major currency unit
+ * @param {string} currency - ISO 4217 code from the pricing table
+ * @returns {string}
+ */
+export const formatPrice = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: 'currency',
+      currency,
+      // Whole prices without decimals, others with the currency's usual decimals
+      minimumFractionDigits: Number.isInteger(amount) ? 0 : undefined,
+    }).format(amount);
+  } catch {
+    // Unknown currency code
+    return `${amount} ${currency}`;
+  }
+};
+
+/**
+ * Total price of a session
+ * @param {Object} pricing - Pricing table
+ * @param {string} gridId - Selected grid id
+ * @param {Object} addOns - Quantity per add-on id
+ * @returns {number|null} Total in the major currency unit, or null if the grid has no price
+ */
+export const getSessionTotal = (pricing, gridId, addOns = {}) => {
+  if (!pricing || !(gridId in pricing.grids)) return null;
+
+  return Object.entries(addOns).reduce(
+    (total, [addOnId, quantity]) => total + (pricing.addOns[addOnId]?.price || 0) * quantity,
+    pricing.grids[gridId]
+  );
+};
+
+/**
+ * Load the pricing table once for a screen
+ * @returns {Object} { pricing, error }
+ */
+export const usePricing = () => {
+  const [pricing, setPricing] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchPricing().then((result) => {
+      if (cancelled) return;
+      if (result) {
+        setPricing(result);
+      } else {
+        setError('Could not load prices. Please ask the attendant.');
+      }
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  return { pricing, error };
+};
@@ -7,7 +7,7 @@
 
 /**
  * Detect available printers from backend API
- * @returns {Promise<Array>} Array of available printers with name and status
+ * @returns {Promise<Array>} Array of available printers with name, status, isDefault and paperSizes
  */
 export async function detectPrinters() {
     try {
@@ -37,6 +37,13 @@ export function getDefaultPrinter(printers) {
         return { name: 'Default Printer', status: 'Unknown' };
     }
 
+    // Prefer the system default printer when it is not offline
+    const systemDefault = printers.find(p => p.isDefault && p.status !== 'Offline');
+
+    if (systemDefault) {
+        return systemDefault;
+    }
+
     // Try to find a printer with "Ready" or "Idle" status
     const readyPrinter = printers.find(p =>
         p.status === 'Ready' || p.status === 'Idle' || p.status === 'Online'
@@ -0,0 +1,106 @@
+/**
+ * Razorpay Checkout helpers
+ *
+ * The backend creates the order and verifies the payment signature; the
+ * session is only treated as paid once /api/razorpay/verify confirms it.
+ */
+
+/**
+ * Create a Razorpay order for the session on the backend
+ * The backend prices the order from the pricing table
+ * @param {Object} params
+ * @param {string} params.sessionId - Current session ID
+ * @param {string} params.gridId - Selected grid id
+ * @param {Object} params.addOns - Quantity per add-on id
+ * @returns {Promise<Object|null>} { keyId, orderId, amount, currency } or null on failure
+ */
+export const createRazorpayOrder = async ({ sessionId, gridId, addOns }) => {
+  try {
+    const response = await fetch('http://localhost:3001/api/razorpay/order', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ sessionId, gridId, addOns }),
+    });
+
+    const data = await response.json();
+    return data.success ? data : null;
+  } catch (error) {
+    console.error('Error creating Razorpay order:', error);
+    return null;
+  }
+};
+
+/**
+ * Verify the Razorpay Checkout response on the backend
+ * @param {string} sessionId - Current session ID
+ * @param {Object} checkoutResponse - { razorpay_order_id, razorpay_payment_id, razorpay_signature }
+ * @returns {Promise<Object>} { paid, paymentId, error }
+ */
+export const verifyRazorpayPayment = async (sessionId, checkoutResponse) => {
+  try {
+    const response = await fetch('http://localhost:3001/api/razorpay/verify', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ sessionId, ...checkoutResponse }),
+    });
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error verifying Razorpay payment:', error);
+    return { paid: false, error: error.message };
+  }
+};
+
+/**
+ * Create an order, open Razorpay UPI QR Checkout and verify the result
+ *
+ * @param {Object} params
+ * @param {string} params.sessionId - Current session ID
+ * @param {string} params.gridId - Selected grid id
+ * @param {Object} params.addOns - Quantity per add-on id
+ * @param {Function} params.onPaid - Called with the verification result once the backend confirms payment
+ * @param {Function} params.onError - Called with an error message if any step fails
+ */
+export const startRazorpayPayment = async ({ sessionId, gridId, addOns, onPaid, onError }) => {
+  const order = await createRazorpayOrder({ sessionId, gridId, addOns });
+  if (!order) {
+    onError('Could not start online payment. Please try again.');
+    return;
+  }
+
+  const options = {
+    key: order.keyId,
+    order_id: order.orderId,
+    amount: order.amount,
+    currency: order.currency,
+    name: "Your App",
+    description: "UPI QR Payment",
+    image: "/images/logo.png",
+
+    handler: async function (response) {
+      // Never trust the client callback alone: verify the signature on the backend
+      const result = await verifyRazorpayPayment(sessionId, response);
+      if (result.paid) {
+        onPaid(result);
+      } else {
+        onError(result.error || 'Payment could not be verified.');
+      }
+    },
+
+    theme: { color: "#F48B9A" },
+
+    // Enable UPI + QR payment
+    method: { upi: true },
+    upi: { type: "qr" },
+  };
+
+  const rzp = new window.Razorpay(options);
+  rzp.on('payment.failed', (response) => {
+    onError(response.error?.description || 'Payment failed.');
+  });
+  rzp.open();
+};
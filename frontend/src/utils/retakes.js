@@ -0,0 +1,58 @@
+/**
+ * Retake helpers
+ *
+ * After the last shot of a grid the customer reviews all photos and can
+ * retake single ones, up to the limit the operator set in the admin panel
+ * (kiosk settings retakes). The other photos are kept.
+ *
+ * The retakes used are counted in the session (retakesUsed), so leaving and
+ * reopening a capture screen does not give the customer new ones.
+ */
+import { useCallback, useState } from 'react';
+
+// Same defaults as the server (kioskSettings.js), for settings saved before retakes existed
+export const DEFAULT_RETAKES = {
+  limit: 2,
+};
+
+/**
+ * Retake settings from the kiosk settings, with defaults
+ * @param {Object|null} kiosk - Kiosk settings
+ * @returns {Object} { limit }
+ */
+export const getRetakeSettings = (kiosk) => ({ ...DEFAULT_RETAKES, ...kiosk?.retakes });
+
+/**
+ * Retakes of a capture screen
+ * @param {Object|null} kiosk - Kiosk settings
+ * @param {Object} sessionData - Current session data (retakesUsed)
+ * @param {Function} updateSession - Callback to update session data
+ * @returns {Object} { limit, left, cell (index being retaken, or null), start(index), cancel(), done() }
+ */
+export const useRetakes = (kiosk, sessionData, updateSession) => {
+  const { limit } = getRetakeSettings(kiosk);
+  const used = sessionData?.retakesUsed || 0;
+  const [cell, setCell] = useState(null);
+  const left = Math.max(0, limit - used);
+
+  const start = useCallback((index) => {
+    if (left > 0) setCell(index);
+  }, [left]);
+  const cancel = useCallback(() => setCell(null), []);
+  // The retaken photo replaced the old one
+  const done = useCallback(() => {
+    updateSession({ retakesUsed: used + 1 });
+    setCell(null);
+  }, [updateSession, used]);
+
+  return { limit, left, cell, start, cancel, done };
+};
+
+/**
+ * Replace the photo of one cell, keeping the others
+ * @param {Array} items - Photos (or burst frames) per cell
+ * @param {number} index - Cell to replace
+ * @param {*} item - New photo
+ * @returns {Array}
+ */
+export const replaceCell = (items, index, item) => items.map((existing, i) => (i === index ? item : existing));
@@ -0,0 +1,64 @@
+/**
+ * Person segmentation helpers
+ *
+ * On-device person segmentation (MediaPipe Selfie Segmentation, landscape
+ * model) for background removal. The mask is a canvas the size of the
+ * model's output whose alpha is the confidence that a pixel belongs to a
+ * person; draw it stretched over the image it was made from.
+ */
+import { createQueue, createSolution, sendImage } from './mediapipe';
+import scriptUrl from '@mediapipe/selfie_segmentation/selfie_segmentation.js?url';
+import graphUrl from '@mediapipe/selfie_segmentation/selfie_segmentation.binarypb?url';
+import modelUrl from '@mediapipe/selfie_segmentation/selfie_segmentation.tflite?url';
+import landscapeModelUrl from '@mediapipe/selfie_segmentation/selfie_segmentation_landscape.tflite?url';
+import simdLoaderUrl from '@mediapipe/selfie_segmentation/selfie_segmentation_solution_simd_wasm_bin.js?url';
+import simdWasmUrl from '@mediapipe/selfie_segmentation/selfie_segmentation_solution_simd_wasm_bin.wasm?url';
+import simdDataUrl from '@mediapipe/selfie_segmentation/selfie_segmentation_solution_simd_wasm_bin.data?url';
+import loaderUrl from '@mediapipe/selfie_segmentation/selfie_segmentation_solution_wasm_bin.js?url';
+import wasmUrl from '@mediapipe/selfie_segmentation/selfie_segmentation_solution_wasm_bin.wasm?url';
+
+let segmenter = null;
+
+/**
+ * Load the segmenter (once; later calls share it)
+ * @returns {Promise<Object>} Initialized MediaPipe SelfieSegmentation
+ */
+const getSegmenter = () => {
+  if (!segmenter) {
+    segmenter = createSolution({
+      scriptUrl,
+      className: 'SelfieSegmentation',
+      files: {
+        'selfie_segmentation.binarypb': graphUrl,
+        'selfie_segmentation.tflite': modelUrl,
+        'selfie_segmentation_landscape.tflite': landscapeModelUrl,
+        'selfie_segmentation_solution_simd_wasm_bin.js': simdLoaderUrl,
+        'selfie_segmentation_solution_simd_wasm_bin.wasm': simdWasmUrl,
+        'selfie_segmentation_solution_simd_wasm_bin.data': simdDataUrl,
+        'selfie_segmentation_solution_wasm_bin.js': loaderUrl,
+        'selfie_segmentation_solution_wasm_bin.wasm': wasmUrl,
+      },
+      options: { modelSelection: 1, selfieMode: false },
+    }).catch((error) => {
+      segmenter = null;
+      throw error;
+    });
+  }
+  return segmenter;
+};
+
+// The preview and a capture can ask at the same time
+const enqueue = createQueue();
+
+/**
+ * Segment the people in an image
+ * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} image
+ * @returns {Promise<HTMLCanvasElement>} Person mask (alpha = person confidence)
+ */
+export const segmentPerson = (image) => enqueue(async () => sendImage(await getSegmenter(), image, ({ segmentationMask }) => {
+  const mask = document.createElement('canvas');
+  mask.width = segmentationMask.width;
+  mask.height = segmentationMask.height;
+  mask.getContext('2d').drawImage(segmentationMask, 0, 0);
+  return mask;
+}));
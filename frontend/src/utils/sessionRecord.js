@@ -0,0 +1,191 @@
+/**
+ * Session record helpers
+ *
+ * Mirrors the in-memory session state from App.jsx into the server-side
+ * session record (one JSON file per session in sessionsDir). Images stay out
+ * of the record itself: captured, edited and composite images are uploaded
+ * next to it, so a paid session can be resumed after a crash or reload.
+ */
+
+const API_URL = 'http://localhost:3001/api/sessions';
+
+// Where a resumed session continues, by last completed step
+const RESUME_ROUTES = {
+  grid: '/camera-filter',
+  capture: '/edit',
+  edit: '/frame-selection',
+  frame: '/stickers',
+  stickers: '/share',
+};
+
+/**
+ * Map a session state update to the record sections it changes
+ * @param {Object} data - Partial session data passed to updateSession
+ * Payment is not sent: the server fills it in from the payments it verified.
+ * @returns {Object|null} { step, grid, filters, frame, stickers } subset, or null if nothing is recorded
+ */
+export const toSessionRecordChanges = (data) => {
+  const changes = {};
+
+  if ('completedStep' in data) changes.step = data.completedStep;
+  if ('selectedGrid' in data) changes.grid = data.selectedGrid;
+  if ('selectedFrame' in data) changes.frame = data.selectedFrame;
+  if ('stickers' in data) changes.stickers = data.stickers;
+
+  const filters = {};
+  ['cameraFilter', 'brightness', 'cameraSettings'].forEach((key) => {
+    if (key in data) filters[key] = data[key];
+  });
+  if (Object.keys(filters).length > 0) changes.filters = filters;
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Save changed sections to the session record (creates it on first save)
+ * @param {string} sessionId
+ * @param {Object} changes - Output of toSessionRecordChanges
+ */
+export const saveSessionRecord = async (sessionId, changes) => {
+  try {
+    await fetch(`${API_URL}/${encodeURIComponent(sessionId)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(changes),
+    });
+  } catch (error) {
+    // The kiosk keeps working without the record
+    console.error('Error saving session record:', error);
+  }
+};
+
+/**
+ * Mark the session record as ended
+ * @param {string} sessionId
+ */
+export const endSessionRecord = async (sessionId) => {
+  try {
+    await fetch(`${API_URL}/${encodeURIComponent(sessionId)}/end`, { method: 'POST' });
+  } catch (error) {
+    console.error('Error ending session record:', error);
+  }
+};
+
+/**
+ * Fetch a session record
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>} The record, or null if it does not exist
+ */
+export const fetchSessionRecord = async (sessionId) => {
+  try {
+    const response = await fetch(`${API_URL}/${encodeURIComponent(sessionId)}`);
+    const data = await response.json();
+    return data.success ? data.session : null;
+  } catch (error) {
+    console.error('Error fetching session record:', error);
+    return null;
+  }
+};
+
+/**
+ * Map a session state update to the images it changes
+ * @param {Object} data - Partial session data passed to updateSession
+ * @returns {Array<Object>} [{ kind, images }] with images as data URLs
+ */
+export const toSessionImages = (data) => {
+  const uploads = [];
+  if (Array.isArray(data.capturedPhotos)) uploads.push({ kind: 'captured', images: data.capturedPhotos });
+  if (Array.isArray(data.editedPhotos)) uploads.push({ kind: 'edited', images: data.editedPhotos });
+  if (typeof data.compositeImage === 'string') uploads.push({ kind: 'composite', images: [data.compositeImage] });
+  return uploads;
+};
+
+/**
+ * Upload session images of one kind
+ * @param {string} sessionId
+ * @param {string} kind - 'captured' | 'edited' | 'composite'
+ * @param {Array<string>} images - Image data URLs
+ */
+export const saveSessionImages = async (sessionId, kind, images) => {
+  try {
+    await fetch(`${API_URL}/${encodeURIComponent(sessionId)}/images`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ kind, images }),
+    });
+  } catch (error) {
+    console.error('Error saving session images:', error);
+  }
+};
+
+/**
+ * Find an unfinished paid session to offer for resume
+ * @returns {Promise<Object|null>} The session record, or null if there is none
+ */
+export const findResumableSession = async () => {
+  try {
+    const response = await fetch(`${API_URL}/resumable`);
+    const data = await response.json();
+    return data.success ? data.session : null;
+  } catch (error) {
+    console.error('Error looking for a resumable session:', error);
+    return null;
+  }
+};
+
+/**
+ * Route a resumed session continues at
+ * @param {Object} record - Session record
+ * @returns {string}
+ */
+export const getResumeRoute = (record) => RESUME_ROUTES[record.step] || '/camera-filter';
+
+// Images are loaded back as data URLs: the screens draw them on canvases,
+// which must not be tainted by cross-origin image URLs
+const loadImageAsDataUrl = async (url) => {
+  const blob = await (await fetch(url)).blob();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(blob);
+  });
+};
+
+/**
+ * Rebuild the App.jsx session state from a record and its images on disk
+ * @param {Object} record - Session record
+ * @returns {Promise<Object>} Session data for App.jsx
+ */
+export const restoreSessionData = async (record) => {
+  const loadKind = (kind) => Promise.all(
+    (record.images?.[kind] || []).map((filename) =>
+      loadImageAsDataUrl(`${API_URL}/${encodeURIComponent(record.sessionId)}/images/${encodeURIComponent(filename)}`)
+    )
+  );
+  const [capturedPhotos, editedPhotos, composite] = await Promise.all([
+    loadKind('captured'),
+    loadKind('edited'),
+    loadKind('composite'),
+  ]);
+
+  return {
+    sessionId: record.sessionId,
+    selectedGrid: record.grid,
+    ...record.filters,
+    selectedFrame: record.frame,
+    stickers: record.stickers,
+    paymentStatus: record.payment.status,
+    amountDue: record.payment.amountDue,
+    amountPaid: record.payment.amountPaid,
+    paymentId: record.payment.paymentId,
+    addOns: record.payment.addOns,
+    capturedPhotos: capturedPhotos.length > 0 ? capturedPhotos : null,
+    editedPhotos: editedPhotos.length > 0 ? editedPhotos : null,
+    compositeImage: composite[0] || null,
+  };
+};
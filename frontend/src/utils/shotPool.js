@@ -0,0 +1,91 @@
+/**
+ * Shot pool helpers
+ *
+ * With extra shots on (kiosk settings shotPool), the capture screens take
+ * more shots than the grid has cells, e.g. 8 for a 4-cut. Customers then
+ * pick which shots fill which cells on ShotPickerScreen, so a blink in one
+ * shot does not spoil the print. The shots left over can be offered as
+ * downloads on the share screen.
+ *
+ * The pool stays in the session in memory only; a resumed session continues
+ * with the picked photos.
+ */
+
+const API_URL = 'http://localhost:3001/api';
+
+// Same defaults as the server (kioskSettings.js), for settings saved before the shot pool existed
+export const DEFAULT_SHOT_POOL = {
+  extraShots: 0,
+  shareUnused: true,
+};
+
+/**
+ * Shot pool settings from the kiosk settings, with defaults
+ * @param {Object|null} kiosk - Kiosk settings
+ * @returns {Object} { extraShots, shareUnused }
+ */
+export const getShotPoolSettings = (kiosk) => ({ ...DEFAULT_SHOT_POOL, ...kiosk?.shotPool });
+
+/**
+ * Number of shots to take for a grid
+ * @param {Object|null} kiosk - Kiosk settings
+ * @param {number} cells - Cells of the grid
+ * @returns {number}
+ */
+export const getShotCount = (kiosk, cells) => cells + getShotPoolSettings(kiosk).extraShots;
+
+/**
+ * Put a shot in a cell
+ * A shot already in another cell swaps places with the cell's shot, so no
+ * shot fills two cells
+ *
+ * @param {Array<number>} cells - Shot index per cell
+ * @param {number} cell - Cell to fill
+ * @param {number} shot - Shot index
+ * @returns {Array<number>}
+ */
+export const placeShot = (cells, cell, shot) => {
+  const from = cells.indexOf(shot);
+  return cells.map((current, index) => {
+    if (index === cell) return shot;
+    if (index === from) return cells[cell];
+    return current;
+  });
+};
+
+/**
+ * Split the pool into the grid's photos and the unused shots
+ * @param {Object} pool - { photos, bursts } in the order they were taken
+ * @param {Array<number>} cells - Shot index per cell
+ * @returns {Object} { photos, bursts, unused } with photos and bursts in cell order
+ */
+export const pickShots = ({ photos, bursts }, cells) => ({
+  photos: cells.map((shot) => photos[shot]),
+  bursts: cells.map((shot) => bursts[shot] || []),
+  unused: photos.filter((photo, shot) => !cells.includes(shot)),
+});
+
+/**
+ * Save the unused shots through the photos API, for download QR codes
+ * @param {string} sessionId
+ * @param {Array<string>} photos - Unused shots as data URLs
+ * @returns {Promise<Array<string>>} Saved filenames (download at /api/photos/<filename>), for the shots that could be saved
+ */
+export const saveUnusedShots = async (sessionId, photos) => {
+  const filenames = [];
+  for (const photo of photos) {
+    try {
+      const response = await fetch(`${API_URL}/save-photo`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, imageData: photo }),
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Could not save the shot');
+      filenames.push(data.filename);
+    } catch (error) {
+      console.error('Error saving an unused shot:', error);
+    }
+  }
+  return filenames;
+};
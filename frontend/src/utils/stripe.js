@@ -1,29 +1,16 @@
-export const createPaymentSession = async (amount, sessionId) => {
-  try {
-    const response = await fetch('http://localhost:3001/api/create-payment', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        amount: amount * 100,
-        sessionId: sessionId,
-      }),
-    });
-
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error creating payment session:', error);
-    return null;
-  }
-};
-
+/**
+ * Ask the backend whether a session has been paid
+ * Works for every provider (Stripe, Razorpay, cash); for Stripe the backend
+ * also checks the Checkout session in case the webhook has not arrived
+ * @param {string} sessionId
+ * @returns {Promise<boolean>} true once the backend has verified the payment
+ */
 export const verifyPaymentStatus = async (sessionId) => {
   try {
     const response = await fetch(`http://localhost:3001/api/verify-payment/${sessionId}`);
     const data = await response.json();
-    return data.success;
+    // success only means the lookup worked; paid is set once the backend has verified the payment
+    return data.success && data.paid;
   } catch (error) {
     console.error('Error verifying payment:', error);
     return false;
@@ -1,6 +1,6 @@
 import fs from 'fs';
 import path from 'path';
-import { defineConfig } from 'vite';
+import { defineConfig, searchForWorkspaceRoot } from 'vite';
 import react from '@vitejs/plugin-react';
 
 // Allow optional local HTTPS by placing certs in ./certs/dev-cert.pem and ./certs/dev-key.pem
@@ -29,6 +29,10 @@ export default defineConfig({
     strictPort: true,
     allowedHosts: true,
     https: httpsOption || false,
+    fs: {
+      // The filter engine is a local package next to the frontend
+      allow: [searchForWorkspaceRoot(process.cwd()), path.resolve(__dirname, '../filter-engine')],
+    },
   },
   base: './',
   build: {